@@ -0,0 +1,139 @@
+const express = require('express');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+const path = require('path');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const flash = require('connect-flash');
+const methodOverride = require('method-override');
+const { refreshSessionUser } = require('./middleware/auth');
+const { csrfProtection } = require('./middleware/csrf');
+const { publicCors, appCors, adminCors } = require('./middleware/cors');
+const { hasPermission } = require('./services/permissions');
+const Notification = require('./models/Notification');
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const profileRoutes = require('./routes/profiles');
+const paymentRoutes = require('./routes/payments');
+const adminRoutes = require('./routes/admin');
+const mainRoutes = require('./routes/main');
+const mediaRoutes = require('./routes/media');
+const notificationRoutes = require('./routes/notifications');
+const conversationRoutes = require('./routes/conversations');
+
+// Build the Express application (database connection and listening are up to the caller)
+const createApp = ({ sessionStore } = {}) => {
+  const app = express();
+
+  // Security Middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://fonts.googleapis.com"],
+        scriptSrc: ["'self'", "https://cdn.jsdelivr.net"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+  }));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  });
+  app.use('/api/', limiter);
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+  app.use(methodOverride('_method'));
+
+  // View engine setup
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+
+  // Static files
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Session configuration
+  app.use(session({
+    secret: process.env.SESSION_SECRET || 'fallback-secret-key',
+    resave: false,
+    saveUninitialized: false,
+    store: sessionStore || MongoStore.create({
+      mongoUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/hijab_marriage_bureau',
+      ttl: 24 * 60 * 60 // 1 day
+    }),
+    cookie: {
+      secure: process.env.NODE_ENV === 'production',
+      httpOnly: true,
+      maxAge: 24 * 60 * 60 * 1000 // 1 day
+    }
+  }));
+
+  // Flash messages
+  app.use(flash());
+
+  // Keep the cached session user in sync with the database
+  app.use(refreshSessionUser);
+
+  // Require the session's CSRF token on every state-changing request
+  app.use(csrfProtection);
+
+  // Global variables for templates
+  app.use((req, res, next) => {
+    res.locals.user = req.session.user || null;
+    res.locals.can = (permission) => hasPermission(req.session.user, permission);
+    res.locals.success_msg = req.flash('success_msg');
+    res.locals.error_msg = req.flash('error_msg');
+    res.locals.error = req.flash('error');
+    next();
+  });
+
+  // Unread notification count for the navbar badge
+  app.use(async (req, res, next) => {
+    res.locals.unreadNotifications = 0;
+    if (req.session.user) {
+      try {
+        res.locals.unreadNotifications = await Notification.countUnread(req.session.user._id);
+      } catch (error) {
+        console.error('Unread notifications error:', error);
+      }
+    }
+    next();
+  });
+
+  // Route middleware
+  app.use('/auth', appCors, authRoutes);
+  app.use('/profiles', appCors, profileRoutes);
+  app.use('/payments', appCors, paymentRoutes);
+  app.use('/admin', adminCors, adminRoutes);
+  app.use('/media', publicCors, mediaRoutes);
+  app.use('/notifications', appCors, notificationRoutes);
+  app.use('/conversations', appCors, conversationRoutes);
+  app.use('/', appCors, mainRoutes);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).render('error', { 
+      message: 'Something went wrong!',
+      error: process.env.NODE_ENV === 'development' ? err : {}
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).render('error', { 
+      message: 'Page not found',
+      error: {}
+    });
+  });
+
+  return app;
+};
+
+module.exports = createApp;
@@ -1,4 +1,49 @@
 const User = require('../models/User');
+const { toSessionUser } = require('../services/sessions');
+const { permissionsFor, hasPermission } = require('../services/permissions');
+
+// How long cached session user data is trusted before it is reloaded
+const SESSION_REFRESH_INTERVAL = (parseInt(process.env.SESSION_REFRESH_INTERVAL) || 300) * 1000;
+
+// Reload req.session.user when it is stale, ending the session of deactivated or deleted users
+const refreshSessionUser = async (req, res, next) => {
+  const sessionUser = req.session && req.session.user;
+  if (!sessionUser) {
+    return next();
+  }
+
+  const age = Date.now() - (sessionUser.refreshedAt || 0);
+  if (!sessionUser.stale && age < SESSION_REFRESH_INTERVAL) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(sessionUser._id);
+
+    if (!user || !user.isActive) {
+      return req.session.regenerate((err) => {
+        if (err) return next(err);
+
+        const message = user
+          ? 'Your account has been deactivated. Please contact support.'
+          : 'Your session has ended. Please log in again.';
+
+        if (req.accepts(['html', 'json']) === 'json') {
+          return res.status(401).json({ success: false, message });
+        }
+
+        req.flash('error_msg', message);
+        res.redirect('/auth/login');
+      });
+    }
+
+    req.session.user = toSessionUser(user);
+    next();
+  } catch (error) {
+    console.error('Session refresh error:', error);
+    next();
+  }
+};
 
 // Check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -34,8 +79,11 @@ const hasPaid = async (req, res, next) => {
       return res.redirect('/auth/login');
     }
 
+    // Access follows the membership's expiry (plus grace period), not a one-off payment
     if (!user.isPaid) {
-      req.flash('error_msg', 'Please complete payment to access this feature');
+      req.flash('error_msg', user.membershipStatus === 'expired'
+        ? 'Your membership has expired. Please renew to access this feature'
+        : 'Please complete payment to access this feature');
       return res.redirect('/payments');
     }
 
@@ -47,6 +95,34 @@ const hasPaid = async (req, res, next) => {
   }
 };
 
+// Check if user has verified their phone number
+const hasVerifiedPhone = async (req, res, next) => {
+  try {
+    if (!req.session.user) {
+      req.flash('error_msg', 'Please log in to access this page');
+      return res.redirect('/auth/login');
+    }
+
+    const user = await User.findById(req.session.user._id);
+    if (!user) {
+      req.session.destroy();
+      req.flash('error_msg', 'User not found');
+      return res.redirect('/auth/login');
+    }
+
+    if (!user.phoneVerified) {
+      req.flash('error_msg', 'Please verify your phone number to continue');
+      return res.redirect('/auth/verify');
+    }
+
+    next();
+  } catch (error) {
+    console.error('HasVerifiedPhone middleware error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/auth/login');
+  }
+};
+
 // Check if user has completed profile
 const hasProfile = async (req, res, next) => {
   try {
@@ -75,13 +151,21 @@ const hasProfile = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.session.user && req.session.user.role === 'admin') {
+// Check if the user's role grants any of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  const sessionUser = req.session.user;
+  const granted = sessionUser && permissions.some(permission => permissionsFor(sessionUser.role).includes(permission));
+
+  if (granted) {
+    // Staff accounts must use two-factor authentication
+    if (!sessionUser.twoFactorEnabled) {
+      req.flash('error_msg', 'Please set up two-factor authentication to use staff features.');
+      return res.redirect('/auth/2fa/setup');
+    }
     return next();
   }
-  
-  req.flash('error_msg', 'Access denied. Admin privileges required.');
+
+  req.flash('error_msg', 'Access denied. You do not have permission to access this page.');
   res.redirect('/');
 };
 
@@ -99,8 +183,8 @@ const isOwnerOrAdmin = async (req, res, next) => {
       return res.redirect('/dashboard');
     }
 
-    // If user is admin, allow access
-    if (req.session.user.role === 'admin') {
+    // Staff who can see full profiles are allowed
+    if (hasPermission(req.session.user, 'profiles:view')) {
       return next();
     }
 
@@ -127,10 +211,12 @@ const isOwnerOrAdmin = async (req, res, next) => {
 };
 
 module.exports = {
+  refreshSessionUser,
   isAuthenticated,
   isNotAuthenticated,
   hasPaid,
+  hasVerifiedPhone,
   hasProfile,
-  isAdmin,
+  requirePermission,
   isOwnerOrAdmin
 }; 
\ No newline at end of file
@@ -0,0 +1,32 @@
+const cors = require('cors');
+
+// Origins allowed to call the app with cookies, e.g. a separate front end (comma separated)
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Public, read-only resources (blurred photos) may be loaded from any origin, without cookies
+const publicCors = cors({
+  origin: '*',
+  methods: ['GET', 'HEAD']
+});
+
+// Member pages and JSON endpoints: trusted origins only
+const appCors = cors({
+  origin: (origin, callback) => callback(null, Boolean(origin) && allowedOrigins.includes(origin)),
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Accept', 'X-CSRF-Token']
+});
+
+// Admin area: same origin only
+const adminCors = cors({
+  origin: false
+});
+
+module.exports = {
+  publicCors,
+  appCors,
+  adminCors
+};
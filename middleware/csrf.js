@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Session-bound token, created on first use
+const getToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+// Token sent with a request: form field or header (AJAX and multipart uploads, whose bodies are
+// only parsed later by multer). Never the query string, which leaks into logs and Referer headers
+const submittedToken = (req) => (
+  (req.body && req.body._csrf) ||
+  req.get('X-CSRF-Token')
+);
+
+const tokensMatch = (expected, actual) => {
+  if (typeof actual !== 'string' || actual.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+// Expose req.csrfToken() and res.locals.csrfToken, and reject state-changing requests without a valid token
+const csrfProtection = (req, res, next) => {
+  req.csrfToken = () => getToken(req);
+  Object.defineProperty(res.locals, 'csrfToken', {
+    enumerable: true,
+    configurable: true,
+    get: () => getToken(req)
+  });
+
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const expected = req.session.csrfToken;
+  if (expected && tokensMatch(expected, submittedToken(req))) {
+    return next();
+  }
+
+  const message = 'Your session has expired or the form is invalid. Please refresh the page and try again.';
+
+  if (req.accepts(['html', 'json']) === 'json' || req.is('json')) {
+    return res.status(403).json({ success: false, message });
+  }
+
+  req.flash('error_msg', message);
+  res.redirect('/');
+};
+
+module.exports = {
+  csrfProtection
+};
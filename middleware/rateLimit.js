@@ -0,0 +1,63 @@
+const { rateLimit } = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+// Stores are kept here so they can be cleared together
+const stores = [];
+
+const createLimiter = (name, options) => {
+  const store = createRateLimitStore(name);
+  stores.push(store);
+
+  return rateLimit({
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...options,
+    store
+  });
+};
+
+// Failed logins per IP; successful logins are not counted
+const loginLimiter = createLimiter('login', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    res.status(429).render('auth/login', {
+      title: 'Login - Hijab Marriage Bureau',
+      errors: [{ msg: 'Too many failed login attempts from this connection. Please try again later.' }],
+      formData: req.body
+    });
+  }
+});
+
+// Password reset emails per IP
+const forgotPasswordLimiter = createLimiter('forgotPassword', {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  handler: (req, res) => {
+    req.flash('error_msg', 'Too many password reset requests from this connection. Please try again later.');
+    res.redirect('/auth/forgot-password');
+  }
+});
+
+// Contact form submissions per IP
+const contactLimiter = createLimiter('contact', {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  handler: (req, res) => {
+    req.flash('error_msg', 'Too many messages sent from this connection. Please try again later.');
+    res.redirect('/contact');
+  }
+});
+
+// Forget all recorded hits
+const resetRateLimits = async () => {
+  await Promise.all(stores.map(store => store.resetAll()));
+};
+
+module.exports = {
+  loginLimiter,
+  forgotPasswordLimiter,
+  contactLimiter,
+  resetRateLimits
+};
@@ -0,0 +1,68 @@
+const { query, validationResult, matchedData } = require('express-validator');
+const { FILTER_OPTIONS, SORTS } = require('../services/search');
+
+// Filters that accept one or more values (?education=bachelor&education=master)
+const listFilter = (name, label) => query(name)
+  .optional({ values: 'falsy' })
+  .customSanitizer(value => [].concat(value).filter(Boolean))
+  .custom(values => values.every(value => FILTER_OPTIONS[name].includes(value)))
+  .withMessage(`Please select a valid ${label}`);
+
+const rangeFilter = (min, max, { lowest, highest, label, unit = '' }) => [
+  query(min)
+    .optional({ values: 'falsy' })
+    .isInt({ min: lowest, max: highest })
+    .withMessage(`Minimum ${label} must be between ${lowest} and ${highest}${unit}`)
+    .toInt(),
+  query(max)
+    .optional({ values: 'falsy' })
+    .isInt({ min: lowest, max: highest })
+    .withMessage(`Maximum ${label} must be between ${lowest} and ${highest}${unit}`)
+    .bail()
+    // The minimum has already been converted to a number if it was valid
+    .custom((value, { req }) => !Number.isInteger(req.query[min]) || parseInt(value) >= req.query[min])
+    .withMessage(`Maximum ${label} cannot be less than the minimum`)
+    .toInt()
+];
+
+// Browse search validation; search links are shared, so invalid values are dropped rather than fatal
+const searchValidation = [
+  listFilter('gender', 'gender'),
+  listFilter('education', 'education level'),
+  listFilter('maritalStatus', 'marital status'),
+  listFilter('sect', 'sect'),
+  listFilter('religiousness', 'religiousness'),
+  listFilter('income', 'income band'),
+  query('city')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('City cannot exceed 50 characters'),
+  query('country')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Country cannot exceed 50 characters'),
+  ...rangeFilter('minAge', 'maxAge', { lowest: 18, highest: 80, label: 'age' }),
+  ...rangeFilter('minHeight', 'maxHeight', { lowest: 120, highest: 220, label: 'height', unit: ' cm' }),
+  query('sort')
+    .optional({ values: 'falsy' })
+    .isIn(Object.keys(SORTS))
+    .withMessage('Please select a valid sort order'),
+  query('page')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number')
+    .toInt()
+];
+
+// Valid search criteria from a request checked by searchValidation, plus the page and any errors
+const searchCriteria = (req) => {
+  const { page = 1, ...criteria } = matchedData(req, { locations: ['query'] });
+  return { criteria, page, errors: validationResult(req).array() };
+};
+
+module.exports = {
+  searchValidation,
+  searchCriteria
+};
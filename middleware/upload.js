@@ -1,27 +1,38 @@
+const { Readable } = require('stream');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { getDriver } = require('../services/storage');
+const { computeImageHash } = require('../services/imageHash');
 
-// Configure Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'hijab-marriage-bureau',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
-    transformation: [
-      { width: 800, height: 800, crop: 'limit' },
-      { quality: 'auto' }
-    ]
-  }
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
 });
 
+// Delegate to the configured storage driver (Cloudinary or local disk)
+const storage = {
+  _handleFile: (req, file, cb) => getDriver().engine._handleFile(req, file, cb),
+  _removeFile: (req, file, cb) => getDriver().engine._removeFile(req, file, cb)
+};
+
+// Receipts also get a perceptual hash of the image as req.file.perceptualHash, so a receipt
+// reused across payments can be spotted; this means buffering the whole upload first
+const receiptStorage = {
+  _handleFile: (req, file, cb) => {
+    readStream(file.stream).then(async (buffer) => {
+      // An unreadable image is left for the driver to reject; it just gets no hash
+      const perceptualHash = await computeImageHash(buffer).catch(() => null);
+
+      getDriver().engine._handleFile(req, { ...file, stream: Readable.from([buffer]) }, (error, info) => {
+        if (error) return cb(error);
+        cb(null, { ...info, perceptualHash });
+      });
+    }, cb);
+  },
+  _removeFile: (req, file, cb) => getDriver().engine._removeFile(req, file, cb)
+};
+
 // File filter function
 const fileFilter = (req, file, cb) => {
   // Check file type
@@ -32,22 +43,31 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const limits = {
+  fileSize: 5 * 1024 * 1024, // 5MB limit
+  files: 5 // Maximum 5 files
+};
+
 // Configure multer
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 5 // Maximum 5 files
-  }
+  limits
 });
 
-// Single file upload
-const uploadSingle = upload.single('photo');
+// Payment receipt
+const uploadReceipt = multer({
+  storage: receiptStorage,
+  fileFilter: fileFilter,
+  limits
+}).single('photo');
 
 // Multiple files upload
 const uploadMultiple = upload.array('photos', 5);
 
+// Screenshots attached to a profile report
+const uploadEvidence = upload.array('evidence', 3);
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -81,14 +101,14 @@ const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
-// Helper function to delete image from Cloudinary
+// Helper function to delete image from storage
 const deleteImage = async (publicId) => {
   try {
     if (publicId) {
-      await cloudinary.uploader.destroy(publicId);
+      await getDriver().destroy(publicId);
     }
   } catch (error) {
-    console.error('Error deleting image from Cloudinary:', error);
+    console.error('Error deleting image from storage:', error);
   }
 };
 
@@ -98,21 +118,33 @@ const deleteMultipleImages = async (images) => {
     if (images && images.length > 0) {
       const deletePromises = images.map(image => {
         if (image.publicId) {
-          return cloudinary.uploader.destroy(image.publicId);
+          return getDriver().destroy(image.publicId);
         }
       });
       await Promise.all(deletePromises);
     }
   } catch (error) {
-    console.error('Error deleting multiple images from Cloudinary:', error);
+    console.error('Error deleting multiple images from storage:', error);
   }
 };
 
+// Delivery URL for an image (blurred placeholder if requested)
+const getImageUrl = (publicId, options) => getDriver().getUrl(publicId, options);
+
+// URL of the blurred placeholder derivative
+const getBlurredImageUrl = (publicId) => getImageUrl(publicId, { blurred: true });
+
+// Stream an image to the response without exposing its storage location
+const sendImage = (res, image, options) => getDriver().stream(res, image, options);
+
 module.exports = {
-  uploadSingle,
+  uploadReceipt,
   uploadMultiple,
+  uploadEvidence,
   handleUploadError,
   deleteImage,
   deleteMultipleImages,
-  cloudinary
-}; 
\ No newline at end of file
+  getImageUrl,
+  getBlurredImageUrl,
+  sendImage
+};
\ No newline at end of file
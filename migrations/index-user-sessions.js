@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const UserSession = require('../models/UserSession');
+
+// Index the sessions logged in before the user session index existed, so a password reset or
+// deactivation still ends them; reads connect-mongo's collection directly
+module.exports = {
+  name: 'index-user-sessions',
+  up: async () => {
+    const sessions = mongoose.connection.collection('sessions')
+      .find({ expires: { $gt: new Date() } }, { projection: { session: 1 } });
+
+    for await (const doc of sessions) {
+      const session = typeof doc.session === 'string' ? JSON.parse(doc.session) : doc.session;
+      const userId = session && session.user && session.user._id;
+      if (!userId) continue;
+
+      await UserSession.updateOne({ sid: doc._id }, { $set: { userId } }, { upsert: true });
+    }
+  }
+};
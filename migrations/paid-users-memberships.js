@@ -0,0 +1,55 @@
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { inTransaction } = require('../services/transactions');
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Accounts paid for under the old one-off payment only have a stored isPaid flag, which the
+// membership-based isPaid falls back to; give each a full period starting now, on the plan of
+// their latest completed payment, and drop the flag
+module.exports = {
+  name: 'paid-users-memberships',
+  up: async () => {
+    // The raw collection, since isPaid is no longer a schema path
+    const users = User.collection.find(
+      { isPaid: true, membershipExpiresAt: { $exists: false } },
+      { projection: { _id: 1 } }
+    );
+
+    for await (const { _id: userId } of users) {
+      await inTransaction(async (session) => {
+        const payments = await Payment.find({
+          userId,
+          status: 'completed',
+          paymentType: { $in: Object.keys(Membership.PLANS) },
+          membershipId: null
+        }).sort({ createdAt: -1 }).select('paymentType').session(session);
+
+        const plan = payments.length > 0 ? payments[0].paymentType : 'registration';
+        const startsAt = new Date();
+
+        const [membership] = await Membership.create([{
+          userId,
+          plan,
+          startsAt,
+          expiresAt: addMonths(startsAt, Membership.PLANS[plan].durationMonths),
+          payments: payments.map(payment => payment._id)
+        }], { session });
+
+        await Payment.updateMany({ _id: { $in: membership.payments } }, { membershipId: membership._id }, { session });
+        await User.collection.updateOne(
+          { _id: userId },
+          { $set: { membershipPlan: plan, membershipExpiresAt: membership.expiresAt }, $unset: { isPaid: '' } },
+          { session }
+        );
+      });
+    }
+
+    await User.collection.updateMany({ isPaid: { $exists: true } }, { $unset: { isPaid: '' } });
+  }
+};
@@ -0,0 +1,31 @@
+const RishtaProfile = require('../models/RishtaProfile');
+const { getDriver } = require('../services/storage');
+
+// Photos uploaded before authenticated delivery sit on public Cloudinary URLs that stay reachable
+// whatever the profile's photo visibility; move them behind signed URLs
+module.exports = {
+  name: 'photos-authenticated-delivery',
+  up: async () => {
+    const driver = getDriver();
+
+    // Drivers without public URLs (local disk) only ever serve photos through the app
+    if (!driver.makeAuthenticated) return;
+
+    const profiles = RishtaProfile.find({ 'photos.0': { $exists: true } }).select('photos').cursor();
+
+    for await (const profile of profiles) {
+      let moved = false;
+
+      for (const photo of profile.photos) {
+        const url = await driver.makeAuthenticated(photo.publicId);
+        if (!url) continue;
+
+        photo.url = url;
+        photo.blurredUrl = driver.getUrl(photo.publicId, { blurred: true });
+        moved = true;
+      }
+
+      if (moved) await profile.save();
+    }
+  }
+};
@@ -0,0 +1,23 @@
+const RishtaProfile = require('../models/RishtaProfile');
+const User = require('../models/User');
+
+// Profiles saved before lastActiveAt existed have no value to sort by; take the owner's last
+// login, or the profile's last edit for owners who never logged in
+module.exports = {
+  name: 'profiles-last-active',
+  up: async () => {
+    await RishtaProfile.aggregate([
+      { $match: { lastActiveAt: { $exists: false } } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'userId',
+          foreignField: '_id',
+          as: 'owner'
+        }
+      },
+      { $project: { lastActiveAt: { $ifNull: [{ $arrayElemAt: ['$owner.lastLogin', 0] }, '$updatedAt'] } } },
+      { $merge: { into: RishtaProfile.collection.name, whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+  }
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Actions recorded in the audit log
+const ACTIONS = [
+  'profile.review',
+  'profile.publish',
+  'profile.report',
+  'user.status',
+  'user.role',
+  'user.unlock',
+  'membership.grant',
+  'membership.revoke',
+  'payment.verify',
+  'settings.update',
+  'message.status',
+  'message.assign',
+  'message.note',
+  'conversation.moderate'
+];
+
+const TARGET_TYPES = ['User', 'Membership', 'RishtaProfile', 'Payment', 'ContactMessage', 'Message', 'Settings'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Kept so entries stay readable if the actor's account changes later
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are append-only: existing ones can never be changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+auditLogSchema.statics.ACTIONS = ACTIONS;
+auditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A member hiding another member; applies in both directions
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Profile the block was made from, to show in the member's block list
+  blockedProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Users `userId` has blocked or been blocked by, to leave out of anything they see
+blockSchema.statics.hiddenUserIds = async function(userId) {
+  const blocks = await this.find({ $or: [{ blocker: userId }, { blocked: userId }] }).select('blocker blocked');
+  return blocks.map(block => (block.blocker.equals(userId) ? block.blocked : block.blocker));
+};
+
+// Whether either user has blocked the other
+blockSchema.statics.existsBetween = async function(userA, userB) {
+  const block = await this.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA }
+    ]
+  });
+  return Boolean(block);
+};
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['unread', 'read', 'archived'];
+
+const contactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'unread'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replyNotes: [{
+    note: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  readAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+contactMessageSchema.index({ status: 1, createdAt: -1 });
+contactMessageSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtual for status badge color
+contactMessageSchema.virtual('statusColor').get(function() {
+  const colors = {
+    unread: 'primary',
+    read: 'secondary',
+    archived: 'dark'
+  };
+  return colors[this.status] || 'secondary';
+});
+
+contactMessageSchema.statics.STATUSES = STATUSES;
+
+// Ensure virtuals are serialized
+contactMessageSchema.set('toJSON', { virtuals: true });
+contactMessageSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A guardian (wali) a member has given read-only access through a private link
+const guardianSchema = new mongoose.Schema({
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Guardian name is required'],
+    trim: true,
+    maxlength: [50, 'Guardian name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Guardian email is required'],
+    lowercase: true,
+    trim: true
+  },
+  relation: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Relation cannot exceed 30 characters']
+  },
+  // SHA-256 of the link token; the token itself is only ever emailed
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  }
+});
+
+guardianSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Private messages between two members whose interest is matched
+const conversationSchema = new mongoose.Schema({
+  interest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interest',
+    required: true
+  },
+  participants: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: [participants => participants.length === 2, 'A conversation has exactly two participants']
+  },
+  guardians: [guardianSchema],
+  lastMessageAt: {
+    type: Date
+  },
+  // Set once the match ends; the conversation then becomes read-only
+  closedAt: {
+    type: Date
+  },
+  closedReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+conversationSchema.index({ interest: 1 }, { unique: true });
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ 'guardians.tokenHash': 1 });
+
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(participant => (participant._id || participant).equals(userId));
+};
+
+// The participant other than `userId`
+conversationSchema.methods.otherParticipant = function(userId) {
+  return this.participants.find(participant => !(participant._id || participant).equals(userId));
+};
+
+conversationSchema.virtual('isClosed').get(function() {
+  return Boolean(this.closedAt);
+});
+
+conversationSchema.set('toJSON', { virtuals: true });
+conversationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const interestSchema = new mongoose.Schema({
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile',
+    required: true
+  },
+  toProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile',
+    required: true
+  },
+  // pending: awaiting recipient; accepted: recipient's family agreed, awaiting sender's family;
+  // matched: both families agreed and guardian contacts are shared
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'matched', 'declined', 'withdrawn'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  recipientAcceptedAt: {
+    type: Date
+  },
+  senderAcceptedAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One interest record per direction between two profiles
+interestSchema.index({ fromProfile: 1, toProfile: 1 }, { unique: true });
+interestSchema.index({ toUser: 1, status: 1 });
+interestSchema.index({ fromUser: 1, sentAt: -1 });
+
+// Statuses in which an interest is still open
+interestSchema.statics.ACTIVE_STATUSES = ['pending', 'accepted', 'matched'];
+
+// Virtual for mutual acceptance
+interestSchema.virtual('isMatched').get(function() {
+  return this.status === 'matched';
+});
+
+// Virtual for status badge color
+interestSchema.virtual('statusColor').get(function() {
+  const colors = {
+    pending: 'warning',
+    accepted: 'info',
+    matched: 'success',
+    declined: 'danger',
+    withdrawn: 'secondary'
+  };
+  return colors[this.status] || 'secondary';
+});
+
+// Find a matched interest between two users in either direction
+interestSchema.statics.findMatchBetween = function(userA, userB) {
+  return this.findOne({
+    status: 'matched',
+    $or: [
+      { fromUser: userA, toUser: userB },
+      { fromUser: userB, toUser: userA }
+    ]
+  });
+};
+
+// Ensure virtuals are serialized
+interestSchema.set('toJSON', { virtuals: true });
+interestSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Interest', interestSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Membership plans, keyed by the payment type that pays for them
+// Prices come from the fee settings so admins can change them from /admin/settings
+const PLANS = {
+  registration: {
+    name: 'Standard',
+    setting: 'registrationFee',
+    currency: 'PKR',
+    durationMonths: 12,
+    features: ['Published rishta profile', 'Browse member profiles', 'Send and receive interests', 'Request photo access']
+  },
+  international: {
+    name: 'International',
+    setting: 'internationalFee',
+    currency: 'USD',
+    durationMonths: 12,
+    features: ['Everything in Standard', 'For members living outside Pakistan']
+  },
+  premium: {
+    name: 'Premium',
+    setting: 'premiumFee',
+    currency: 'PKR',
+    durationMonths: 12,
+    features: ['Everything in Standard', 'Personal matchmaker support', 'Priority profile review']
+  }
+};
+
+// Days members keep access after their membership expires
+const GRACE_DAYS = parseInt(process.env.MEMBERSHIP_GRACE_DAYS) || 7;
+
+// Days before expiry when renewal opens and the reminder is sent
+const RENEWAL_DAYS = parseInt(process.env.MEMBERSHIP_RENEWAL_DAYS) || 14;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const membershipSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Completed payments that paid for this period (none for staff grants)
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true
+  },
+  reminderSentAt: {
+    type: Date
+  },
+  graceNoticeSentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+membershipSchema.index({ userId: 1, status: 1, expiresAt: -1 });
+membershipSchema.index({ status: 1, expiresAt: 1 });
+
+// End of access, including the grace period
+membershipSchema.virtual('graceEndsAt').get(function() {
+  return new Date(this.expiresAt.getTime() + GRACE_DAYS * DAY);
+});
+
+// Where the period stands today: scheduled, active, grace, expired or revoked
+membershipSchema.virtual('state').get(function() {
+  const now = Date.now();
+  if (this.status === 'revoked') return 'revoked';
+  if (this.startsAt.getTime() > now) return 'scheduled';
+  if (this.expiresAt.getTime() > now) return 'active';
+  if (this.graceEndsAt.getTime() > now) return 'grace';
+  return 'expired';
+});
+
+// Virtual for membership state color
+membershipSchema.virtual('stateColor').get(function() {
+  const colors = {
+    scheduled: 'info',
+    active: 'success',
+    grace: 'warning',
+    expired: 'secondary',
+    revoked: 'danger'
+  };
+  return colors[this.state] || 'secondary';
+});
+
+membershipSchema.virtual('planName').get(function() {
+  return PLANS[this.plan] ? PLANS[this.plan].name : this.plan;
+});
+
+// Ensure virtuals are serialized
+membershipSchema.set('toJSON', { virtuals: true });
+membershipSchema.set('toObject', { virtuals: true });
+
+membershipSchema.statics.PLANS = PLANS;
+membershipSchema.statics.GRACE_DAYS = GRACE_DAYS;
+membershipSchema.statics.RENEWAL_DAYS = RENEWAL_DAYS;
+
+module.exports = mongoose.model('Membership', membershipSchema);
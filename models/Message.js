@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { FILTER_TYPES } = require('../services/messageFilter');
+
+const REPORT_REASONS = {
+  harassment: 'Harassment or threats',
+  inappropriate: 'Inappropriate or offensive content',
+  scam: 'Scam or request for money',
+  'contact-details': 'Pushing to move off the platform',
+  other: 'Other'
+};
+
+// visible: normal; reported: waiting for a moderator; removed: hidden by a moderator;
+// cleared: reviewed and left visible
+const MODERATION_STATUSES = ['visible', 'reported', 'removed', 'cleared'];
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Text as shown to the conversation, after filtering
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  // What the sender actually typed, kept for moderators when the filter changed it
+  originalBody: {
+    type: String,
+    select: false
+  },
+  filters: [{
+    type: String,
+    enum: FILTER_TYPES
+  }],
+  readAt: {
+    type: Date
+  },
+  reports: [{
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: Object.keys(REPORT_REASONS),
+      required: true
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Details cannot exceed 500 characters']
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderation: {
+    status: {
+      type: String,
+      enum: MODERATION_STATUSES,
+      default: 'visible'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+messageSchema.index({ conversation: 1, createdAt: 1 });
+messageSchema.index({ 'moderation.status': 1, updatedAt: 1 });
+messageSchema.index({ createdAt: 1 });
+
+messageSchema.virtual('isRemoved').get(function() {
+  return this.moderation.status === 'removed';
+});
+
+// Text shown to members and guardians
+messageSchema.virtual('displayBody').get(function() {
+  return this.isRemoved ? 'This message was removed by a moderator.' : this.body;
+});
+
+messageSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.originalBody;
+    if (doc.isRemoved) delete ret.body;
+    return ret;
+  }
+});
+
+messageSchema.statics.REPORT_REASONS = REPORT_REASONS;
+messageSchema.statics.MODERATION_STATUSES = MODERATION_STATUSES;
+
+module.exports = mongoose.model('Message', messageSchema);
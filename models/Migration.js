@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A data migration that has been applied (see services/migrations)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
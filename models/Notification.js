@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Events members and staff are notified about
+const TYPES = [
+  'profile.approved',
+  'profile.rejected',
+  'payment.completed',
+  'payment.failed',
+  'payment.cancelled',
+  'payment.refunded',
+  'membership.expiring',
+  'membership.expired',
+  'search.matches',
+  'conversation.message',
+  'conversation.guardian',
+  'staff.profile-submitted',
+  'staff.payment-submitted',
+  'staff.profile-reported',
+  'staff.message-reported'
+];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Page the notification leads to
+  link: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Number of unread notifications for the navbar badge
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Statuses a payment may move to from each status; a completed payment can still be reversed
+const STATUS_TRANSITIONS = {
+  pending: ['completed', 'failed', 'cancelled'],
+  completed: ['refunded', 'failed', 'cancelled'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
 const paymentSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,8 +22,22 @@ const paymentSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
+    enum: ['PKR', 'USD'],
     default: 'PKR'
   },
+  expectedAmount: {
+    type: Number,
+    min: 0
+  },
+  outstandingAmount: {
+    type: Number,
+    min: 0
+  },
+  amountStatus: {
+    type: String,
+    enum: ['matched', 'partial', 'overpaid', 'unchecked'],
+    default: 'unchecked'
+  },
   paymentMethod: {
     type: String,
     required: [true, 'Payment method is required'],
@@ -27,7 +50,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
     default: 'pending'
   },
   transactionId: {
@@ -49,7 +72,8 @@ const paymentSchema = new mongoose.Schema({
   },
   receiptImage: {
     url: String,
-    publicId: String
+    publicId: String,
+    perceptualHash: String
   },
   notes: {
     type: String,
@@ -66,6 +90,40 @@ const paymentSchema = new mongoose.Schema({
   verificationNotes: {
     type: String,
     trim: true
+  },
+  // Signs of a reused or forged receipt, found when the payment was submitted
+  riskFlags: [{
+    type: {
+      type: String,
+      enum: ['duplicate-reference', 'shared-sender', 'duplicate-receipt'],
+      required: true
+    },
+    severity: {
+      type: String,
+      enum: ['medium', 'high'],
+      required: true
+    },
+    relatedPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    detail: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  riskLevel: {
+    type: String,
+    enum: ['none', 'medium', 'high'],
+    default: 'none'
+  },
+  // Membership period this payment paid for
+  membershipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
   }
 }, {
   timestamps: true
@@ -75,6 +133,10 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ userId: 1, status: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ referenceNumber: 1 });
+paymentSchema.index({ senderNumber: 1 });
+paymentSchema.index({ 'receiptImage.perceptualHash': 1 });
+paymentSchema.index({ riskLevel: 1, status: 1 });
 
 // Virtual for formatted amount
 paymentSchema.virtual('formattedAmount').get(function() {
@@ -87,11 +149,34 @@ paymentSchema.virtual('statusColor').get(function() {
     pending: 'warning',
     completed: 'success',
     failed: 'danger',
-    cancelled: 'secondary'
+    cancelled: 'secondary',
+    refunded: 'info'
   };
   return colors[this.status] || 'secondary';
 });
 
+// Virtual for risk level color
+paymentSchema.virtual('riskColor').get(function() {
+  const colors = {
+    none: 'success',
+    medium: 'warning',
+    high: 'danger'
+  };
+  return colors[this.riskLevel] || 'secondary';
+});
+
+// Virtual for amount mismatch flag shown to the verifying admin
+paymentSchema.virtual('hasAmountMismatch').get(function() {
+  return this.amountStatus === 'partial' || this.amountStatus === 'overpaid';
+});
+
+// Check a status change against the allowed transitions
+paymentSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+paymentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Ensure virtuals are serialized
 paymentSchema.set('toJSON', { virtuals: true });
 paymentSchema.set('toObject', { virtuals: true });
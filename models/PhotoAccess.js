@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const photoAccessSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requesterProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'granted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One access record per requester and profile
+photoAccessSchema.index({ profile: 1, requester: 1 }, { unique: true });
+photoAccessSchema.index({ owner: 1, status: 1 });
+
+// Virtual for status badge color
+photoAccessSchema.virtual('statusColor').get(function() {
+  const colors = {
+    pending: 'warning',
+    granted: 'success',
+    declined: 'danger',
+    revoked: 'secondary'
+  };
+  return colors[this.status] || 'secondary';
+});
+
+// Check whether a user currently holds a grant for a profile's photos
+photoAccessSchema.statics.isGranted = async function(profileId, userId) {
+  const grant = await this.exists({ profile: profileId, requester: userId, status: 'granted' });
+  return !!grant;
+};
+
+// Ensure virtuals are serialized
+photoAccessSchema.set('toJSON', { virtuals: true });
+photoAccessSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PhotoAccess', photoAccessSchema);
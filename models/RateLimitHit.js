@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Requests counted by a rate limiter for one client in the current window
+const rateLimitHitSchema = new mongoose.Schema({
+  limiter: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitHitSchema.index({ limiter: 1, key: 1 }, { unique: true });
+
+// Remove counters once their window has passed
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
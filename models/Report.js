@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const REASONS = {
+  fake: 'Fake or impersonated profile',
+  married: 'Already married',
+  scam: 'Scam or request for money',
+  harassment: 'Harassment or inappropriate behaviour',
+  'inappropriate-content': 'Inappropriate photos or text',
+  underage: 'Appears to be under 18',
+  other: 'Other'
+};
+
+// open: waiting for review; actioned: the profile or account was restricted; dismissed: no action needed
+const STATUSES = ['open', 'actioned', 'dismissed'];
+
+// Actions a reviewer can take when resolving a report
+const ACTIONS = ['none', 'unpublish', 'suspend'];
+
+// A member flagging a profile for review by staff
+const reportSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RishtaProfile',
+    required: true
+  },
+  // Owner of the profile when it was reported
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(REASONS),
+    required: [true, 'Please select a reason for the report']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  // Screenshots the reporter attached
+  evidence: [{
+    url: String,
+    publicId: String
+  }],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  action: {
+    type: String,
+    enum: ACTIONS
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ profile: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1 });
+reportSchema.index({ reporter: 1, profile: 1 });
+
+// Virtual for status badge color
+reportSchema.virtual('statusColor').get(function() {
+  const colors = {
+    open: 'warning',
+    actioned: 'danger',
+    dismissed: 'secondary'
+  };
+  return colors[this.status] || 'secondary';
+});
+
+reportSchema.virtual('reasonLabel').get(function() {
+  return REASONS[this.reason];
+});
+
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.STATUSES = STATUSES;
+reportSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Report', reportSchema);
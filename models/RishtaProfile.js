@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  blurredUrl: {
+    type: String
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Photos are always served through the access-checked photo route
+photoSchema.virtual('src').get(function() {
+  const profile = this.ownerDocument();
+  return `/profiles/photos/${profile._id}/${this._id}`;
+});
+
+photoSchema.set('toJSON', { virtuals: true });
+photoSchema.set('toObject', { virtuals: true });
+
 const rishtaProfileSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -123,20 +150,12 @@ const rishtaProfileSchema = new mongoose.Schema({
       enum: ['yes', 'no', 'sometimes']
     }
   },
-  photos: [{
-    url: {
-      type: String,
-      required: true
-    },
-    publicId: {
-      type: String,
-      required: true
-    },
-    isPrimary: {
-      type: Boolean,
-      default: false
-    }
-  }],
+  photos: [photoSchema],
+  photoVisibility: {
+    type: String,
+    enum: ['public', 'members', 'on-request'],
+    default: 'members'
+  },
   preferences: {
     ageRange: {
       min: {
@@ -200,6 +219,10 @@ const rishtaProfileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the profile last went live; saved search alerts treat it as new from then
+  publishedAt: {
+    type: Date
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -217,6 +240,11 @@ const rishtaProfileSchema = new mongoose.Schema({
   },
   lastViewed: {
     type: Date
+  },
+  // The owner's last login or edit, kept here so browse can sort by it from an index
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true
@@ -227,11 +255,97 @@ rishtaProfileSchema.index({ 'personalInfo.gender': 1, published: 1 });
 rishtaProfileSchema.index({ 'personalInfo.location.city': 1, published: 1 });
 rishtaProfileSchema.index({ 'personalInfo.age': 1, published: 1 });
 rishtaProfileSchema.index({ status: 1 });
+// Browse sort orders
+rishtaProfileSchema.index({ published: 1, status: 1, createdAt: -1 });
+rishtaProfileSchema.index({ published: 1, status: 1, views: -1 });
+rishtaProfileSchema.index({ published: 1, status: 1, publishedAt: -1 });
+rishtaProfileSchema.index({ published: 1, status: 1, lastActiveAt: -1 });
+
+rishtaProfileSchema.pre('save', function(next) {
+  if (this.published && (this.isNew || this.isModified('published'))) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
 rishtaProfileSchema.index({ userId: 1 });
 
+// Field-level visibility: paths hidden from each audience
+const HIDDEN_FIELDS = {
+  // Anonymous visitors and unpaid users
+  public: [
+    'personalInfo.dateOfBirth',
+    'education.institution',
+    'occupation.company',
+    'occupation.income',
+    'familyInfo.fatherName',
+    'familyInfo.motherName',
+    'contactInfo',
+    'preferences',
+    'photos.url',
+    'photos.publicId',
+    'approvedBy',
+    'approvedAt',
+    'rejectionReason',
+    'lastViewed'
+  ],
+  // Paid members
+  member: [
+    'personalInfo.dateOfBirth',
+    'familyInfo.fatherName',
+    'familyInfo.motherName',
+    'contactInfo',
+    'photos.url',
+    'photos.publicId',
+    'approvedBy',
+    'approvedAt',
+    'rejectionReason',
+    'lastViewed'
+  ],
+  // Members with a mutually accepted interest, and the profile owner
+  matched: [
+    'photos.url',
+    'photos.publicId',
+    'approvedBy',
+    'approvedAt',
+    'rejectionReason',
+    'lastViewed'
+  ],
+  admin: []
+};
+
+rishtaProfileSchema.statics.VISIBILITY_LEVELS = Object.keys(HIDDEN_FIELDS);
+
+// Query projection for a visibility level (unknown levels fall back to public)
+rishtaProfileSchema.statics.projectionFor = function(level) {
+  const hidden = HIDDEN_FIELDS[level] || HIDDEN_FIELDS.public;
+  const projection = {};
+  hidden.forEach(path => {
+    projection[path] = 0;
+  });
+  return projection;
+};
+
+// Plain object of the profile with fields hidden for a visibility level
+rishtaProfileSchema.methods.toVisibleObject = function(level) {
+  const profile = this.toObject();
+  const hidden = HIDDEN_FIELDS[level] || HIDDEN_FIELDS.public;
+  const removePath = (obj, parts) => {
+    if (!obj) return;
+    if (Array.isArray(obj)) {
+      obj.forEach(item => removePath(item, parts));
+    } else if (parts.length === 1) {
+      delete obj[parts[0]];
+    } else {
+      removePath(obj[parts[0]], parts.slice(1));
+    }
+  };
+  hidden.forEach(path => removePath(profile, path.split('.')));
+  return profile;
+};
+
 // Virtual for age calculation
 rishtaProfileSchema.virtual('calculatedAge').get(function() {
-  if (this.personalInfo.dateOfBirth) {
+  if (this.personalInfo && this.personalInfo.dateOfBirth) {
     const today = new Date();
     const birthDate = new Date(this.personalInfo.dateOfBirth);
     let age = today.getFullYear() - birthDate.getFullYear();
@@ -241,7 +355,7 @@ rishtaProfileSchema.virtual('calculatedAge').get(function() {
     }
     return age;
   }
-  return this.personalInfo.age;
+  return this.personalInfo ? this.personalInfo.age : undefined;
 });
 
 // Ensure virtuals are serialized
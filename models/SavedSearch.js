@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Most saved searches a member can keep
+const MAX_PER_USER = parseInt(process.env.SAVED_SEARCH_LIMIT) || 10;
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Validated /browse criteria, as produced by middleware/search
+  criteria: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Profiles published after these count as new on the dashboard and in the next digest
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDigestAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Names are unique per member, ignoring case
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+savedSearchSchema.index({ alertsEnabled: 1, lastDigestAt: 1 });
+
+// Check whether a member already uses a name for another saved search
+savedSearchSchema.statics.isNameTaken = async function(userId, name, exceptId) {
+  const filter = { userId, name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Boolean(await this.exists(filter).collation(CASE_INSENSITIVE));
+};
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
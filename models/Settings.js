@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Fields that admins can change from /admin/settings
+const SETTING_FIELDS = ['registrationFee', 'internationalFee', 'premiumFee', 'easypaisaNumber', 'easypaisaAccount'];
+
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  registrationFee: {
+    type: Number,
+    required: [true, 'Registration fee is required'],
+    min: [0, 'Registration fee cannot be negative']
+  },
+  internationalFee: {
+    type: Number,
+    required: [true, 'International fee is required'],
+    min: [0, 'International fee cannot be negative']
+  },
+  premiumFee: {
+    type: Number,
+    required: [true, 'Premium fee is required'],
+    min: [0, 'Premium fee cannot be negative']
+  },
+  easypaisaNumber: {
+    type: String,
+    required: [true, 'EasyPaisa number is required'],
+    trim: true,
+    match: [/^(\+92|0)?[0-9]{10}$/, 'Please enter a valid Pakistani phone number']
+  },
+  easypaisaAccount: {
+    type: String,
+    required: [true, 'EasyPaisa account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: {
+    type: [{
+      version: Number,
+      changes: [{
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }],
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+settingsSchema.statics.FIELDS = SETTING_FIELDS;
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../services/totp');
+const { ROLE_NAMES } = require('../services/permissions');
+const Membership = require('./Membership');
+
+// Failed logins before the account is locked, and for how long
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+
+// Phone verification codes
+const PHONE_OTP_MINUTES = 10;
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+
+// Two-factor recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Recovery codes are shown as "abcde-12345"; accept them with or without the dash
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase().replace(/[\s-]/g, '');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,13 +48,17 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     trim: true
   },
-  isPaid: {
-    type: Boolean,
-    default: false
+  // Latest paid-up membership, kept in sync by services/membership.js
+  membershipPlan: {
+    type: String,
+    enum: Object.keys(Membership.PLANS)
+  },
+  membershipExpiresAt: {
+    type: Date
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLE_NAMES,
     default: 'user'
   },
   profileCompleted: {
@@ -47,6 +72,121 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Channels notifications are delivered through (see services/notifications.js)
+  notificationPreferences: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    },
+    // Only used once the phone number is verified
+    sms: {
+      type: Boolean,
+      default: false
+    }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneOtp: {
+    type: String,
+    select: false
+  },
+  phoneOtpExpires: {
+    type: Date,
+    select: false
+  },
+  phoneOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  phoneOtpSentAt: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  lockoutEvents: {
+    type: [{
+      event: {
+        type: String,
+        enum: ['locked', 'unlocked'],
+        required: true
+      },
+      ipAddress: String,
+      failedAttempts: Number,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
   }
 }, {
   timestamps: true
@@ -59,6 +199,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -70,10 +211,282 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Generate a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Find the user owning an unexpired reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+// Generate an email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Mark the email verified and discard the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Generate a 6-digit phone verification code; only its hash is stored on the user
+userSchema.methods.createPhoneOtp = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.phoneOtp = hashToken(code);
+  this.phoneOtpExpires = new Date(Date.now() + PHONE_OTP_MINUTES * 60 * 1000);
+  this.phoneOtpAttempts = 0;
+  this.phoneOtpSentAt = new Date();
+
+  return code;
+};
+
+// Check a phone verification code (needs +phoneOtp +phoneOtpExpires +phoneOtpAttempts)
+// Returns 'verified', 'invalid', 'expired' or 'too-many-attempts'; the caller saves the user
+userSchema.methods.verifyPhoneOtp = function(code) {
+  if (!this.phoneOtp || !this.phoneOtpExpires || this.phoneOtpExpires.getTime() <= Date.now()) {
+    return 'expired';
+  }
+
+  if (this.phoneOtpAttempts >= PHONE_OTP_MAX_ATTEMPTS) {
+    return 'too-many-attempts';
+  }
+
+  const expected = Buffer.from(this.phoneOtp, 'hex');
+  const actual = Buffer.from(hashToken(String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    this.phoneOtpAttempts += 1;
+    return this.phoneOtpAttempts >= PHONE_OTP_MAX_ATTEMPTS ? 'too-many-attempts' : 'invalid';
+  }
+
+  this.phoneVerified = true;
+  this.phoneOtp = undefined;
+  this.phoneOtpExpires = undefined;
+  this.phoneOtpAttempts = 0;
+  return 'verified';
+};
+
+// Start two-factor enrollment with a new secret (needs confirming with a code before use)
+userSchema.methods.startTwoFactorEnrollment = function() {
+  this.twoFactorPendingSecret = totp.generateSecret();
+  return this.twoFactorPendingSecret;
+};
+
+// Replace the recovery codes; returns the plain codes, only hashes are stored
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [...Array(RECOVERY_CODE_COUNT)].map(() => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Turn on two-factor authentication if the code matches the pending secret (needs +twoFactorPendingSecret)
+// Returns the new recovery codes, or null when the code is wrong; the caller saves the user
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  if (!this.twoFactorPendingSecret) return null;
+
+  const step = totp.verifyToken(this.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastStep = step;
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Check an authenticator code or a one-time recovery code
+// (needs +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes)
+// Returns 'totp' or 'recovery' on success and null otherwise; the caller saves the user
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) return null;
+
+  const step = totp.verifyToken(this.twoFactorSecret, String(code).trim());
+  if (step !== null) {
+    // Each authenticator code works only once
+    if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) return null;
+    this.twoFactorLastStep = step;
+    return 'totp';
+  }
+
+  const hashed = hashToken(normalizeRecoveryCode(code));
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+  if (index === -1) return null;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return 'recovery';
+};
+
+// Turn off two-factor authentication and forget its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastStep = undefined;
+  this.twoFactorRecoveryCodes = [];
+};
+
+// Members keep access until their membership's grace period ends
+const graceCutoff = () => new Date(Date.now() - Membership.GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Accounts paid for before membership periods existed only have the stored isPaid flag until the
+// paid-users-memberships migration gives them a period; it is trusted until then
+const LEGACY_PAID = { membershipExpiresAt: { $exists: false }, isPaid: true };
+const hasLegacyPaidFlag = (user) => !user.membershipExpiresAt && user._doc.isPaid === true;
+
+userSchema.virtual('isPaid').get(function() {
+  if (hasLegacyPaidFlag(this)) return true;
+  return Boolean(this.membershipExpiresAt && this.membershipExpiresAt > graceCutoff());
+});
+
+// Membership state: none, active, grace or expired
+userSchema.virtual('membershipStatus').get(function() {
+  if (hasLegacyPaidFlag(this)) return 'active';
+  if (!this.membershipExpiresAt) return 'none';
+  if (this.membershipExpiresAt.getTime() > Date.now()) return 'active';
+  return this.isPaid ? 'grace' : 'expired';
+});
+
+// Renewal opens shortly before expiry (and stays open once access has lapsed)
+userSchema.methods.canRenewMembership = function() {
+  if (!this.isPaid) return true;
+  if (hasLegacyPaidFlag(this)) return false;
+  return this.membershipExpiresAt.getTime() - Date.now() <= Membership.RENEWAL_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Query filter for users with (or without) membership access
+userSchema.statics.paidFilter = function(isPaid = true) {
+  const paid = [{ membershipExpiresAt: { $gt: graceCutoff() } }, LEGACY_PAID];
+  return isPaid ? { $or: paid } : { $nor: paid };
+};
+
+// Check if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+});
+
+// Seconds until the next login attempt is allowed (lockout or progressive delay)
+userSchema.methods.loginRetryAfter = function() {
+  const now = Date.now();
+
+  if (this.isLocked) {
+    return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+  }
+
+  if (this.failedLoginAttempts < 2 || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  // 2s after the second failure, doubling with each one after that
+  const delay = Math.min(2 ** (this.failedLoginAttempts - 1), LOGIN_MAX_DELAY_SECONDS) * 1000;
+  const remaining = this.lastFailedLoginAt.getTime() + delay - now;
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Append to the lockout audit trail (kept out of normal queries, so pushed directly)
+userSchema.methods.recordLockoutEvent = function(event, session) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { lockoutEvents: { $each: [{ ...event, createdAt: new Date() }], $slice: -50 } } },
+    { session }
+  );
+};
+
+// Record a failed login, locking the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function(ipAddress) {
+  // An expired lock starts a fresh count
+  if (this.lockUntil && !this.isLocked) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.lastFailedLoginAt = new Date();
+
+  const locking = this.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS;
+  if (locking) {
+    this.lockUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+  }
+
+  await this.save();
+
+  if (locking) {
+    await this.recordLockoutEvent({
+      event: 'locked',
+      ipAddress,
+      failedAttempts: this.failedLoginAttempts
+    });
+  }
+};
+
+// Forget failed logins after a successful one
+userSchema.methods.clearFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Lift a lockout on behalf of an admin
+userSchema.methods.unlockAccount = async function(adminId, session) {
+  const failedAttempts = this.failedLoginAttempts;
+
+  this.clearFailedLogins();
+  await this.save({ session });
+
+  await this.recordLockoutEvent({
+    event: 'unlocked',
+    failedAttempts,
+    performedBy: adminId
+  }, session);
+};
+
+// Remove password and reset token from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.lockoutEvents;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.phoneOtp;
+  delete user.phoneOtpExpires;
+  delete user.phoneOtpAttempts;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastStep;
+  delete user.twoFactorRecoveryCodes;
   return user;
 };
 
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Index of the stored sessions a user is logged in with, so they can be found without scanning the session store
+const userSessionSchema = new mongoose.Schema({
+  sid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
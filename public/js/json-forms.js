@@ -0,0 +1,45 @@
+// CSRF token from the page, or from the server when the page has none
+function getCsrfToken() {
+  const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  if (csrfMeta && csrfMeta.content) {
+    return Promise.resolve(csrfMeta.content);
+  }
+
+  return fetch('/csrf-token', { headers: { 'Accept': 'application/json' } })
+    .then(function(response) { return response.json(); })
+    .then(function(result) { return result.csrfToken; });
+}
+
+// Submit forms marked with data-json-action to their JSON endpoints
+document.addEventListener('submit', function(event) {
+  const form = event.target;
+  const action = form.getAttribute('data-json-action');
+  if (!action) return;
+
+  event.preventDefault();
+
+  const body = new URLSearchParams(new FormData(form));
+
+  getCsrfToken()
+    .then(function(csrfToken) {
+      return fetch(action, {
+        method: form.getAttribute('data-method') || 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: body
+      });
+    })
+    .then(function(response) { return response.json(); })
+    .then(function(result) {
+      if (!result.success) {
+        alert(result.message || 'An error occurred');
+        return;
+      }
+      window.location.reload();
+    })
+    .catch(function() {
+      alert('An error occurred');
+    });
+});
@@ -1,20 +1,68 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const RishtaProfile = require('../models/RishtaProfile');
 const Payment = require('../models/Payment');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const ContactMessage = require('../models/ContactMessage');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Report = require('../models/Report');
+const Block = require('../models/Block');
+const Interest = require('../models/Interest');
+const AuditLog = require('../models/AuditLog');
+const Membership = require('../models/Membership');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { sendImage } = require('../middleware/upload');
+const { getSettings, updateSettings, getSettingsHistory } = require('../services/settings');
+const { destroyUserSessions, markUserSessionsStale } = require('../services/sessions');
+const { ROLES, PERMISSIONS, isStaffRole, rolesWithPermission, hasPermission } = require('../services/permissions');
+const { snapshot, diff, recordAudit, buildAuditFilter, exportAuditCsv } = require('../services/audit');
+const { grantMembership, revokeMembership } = require('../services/membership');
+const { inTransaction } = require('../services/transactions');
+const { notify } = require('../services/notifications');
 const router = express.Router();
 
+// Validation rules for system settings
+const settingsValidation = [
+  body('registrationFee')
+    .isInt({ min: 0 })
+    .withMessage('Registration fee must be a whole number of 0 or more')
+    .toInt(),
+  
+  body('internationalFee')
+    .isInt({ min: 0 })
+    .withMessage('International fee must be a whole number of 0 or more')
+    .toInt(),
+  
+  body('premiumFee')
+    .isInt({ min: 0 })
+    .withMessage('Premium fee must be a whole number of 0 or more')
+    .toInt(),
+  
+  body('easypaisaNumber')
+    .trim()
+    .matches(/^(\+92|0)?[0-9]{10}$/)
+    .withMessage('Please enter a valid Pakistani phone number for EasyPaisa'),
+  
+  body('easypaisaAccount')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Account name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s.]+$/)
+    .withMessage('Account name can only contain letters, spaces and dots')
+];
+
 // Admin dashboard
-router.get('/', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/', isAuthenticated, requirePermission('dashboard:view'), async (req, res) => {
   try {
     // Get statistics
     const totalUsers = await User.countDocuments();
-    const paidUsers = await User.countDocuments({ isPaid: true });
+    const paidUsers = await User.countDocuments(User.paidFilter());
     const profilesSubmitted = await RishtaProfile.countDocuments({ status: 'submitted' });
     const profilesApproved = await RishtaProfile.countDocuments({ status: 'approved' });
     const profilesPublished = await RishtaProfile.countDocuments({ published: true });
     const pendingPayments = await Payment.countDocuments({ status: 'pending' });
+    const unreadMessages = await ContactMessage.countDocuments({ status: 'unread' });
 
     // Get recent activities
     const recentUsers = await User.find().sort({ createdAt: -1 }).limit(5);
@@ -35,7 +83,8 @@ router.get('/', isAuthenticated, isAdmin, async (req, res) => {
         profilesSubmitted,
         profilesApproved,
         profilesPublished,
-        pendingPayments
+        pendingPayments,
+        unreadMessages
       },
       recentUsers,
       recentProfiles,
@@ -49,7 +98,7 @@ router.get('/', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // User management
-router.get('/users', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/users', isAuthenticated, requirePermission('users:view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = 20;
@@ -58,7 +107,8 @@ router.get('/users', isAuthenticated, isAdmin, async (req, res) => {
     // Build filter
     const filter = {};
     if (req.query.role) filter.role = req.query.role;
-    if (req.query.isPaid !== undefined) filter.isPaid = req.query.isPaid === 'true';
+    // Kept apart from the search's $or
+    if (req.query.isPaid !== undefined) filter.$and = [User.paidFilter(req.query.isPaid === 'true')];
     if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
     if (req.query.search) {
       filter.$or = [
@@ -93,9 +143,11 @@ router.get('/users', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // View user details
-router.get('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/users/:id', isAuthenticated, requirePermission('users:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id)
+      .select('+lockoutEvents')
+      .populate('lockoutEvents.performedBy', 'name');
     if (!user) {
       req.flash('error_msg', 'User not found');
       return res.redirect('/admin/users');
@@ -103,12 +155,20 @@ router.get('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
 
     const profile = await RishtaProfile.findOne({ userId: user._id });
     const payments = await Payment.find({ userId: user._id }).sort({ createdAt: -1 });
+    const memberships = await Membership.find({ userId: user._id })
+      .populate('grantedBy revokedBy', 'name')
+      .sort({ startsAt: -1 });
+    const lockoutEvents = [...user.lockoutEvents].reverse();
 
     res.render('admin/user-detail', {
       title: `User: ${user.name} - Hijab Marriage Bureau`,
       user,
       profile,
-      payments
+      payments,
+      memberships,
+      plans: Membership.PLANS,
+      lockoutEvents,
+      roles: ROLES
     });
   } catch (error) {
     console.error('User detail error:', error);
@@ -118,20 +178,34 @@ router.get('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Update user status
-router.post('/users/:id/status', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/users/:id/status', isAuthenticated, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { isActive, isPaid, role } = req.body;
+    const { isActive } = req.body;
     const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    const before = snapshot(user, ['isActive']);
     if (isActive !== undefined) user.isActive = isActive;
-    if (isPaid !== undefined) user.isPaid = isPaid;
-    if (role) user.role = role;
 
-    await user.save();
+    await inTransaction(async (session) => {
+      await user.save({ session });
+      await recordAudit(req, {
+        action: 'user.status',
+        targetType: 'User',
+        targetId: user._id,
+        changes: diff(before, snapshot(user, ['isActive']))
+      }, { session });
+    });
+
+    // Log out a deactivated user everywhere; otherwise pick up the changes on their next request
+    if (!user.isActive) {
+      await destroyUserSessions(req.sessionStore, user._id);
+    } else {
+      await markUserSessionsStale(req.sessionStore, user._id);
+    }
 
     res.json({ success: true, message: 'User updated successfully', user });
   } catch (error) {
@@ -140,8 +214,176 @@ router.post('/users/:id/status', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
+// Grant a membership period without payment
+router.post('/users/:id/membership', isAuthenticated, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { plan } = req.body;
+
+    if (!Membership.PLANS[plan]) {
+      return res.status(400).json({ success: false, message: 'Invalid plan' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const membership = await grantMembership(user._id, plan, req.session.user._id, {
+      audit: (granted, session) => recordAudit(req, {
+        action: 'membership.grant',
+        targetType: 'Membership',
+        targetId: granted._id,
+        changes: [
+          { field: 'plan', from: null, to: plan },
+          { field: 'expiresAt', from: null, to: granted.expiresAt }
+        ],
+        note: `Granted to ${user.email}`
+      }, { session })
+    });
+    await markUserSessionsStale(req.sessionStore, user._id);
+
+    res.json({ success: true, message: `${membership.planName} membership granted until ${membership.expiresAt.toDateString()}` });
+  } catch (error) {
+    console.error('Grant membership error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Revoke a membership period
+router.post('/memberships/:id/revoke', isAuthenticated, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const membership = await Membership.findById(req.params.id);
+
+    if (!membership) {
+      return res.status(404).json({ success: false, message: 'Membership not found' });
+    }
+
+    if (membership.status === 'revoked') {
+      return res.status(400).json({ success: false, message: 'Membership is already revoked' });
+    }
+
+    const reason = (req.body.reason || '').trim();
+    await revokeMembership(membership, {
+      revokedBy: req.session.user._id,
+      reason,
+      audit: (revoked, session) => recordAudit(req, {
+        action: 'membership.revoke',
+        targetType: 'Membership',
+        targetId: revoked._id,
+        changes: [{ field: 'status', from: 'active', to: 'revoked' }],
+        note: reason
+      }, { session })
+    });
+    await markUserSessionsStale(req.sessionStore, membership.userId);
+
+    res.json({ success: true, message: 'Membership revoked' });
+  } catch (error) {
+    console.error('Revoke membership error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Change a user's role
+router.post('/users/:id/role', isAuthenticated, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES[role]) {
+      return res.status(400).json({ success: false, message: 'Invalid role' });
+    }
+
+    // Keeps an admin from locking themselves out of role management
+    if (req.params.id === req.session.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const before = snapshot(user, ['role']);
+    user.role = role;
+
+    await inTransaction(async (session) => {
+      await user.save({ session });
+      await recordAudit(req, {
+        action: 'user.role',
+        targetType: 'User',
+        targetId: user._id,
+        changes: diff(before, snapshot(user, ['role']))
+      }, { session });
+    });
+
+    // New permissions apply from the user's next request
+    await markUserSessionsStale(req.sessionStore, user._id);
+
+    const message = isStaffRole(role) && !user.twoFactorEnabled
+      ? `Role changed to ${ROLES[role].label}. They must set up two-factor authentication before using staff features.`
+      : `Role changed to ${ROLES[role].label}`;
+
+    res.json({ success: true, message, role: user.role });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Roles, their permissions and current staff
+router.get('/roles', isAuthenticated, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: Object.keys(ROLES).filter(isStaffRole) } })
+      .select('name email role isActive twoFactorEnabled')
+      .sort({ role: 1, name: 1 });
+
+    res.render('admin/roles', {
+      title: 'Roles & Permissions - Hijab Marriage Bureau',
+      roles: ROLES,
+      permissions: PERMISSIONS,
+      staff
+    });
+  } catch (error) {
+    console.error('Roles error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
+});
+
+// Unlock an account locked by failed logins
+router.post('/users/:id/unlock', isAuthenticated, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!user.isLocked && user.failedLoginAttempts === 0) {
+      return res.status(400).json({ success: false, message: 'Account is not locked' });
+    }
+
+    const before = snapshot(user, ['failedLoginAttempts', 'lockUntil']);
+    await inTransaction(async (session) => {
+      await user.unlockAccount(req.session.user._id, session);
+      await recordAudit(req, {
+        action: 'user.unlock',
+        targetType: 'User',
+        targetId: user._id,
+        changes: diff(before, snapshot(user, ['failedLoginAttempts', 'lockUntil']))
+      }, { session });
+    });
+
+    res.json({ success: true, message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
 // Profile management
-router.get('/profiles', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/profiles', isAuthenticated, requirePermission('profiles:view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = 20;
@@ -180,8 +422,208 @@ router.get('/profiles', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
+// Reported profiles waiting for review (or resolved ones, with ?status=)
+router.get('/profiles/reports', isAuthenticated, requirePermission('profiles:view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const skip = (page - 1) * limit;
+
+    const status = Report.STATUSES.includes(req.query.status) ? req.query.status : 'open';
+    const filter = { status };
+    if (Object.keys(Report.REASONS).includes(req.query.reason)) filter.reason = req.query.reason;
+
+    const reports = await Report.find(filter)
+      .populate('profile', 'personalInfo.name status published')
+      .populate('reporter reportedUser', 'name email')
+      .populate('reviewedBy', 'name')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: status === 'open' ? 1 : -1 });
+
+    // Open reports per profile, so repeatedly reported profiles stand out
+    const openCounts = {};
+    (await Report.aggregate([
+      { $match: { status: 'open', profile: { $in: reports.map(report => report.profile && report.profile._id).filter(Boolean) } } },
+      { $group: { _id: '$profile', count: { $sum: 1 } } }
+    ])).forEach(({ _id, count }) => {
+      openCounts[_id.toString()] = count;
+    });
+
+    const total = await Report.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.render('admin/reports', {
+      title: 'Reported Profiles - Hijab Marriage Bureau',
+      reports,
+      openCounts,
+      openCount: await Report.countDocuments({ status: 'open' }),
+      reasons: Report.REASONS,
+      filters: { status, reason: filter.reason },
+      currentPage: page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    });
+  } catch (error) {
+    console.error('Reported profiles error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
+});
+
+// A report with the reported profile's history: earlier reports, blocks, interests and staff actions
+router.get('/profiles/reports/:id', isAuthenticated, requirePermission('profiles:view'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'name email createdAt')
+      .populate('reviewedBy', 'name');
+
+    if (!report) {
+      req.flash('error_msg', 'Report not found');
+      return res.redirect('/admin/profiles/reports');
+    }
+
+    const profile = await RishtaProfile.findById(report.profile)
+      .populate('userId', 'name email phone isActive createdAt lastLogin')
+      .populate('approvedBy', 'name');
+
+    const otherReports = await Report.find({ reportedUser: report.reportedUser, _id: { $ne: report._id } })
+      .populate('reporter', 'name')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    const auditEntries = await AuditLog.find({
+      $or: [
+        { targetType: 'RishtaProfile', targetId: report.profile },
+        { targetType: 'User', targetId: report.reportedUser }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const history = {
+      blockedBy: await Block.countDocuments({ blocked: report.reportedUser }),
+      interestsSent: await Interest.countDocuments({ fromUser: report.reportedUser }),
+      interestsDeclined: await Interest.countDocuments({ fromUser: report.reportedUser, status: 'declined' }),
+      reportedMessages: await Message.countDocuments({ sender: report.reportedUser, 'reports.0': { $exists: true } })
+    };
+
+    res.render('admin/report-detail', {
+      title: 'Profile Report - Hijab Marriage Bureau',
+      report,
+      profile,
+      otherReports,
+      auditEntries,
+      history,
+      canSuspend: hasPermission(req.session.user, 'users:manage')
+    });
+  } catch (error) {
+    console.error('Report detail error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin/profiles/reports');
+  }
+});
+
+// Screenshot attached to a report
+router.get('/profiles/reports/:id/evidence/:evidenceId', isAuthenticated, requirePermission('profiles:view'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('evidence');
+    const evidence = report && report.evidence.id(req.params.evidenceId);
+
+    if (!evidence || !evidence.publicId) {
+      return res.status(404).send('Evidence not found');
+    }
+
+    await sendImage(res, evidence);
+  } catch (error) {
+    console.error('Report evidence error:', error);
+    res.status(500).send('An error occurred');
+  }
+});
+
+// Resolve every open report on the profile: dismiss, unpublish the profile or suspend the account
+router.post('/profiles/reports/:id', isAuthenticated, requirePermission('profiles:review'), async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    if (!Report.ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, message: 'Invalid action' });
+    }
+
+    if (action === 'suspend' && !hasPermission(req.session.user, 'users:manage')) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to suspend accounts' });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(400).json({ success: false, message: 'This report has already been resolved' });
+    }
+
+    const profile = await RishtaProfile.findById(report.profile);
+    const profileBefore = profile && snapshot(profile, ['published']);
+    const user = action === 'suspend' ? await User.findById(report.reportedUser) : null;
+    const suspending = Boolean(user && user.isActive);
+
+    const resolved = await inTransaction(async (session) => {
+      if (action === 'unpublish' && profile) {
+        profile.published = false;
+        await profile.save({ session });
+      }
+
+      if (suspending) {
+        user.isActive = false;
+        await user.save({ session });
+
+        await recordAudit(req, {
+          action: 'user.status',
+          targetType: 'User',
+          targetId: user._id,
+          changes: [{ field: 'isActive', from: true, to: false }],
+          note: `Suspended after profile report: ${report.reasonLabel}`
+        }, { session });
+      }
+
+      const result = await Report.updateMany({ profile: report.profile, status: 'open' }, {
+        status: action === 'none' ? 'dismissed' : 'actioned',
+        action,
+        reviewedBy: req.session.user._id,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }, { session });
+
+      await recordAudit(req, {
+        action: 'profile.report',
+        targetType: 'RishtaProfile',
+        targetId: report.profile,
+        changes: profile ? diff(profileBefore, snapshot(profile, ['published'])) : [],
+        note: [`${result.modifiedCount} report(s) resolved: ${action}`, note].filter(Boolean).join(' - ')
+      }, { session });
+
+      return result;
+    });
+
+    if (suspending) {
+      await destroyUserSessions(req.sessionStore, user._id);
+    }
+
+    res.json({
+      success: true,
+      message: resolved.modifiedCount === 1 ? 'Report resolved' : `${resolved.modifiedCount} reports resolved`,
+      resolved: resolved.modifiedCount
+    });
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
 // View profile details
-router.get('/profiles/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/profiles/:id', isAuthenticated, requirePermission('profiles:view'), async (req, res) => {
   try {
     const profile = await RishtaProfile.findById(req.params.id)
       .populate('userId', 'name email phone')
@@ -192,9 +634,14 @@ router.get('/profiles/:id', isAuthenticated, isAdmin, async (req, res) => {
       return res.redirect('/admin/profiles');
     }
 
+    const reports = await Report.find({ profile: profile._id })
+      .populate('reporter', 'name')
+      .sort({ createdAt: -1 });
+
     res.render('admin/profile-detail', {
       title: `Profile: ${profile.personalInfo.name} - Hijab Marriage Bureau`,
-      profile
+      profile,
+      reports
     });
   } catch (error) {
     console.error('Profile detail error:', error);
@@ -204,7 +651,7 @@ router.get('/profiles/:id', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Approve/reject profile
-router.post('/profiles/:id/review', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/profiles/:id/review', isAuthenticated, requirePermission('profiles:review'), async (req, res) => {
   try {
     const { action, rejectionReason } = req.body;
     const profile = await RishtaProfile.findById(req.params.id);
@@ -213,6 +660,9 @@ router.post('/profiles/:id/review', isAuthenticated, isAdmin, async (req, res) =
       return res.status(404).json({ success: false, message: 'Profile not found' });
     }
 
+    const reviewFields = ['status', 'published', 'rejectionReason', 'approvedBy'];
+    const before = snapshot(profile, reviewFields);
+
     if (action === 'approve') {
       profile.status = 'approved';
       profile.published = true;
@@ -227,7 +677,34 @@ router.post('/profiles/:id/review', isAuthenticated, isAdmin, async (req, res) =
       profile.approvedAt = new Date();
     }
 
-    await profile.save();
+    await inTransaction(async (session) => {
+      await profile.save({ session });
+      await recordAudit(req, {
+        action: 'profile.review',
+        targetType: 'RishtaProfile',
+        targetId: profile._id,
+        changes: diff(before, snapshot(profile, reviewFields)),
+        note: rejectionReason
+      }, { session });
+    });
+
+    if (action === 'approve') {
+      await notify(profile.userId, {
+        type: 'profile.approved',
+        title: 'Your profile has been approved',
+        message: 'Your profile is now published and visible to other members.',
+        link: '/profiles/view'
+      });
+    } else if (action === 'reject') {
+      await notify(profile.userId, {
+        type: 'profile.rejected',
+        title: 'Your profile needs changes',
+        message: rejectionReason
+          ? `Our team could not approve your profile: ${rejectionReason}`
+          : 'Our team could not approve your profile. Please review and update it.',
+        link: '/profiles/edit'
+      });
+    }
 
     res.json({ 
       success: true, 
@@ -242,7 +719,7 @@ router.post('/profiles/:id/review', isAuthenticated, isAdmin, async (req, res) =
 });
 
 // Toggle profile publication
-router.post('/profiles/:id/publish', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/profiles/:id/publish', isAuthenticated, requirePermission('profiles:review'), async (req, res) => {
   try {
     const profile = await RishtaProfile.findById(req.params.id);
 
@@ -255,7 +732,16 @@ router.post('/profiles/:id/publish', isAuthenticated, isAdmin, async (req, res)
     }
 
     profile.published = !profile.published;
-    await profile.save();
+
+    await inTransaction(async (session) => {
+      await profile.save({ session });
+      await recordAudit(req, {
+        action: 'profile.publish',
+        targetType: 'RishtaProfile',
+        targetId: profile._id,
+        changes: [{ field: 'published', from: !profile.published, to: profile.published }]
+      }, { session });
+    });
 
     res.json({ 
       success: true, 
@@ -269,21 +755,352 @@ router.post('/profiles/:id/publish', isAuthenticated, isAdmin, async (req, res)
   }
 });
 
+// Contact messages inbox
+router.get('/messages', isAuthenticated, requirePermission('messages:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter (archived messages are hidden unless requested)
+    const filter = {};
+    filter.status = ContactMessage.STATUSES.includes(req.query.status) ? req.query.status : { $ne: 'archived' };
+    if (req.query.assignedTo === 'me') {
+      filter.assignedTo = req.session.user._id;
+    } else if (req.query.assignedTo === 'none') {
+      filter.assignedTo = null;
+    }
+
+    const messages = await ContactMessage.find(filter)
+      .populate('userId', 'name email')
+      .populate('assignedTo', 'name')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await ContactMessage.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+    const unreadCount = await ContactMessage.countDocuments({ status: 'unread' });
+
+    res.render('admin/messages', {
+      title: 'Messages - Hijab Marriage Bureau',
+      messages,
+      unreadCount,
+      currentPage: page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      filters: req.query
+    });
+  } catch (error) {
+    console.error('Messages inbox error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
+});
+
+// View contact message
+router.get('/messages/:id', isAuthenticated, requirePermission('messages:manage'), async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id)
+      .populate('userId', 'name email phone')
+      .populate('assignedTo', 'name')
+      .populate('replyNotes.author', 'name');
+
+    if (!message) {
+      req.flash('error_msg', 'Message not found');
+      return res.redirect('/admin/messages');
+    }
+
+    // Opening an unread message marks it as read
+    if (message.status === 'unread') {
+      message.status = 'read';
+      message.readAt = new Date();
+      await message.save();
+    }
+
+    const admins = await User.find({ role: { $in: rolesWithPermission('messages:manage') }, isActive: true })
+      .select('name')
+      .sort({ name: 1 });
+
+    res.render('admin/message-detail', {
+      title: `Message from ${message.name} - Hijab Marriage Bureau`,
+      message,
+      admins
+    });
+  } catch (error) {
+    console.error('Message detail error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin/messages');
+  }
+});
+
+// Update contact message status (read/unread/archived)
+router.post('/messages/:id/status', isAuthenticated, requirePermission('messages:manage'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ContactMessage.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const before = snapshot(message, ['status']);
+    message.status = status;
+    message.readAt = status === 'unread' ? undefined : (message.readAt || new Date());
+    message.archivedAt = status === 'archived' ? new Date() : undefined;
+
+    await inTransaction(async (session) => {
+      await message.save({ session });
+      await recordAudit(req, {
+        action: 'message.status',
+        targetType: 'ContactMessage',
+        targetId: message._id,
+        changes: diff(before, snapshot(message, ['status']))
+      }, { session });
+    });
+
+    res.json({ success: true, message: `Message marked as ${status}`, status: message.status });
+  } catch (error) {
+    console.error('Update message status error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Assign contact message to a staff member who handles messages
+router.post('/messages/:id/assign', isAuthenticated, requirePermission('messages:manage'), async (req, res) => {
+  try {
+    const { adminId } = req.body;
+    const message = await ContactMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const before = snapshot(message, ['assignedTo']);
+
+    if (adminId) {
+      const admin = await User.findOne({ _id: adminId, role: { $in: rolesWithPermission('messages:manage') } });
+      if (!admin) {
+        return res.status(400).json({ success: false, message: 'Assignee must be a staff member who handles messages' });
+      }
+      message.assignedTo = admin._id;
+    } else {
+      message.assignedTo = undefined;
+    }
+
+    await inTransaction(async (session) => {
+      await message.save({ session });
+      await recordAudit(req, {
+        action: 'message.assign',
+        targetType: 'ContactMessage',
+        targetId: message._id,
+        changes: diff(before, snapshot(message, ['assignedTo']))
+      }, { session });
+    });
+
+    res.json({ success: true, message: adminId ? 'Message assigned successfully' : 'Message unassigned' });
+  } catch (error) {
+    console.error('Assign message error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Add a reply note to a contact message
+router.post('/messages/:id/notes', isAuthenticated, requirePermission('messages:manage'), async (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'Note cannot be empty' });
+    }
+
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    message.replyNotes.push({
+      note,
+      author: req.session.user._id
+    });
+
+    await inTransaction(async (session) => {
+      await message.save({ session });
+      await recordAudit(req, {
+        action: 'message.note',
+        targetType: 'ContactMessage',
+        targetId: message._id,
+        note
+      }, { session });
+    });
+
+    res.json({ success: true, message: 'Note added successfully', replyNotes: message.replyNotes });
+  } catch (error) {
+    console.error('Add message note error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Reported member messages waiting for a moderator (or reviewed ones, with ?status=)
+router.get('/moderation', isAuthenticated, requirePermission('conversations:moderate'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const skip = (page - 1) * limit;
+
+    const status = ['reported', 'removed', 'cleared'].includes(req.query.status) ? req.query.status : 'reported';
+    const filter = { 'moderation.status': status };
+
+    const messages = await Message.find(filter)
+      .select('+originalBody')
+      .populate('sender', 'name email')
+      .populate('reports.reporter', 'name')
+      .populate('moderation.reviewedBy', 'name')
+      .skip(skip)
+      .limit(limit)
+      .sort({ updatedAt: 1 });
+
+    // The messages around each reported one, so moderators see it in context
+    const context = {};
+    for (const message of messages) {
+      context[message._id.toString()] = await Message.find({
+        conversation: message.conversation,
+        createdAt: { $lte: message.createdAt }
+      })
+        .populate('sender', 'name')
+        .sort({ createdAt: -1 })
+        .limit(6);
+    }
+
+    const total = await Message.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+    const pendingCount = await Message.countDocuments({ 'moderation.status': 'reported' });
+
+    res.render('admin/moderation', {
+      title: 'Message Moderation - Hijab Marriage Bureau',
+      messages,
+      context,
+      status,
+      pendingCount,
+      reportReasons: Message.REPORT_REASONS,
+      currentPage: page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
+});
+
+// Resolve a reported message: remove it from the conversation or clear it
+router.post('/moderation/:id', isAuthenticated, requirePermission('conversations:moderate'), async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    if (!['remove', 'clear'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'Invalid action' });
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const before = snapshot(message, ['moderation.status']);
+    message.moderation.status = action === 'remove' ? 'removed' : 'cleared';
+    message.moderation.reviewedBy = req.session.user._id;
+    message.moderation.reviewedAt = new Date();
+    message.moderation.note = note;
+
+    const conversation = await Conversation.findById(message.conversation).select('participants');
+
+    await inTransaction(async (session) => {
+      await message.save({ session });
+      await recordAudit(req, {
+        action: 'conversation.moderate',
+        targetType: 'Message',
+        targetId: message._id,
+        changes: diff(before, snapshot(message, ['moderation.status'])),
+        note: [note, conversation ? `Conversation ${conversation._id}` : ''].filter(Boolean).join(' - ')
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      message: action === 'remove' ? 'Message removed' : 'Message cleared',
+      status: message.moderation.status
+    });
+  } catch (error) {
+    console.error('Moderate message error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
 // System settings
-router.get('/settings', isAuthenticated, isAdmin, (req, res) => {
-  res.render('admin/settings', {
-    title: 'System Settings - Hijab Marriage Bureau'
-  });
+router.get('/settings', isAuthenticated, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const history = await getSettingsHistory();
+
+    res.render('admin/settings', {
+      title: 'System Settings - Hijab Marriage Bureau',
+      settings,
+      history,
+      errors: []
+    });
+  } catch (error) {
+    console.error('Settings page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
 });
 
 // Update system settings
-router.post('/settings', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/settings', isAuthenticated, requirePermission('settings:manage'), settingsValidation, async (req, res) => {
   try {
-    const { registrationFee, internationalFee, easypaisaNumber, easypaisaAccount } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const history = await getSettingsHistory();
+      return res.render('admin/settings', {
+        title: 'System Settings - Hijab Marriage Bureau',
+        settings: { ...(await getSettings()), ...req.body },
+        history,
+        errors: errors.array()
+      });
+    }
 
-    // TODO: Implement settings storage
-    // For now, just show success message
-    req.flash('success_msg', 'Settings updated successfully');
+    const { registrationFee, internationalFee, premiumFee, easypaisaNumber, easypaisaAccount } = req.body;
+
+    const { changes } = await inTransaction(async (session) => {
+      const update = await updateSettings({
+        registrationFee,
+        internationalFee,
+        premiumFee,
+        easypaisaNumber,
+        easypaisaAccount
+      }, req.session.user._id, { session });
+
+      if (update.changes.length > 0) {
+        await recordAudit(req, {
+          action: 'settings.update',
+          targetType: 'Settings',
+          targetId: update.settings._id,
+          changes: update.changes
+        }, { session });
+      }
+
+      return update;
+    });
+
+    req.flash('success_msg', changes.length > 0 ? 'Settings updated successfully' : 'No changes to save');
     res.redirect('/admin/settings');
 
   } catch (error) {
@@ -293,8 +1110,64 @@ router.post('/settings', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
+// Audit log of staff actions
+router.get('/audit', isAuthenticated, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 50;
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuditFilter(req.query);
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    const actors = await User.find({ role: { $in: Object.keys(ROLES).filter(isStaffRole) } })
+      .select('name')
+      .sort({ name: 1 });
+
+    res.render('admin/audit', {
+      title: 'Audit Log - Hijab Marriage Bureau',
+      entries,
+      actions: AuditLog.ACTIONS,
+      targetTypes: AuditLog.TARGET_TYPES,
+      actors,
+      currentPage: page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      filters: req.query
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/admin');
+  }
+});
+
+// Export the filtered audit log as CSV
+router.get('/audit/export', isAuthenticated, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const csv = await exportAuditCsv(buildAuditFilter(req.query));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Audit export error:', error);
+    req.flash('error_msg', 'An error occurred while exporting the audit log');
+    res.redirect('/admin/audit');
+  }
+});
+
 // Analytics
-router.get('/analytics', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/analytics', isAuthenticated, requirePermission('analytics:view'), async (req, res) => {
   try {
     // Get monthly statistics
     const currentDate = new Date();
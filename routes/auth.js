@@ -1,9 +1,35 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { isNotAuthenticated } = require('../middleware/auth');
+const RishtaProfile = require('../models/RishtaProfile');
+const { isAuthenticated, isNotAuthenticated } = require('../middleware/auth');
+const { loginLimiter, forgotPasswordLimiter } = require('../middleware/rateLimit');
+const { sendMail } = require('../services/mailer');
+const { toSessionUser, trackUserSession, untrackSession, destroyUserSessions } = require('../services/sessions');
+const { resendCooldown, sendEmailVerification, sendPhoneOtp } = require('../services/verification');
+const { keyUri } = require('../services/totp');
+const { appUrl } = require('../services/urls');
+const { isStaffRole } = require('../services/permissions');
 const router = express.Router();
 
+// Password rules shared by registration and password reset
+const passwordValidation = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number'),
+  
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
 // Validation rules
 const registerValidation = [
   body('name')
@@ -18,19 +44,7 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please enter a valid email address'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number'),
-  
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.password) {
-        throw new Error('Password confirmation does not match password');
-      }
-      return true;
-    }),
+  ...passwordValidation,
   
   body('phone')
     .trim()
@@ -49,6 +63,86 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// Explain why a login attempt was refused
+const lockoutMessage = (user, retryAfter) => {
+  if (user.isLocked) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return `Too many failed login attempts. Your account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`;
+  }
+  return `Too many failed login attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`;
+};
+
+// Pending two-factor logins expire after this long
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+
+// Start the session for a fully authenticated user and send them on
+const completeLogin = async (req, res, user) => {
+  // Update last login and forget earlier failures
+  user.clearFailedLogins();
+  user.lastLogin = new Date();
+  await user.save();
+  await RishtaProfile.updateOne({ userId: user._id }, { lastActiveAt: user.lastLogin });
+
+  // Start a new session, so an ID planted before login cannot be used to ride this one
+  await new Promise((resolve, reject) => {
+    req.session.regenerate((err) => (err ? reject(err) : resolve()));
+  });
+
+  req.session.user = toSessionUser(user);
+  await trackUserSession(req.sessionID, user._id);
+
+  req.flash('success_msg', `Welcome back, ${user.name}!`);
+
+  // Redirect based on user status
+  if (isStaffRole(user.role) && !user.twoFactorEnabled) {
+    res.redirect('/auth/2fa/setup');
+  } else if (!user.phoneVerified) {
+    res.redirect('/auth/verify');
+  } else if (!user.isPaid) {
+    res.redirect('/payments');
+  } else if (!user.profileCompleted) {
+    res.redirect('/profiles/create');
+  } else {
+    res.redirect('/dashboard');
+  }
+};
+
+// User waiting for the second login step, if that step has not expired
+const findPendingTwoFactorUser = async (req) => {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_LOGIN_MINUTES * 60 * 1000) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+
+  return User.findById(pending.userId)
+    .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+};
+
+// Render the two-factor setup or management page
+const renderTwoFactorSetup = async (req, res, user, errors = []) => {
+  const locals = {
+    title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+    account: user,
+    required: isStaffRole(user.role),
+    errors
+  };
+
+  if (!user.twoFactorEnabled) {
+    const secret = user.twoFactorPendingSecret;
+    locals.secret = secret;
+    locals.qrCode = await QRCode.toDataURL(keyUri({
+      secret,
+      account: user.email,
+      issuer: 'Hijab Marriage Bureau'
+    }));
+  } else {
+    locals.recoveryCodesRemaining = (user.twoFactorRecoveryCodes || []).length;
+  }
+
+  res.render('auth/two-factor-setup', locals);
+};
+
 // Register page
 router.get('/register', isNotAuthenticated, (req, res) => {
   res.render('auth/register', {
@@ -91,7 +185,19 @@ router.post('/register', isNotAuthenticated, registerValidation, async (req, res
 
     await user.save();
 
-    req.flash('success_msg', 'Registration successful! Please log in to continue.');
+    // Send the email link and phone code; either can be resent after login
+    try {
+      await sendEmailVerification(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    try {
+      await sendPhoneOtp(user);
+    } catch (smsError) {
+      console.error('Verification SMS error:', smsError);
+    }
+
+    req.flash('success_msg', 'Registration successful! We have sent a verification link to your email and a code to your phone. Please log in to continue.');
     res.redirect('/auth/login');
 
   } catch (error) {
@@ -113,7 +219,7 @@ router.get('/login', isNotAuthenticated, (req, res) => {
 });
 
 // Login POST
-router.post('/login', isNotAuthenticated, loginValidation, async (req, res) => {
+router.post('/login', isNotAuthenticated, loginLimiter, loginValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -129,18 +235,20 @@ router.post('/login', isNotAuthenticated, loginValidation, async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.render('auth/login', {
+      return res.status(401).render('auth/login', {
         title: 'Login - Hijab Marriage Bureau',
         errors: [{ msg: 'Invalid email or password' }],
         formData: req.body
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.render('auth/login', {
+    // Refuse attempts while locked out or inside the progressive delay
+    const retryAfter = user.loginRetryAfter();
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).render('auth/login', {
         title: 'Login - Hijab Marriage Bureau',
-        errors: [{ msg: 'Your account has been deactivated. Please contact support.' }],
+        errors: [{ msg: lockoutMessage(user, retryAfter) }],
         formData: req.body
       });
     }
@@ -148,38 +256,32 @@ router.post('/login', isNotAuthenticated, loginValidation, async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.render('auth/login', {
+      await user.registerFailedLogin(req.ip);
+
+      return res.status(401).render('auth/login', {
         title: 'Login - Hijab Marriage Bureau',
-        errors: [{ msg: 'Invalid email or password' }],
+        errors: [{ msg: user.isLocked ? lockoutMessage(user, user.loginRetryAfter()) : 'Invalid email or password' }],
         formData: req.body
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Set session
-    req.session.user = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isPaid: user.isPaid,
-      profileCompleted: user.profileCompleted
-    };
+    // Only tell the account holder, once the password proves it, that the account is deactivated
+    if (!user.isActive) {
+      return res.status(403).render('auth/login', {
+        title: 'Login - Hijab Marriage Bureau',
+        errors: [{ msg: 'Your account has been deactivated. Please contact support.' }],
+        formData: req.body
+      });
+    }
 
-    req.flash('success_msg', `Welcome back, ${user.name}!`);
-    
-    // Redirect based on user status
-    if (!user.isPaid) {
-      res.redirect('/payments');
-    } else if (!user.profileCompleted) {
-      res.redirect('/profiles/create');
-    } else {
-      res.redirect('/dashboard');
+    // Accounts with two-factor authentication finish logging in with a code
+    if (user.twoFactorEnabled) {
+      req.session.pendingTwoFactor = { userId: user._id, startedAt: Date.now() };
+      return res.redirect('/auth/2fa');
     }
 
+    await completeLogin(req, res, user);
+
   } catch (error) {
     console.error('Login error:', error);
     res.render('auth/login', {
@@ -192,14 +294,354 @@ router.post('/login', isNotAuthenticated, loginValidation, async (req, res) => {
 
 // Logout
 router.get('/logout', (req, res) => {
-  req.session.destroy((err) => {
+  const sid = req.sessionID;
+
+  req.session.destroy(async (err) => {
     if (err) {
       console.error('Logout error:', err);
     }
+
+    try {
+      await untrackSession(sid);
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     res.redirect('/');
   });
 });
 
+// Second login step for accounts with two-factor authentication
+router.get('/2fa', isNotAuthenticated, async (req, res) => {
+  try {
+    const user = await findPendingTwoFactorUser(req);
+    if (!user) {
+      req.flash('error_msg', 'Please log in again.');
+      return res.redirect('/auth/login');
+    }
+
+    res.render('auth/two-factor', {
+      title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+      errors: []
+    });
+  } catch (error) {
+    console.error('Two-factor page error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/login');
+  }
+});
+
+router.post('/2fa', isNotAuthenticated, loginLimiter, [
+  body('code').trim().notEmpty().withMessage('Please enter your authentication code')
+], async (req, res) => {
+  try {
+    const user = await findPendingTwoFactorUser(req);
+    if (!user || !user.isActive) {
+      req.flash('error_msg', 'Please log in again.');
+      return res.redirect('/auth/login');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.render('auth/two-factor', {
+        title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+        errors: errors.array()
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = user.loginRetryAfter();
+    if (retryAfter > 0) {
+      if (user.isLocked) delete req.session.pendingTwoFactor;
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).render('auth/two-factor', {
+        title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+        errors: [{ msg: lockoutMessage(user, retryAfter) }]
+      });
+    }
+
+    const method = user.verifyTwoFactorCode(req.body.code);
+    if (!method) {
+      await user.registerFailedLogin(req.ip);
+      if (user.isLocked) delete req.session.pendingTwoFactor;
+
+      return res.status(401).render('auth/two-factor', {
+        title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+        errors: [{ msg: user.isLocked ? lockoutMessage(user, user.loginRetryAfter()) : 'Invalid authentication code' }]
+      });
+    }
+
+    if (method === 'recovery') {
+      const remaining = user.twoFactorRecoveryCodes.length;
+      req.flash('error_msg', `You used a recovery code. ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`);
+    }
+
+    delete req.session.pendingTwoFactor;
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.render('auth/two-factor', {
+      title: 'Two-Factor Authentication - Hijab Marriage Bureau',
+      errors: [{ msg: 'An error occurred. Please try again.' }]
+    });
+  }
+});
+
+// Two-factor enrollment and management
+router.get('/2fa/setup', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+      .select('+twoFactorPendingSecret +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled && !user.twoFactorPendingSecret) {
+      user.startTwoFactorEnrollment();
+      await user.save();
+    }
+
+    await renderTwoFactorSetup(req, res, user);
+  } catch (error) {
+    console.error('Two-factor setup page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/dashboard');
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/setup', isAuthenticated, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Please enter the 6-digit code from your authenticator app')
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+      .select('+twoFactorPendingSecret +twoFactorRecoveryCodes');
+
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.redirect('/auth/2fa/setup');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderTwoFactorSetup(req, res, user, errors.array());
+    }
+
+    const recoveryCodes = user.confirmTwoFactorEnrollment(req.body.code);
+    if (!recoveryCodes) {
+      return renderTwoFactorSetup(req, res, user, [{ msg: 'Invalid authentication code. Check the time on your device and try again.' }]);
+    }
+
+    await user.save();
+    req.session.user.twoFactorEnabled = true;
+
+    res.render('auth/recovery-codes', {
+      title: 'Recovery Codes - Hijab Marriage Bureau',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/2fa/setup');
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled || user.verifyTwoFactorCode(req.body.code || '') !== 'totp') {
+      req.flash('error_msg', 'Please enter a valid code from your authenticator app.');
+      return res.redirect('/auth/2fa/setup');
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.render('auth/recovery-codes', {
+      title: 'Recovery Codes - Hijab Marriage Bureau',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/2fa/setup');
+  }
+});
+
+// Turn off two-factor authentication (members only)
+router.post('/2fa/disable', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+      .select('+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (isStaffRole(user.role)) {
+      req.flash('error_msg', 'Two-factor authentication is required for staff accounts.');
+      return res.redirect('/auth/2fa/setup');
+    }
+
+    const isMatch = await user.comparePassword(req.body.password || '');
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code || '')) {
+      req.flash('error_msg', 'Your password or authentication code is incorrect.');
+      return res.redirect('/auth/2fa/setup');
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+    req.session.user.twoFactorEnabled = false;
+
+    req.flash('success_msg', 'Two-factor authentication has been turned off.');
+    res.redirect('/auth/2fa/setup');
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/2fa/setup');
+  }
+});
+
+// Verification status page
+router.get('/verify', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id);
+
+    res.render('auth/verify', {
+      title: 'Verify Your Account - Hijab Marriage Bureau',
+      account: user,
+      emailCooldown: resendCooldown(user.emailVerificationSentAt),
+      phoneCooldown: resendCooldown(user.phoneOtpSentAt),
+      errors: []
+    });
+  } catch (error) {
+    console.error('Verification page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/dashboard');
+  }
+});
+
+// Verify email from the emailed link
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      req.flash('error_msg', 'Email verification link is invalid or has expired.');
+      return res.redirect(req.session.user ? '/auth/verify' : '/auth/login');
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    if (req.session.user && req.session.user._id.toString() === user._id.toString()) {
+      req.session.user.emailVerified = true;
+    }
+
+    req.flash('success_msg', 'Your email address has been verified.');
+    res.redirect(req.session.user ? '/auth/verify' : '/auth/login');
+  } catch (error) {
+    console.error('Email verification error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/login');
+  }
+});
+
+// Resend the email verification link
+router.post('/verify-email/resend', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id);
+
+    if (user.emailVerified) {
+      req.flash('success_msg', 'Your email address is already verified.');
+      return res.redirect('/auth/verify');
+    }
+
+    const cooldown = resendCooldown(user.emailVerificationSentAt);
+    if (cooldown > 0) {
+      req.flash('error_msg', `Please wait ${cooldown} seconds before requesting another email.`);
+      return res.redirect('/auth/verify');
+    }
+
+    await sendEmailVerification(user);
+
+    req.flash('success_msg', 'A new verification link has been sent to your email.');
+    res.redirect('/auth/verify');
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    req.flash('error_msg', 'Could not send the verification email. Please try again.');
+    res.redirect('/auth/verify');
+  }
+});
+
+// Verify phone with the texted code
+router.post('/verify-phone', isAuthenticated, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Please enter the 6-digit code sent to your phone')
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+      .select('+phoneOtp +phoneOtpExpires +phoneOtpAttempts');
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.render('auth/verify', {
+        title: 'Verify Your Account - Hijab Marriage Bureau',
+        account: user,
+        emailCooldown: resendCooldown(user.emailVerificationSentAt),
+        phoneCooldown: resendCooldown(user.phoneOtpSentAt),
+        errors: errors.array()
+      });
+    }
+
+    if (user.phoneVerified) {
+      req.flash('success_msg', 'Your phone number is already verified.');
+      return res.redirect('/auth/verify');
+    }
+
+    const result = user.verifyPhoneOtp(req.body.code);
+    await user.save();
+
+    if (result !== 'verified') {
+      const messages = {
+        invalid: 'The code you entered is incorrect.',
+        expired: 'This code has expired. Please request a new one.',
+        'too-many-attempts': 'Too many incorrect codes. Please request a new one.'
+      };
+      req.flash('error_msg', messages[result]);
+      return res.redirect('/auth/verify');
+    }
+
+    req.session.user.phoneVerified = true;
+
+    req.flash('success_msg', 'Your phone number has been verified.');
+    res.redirect(user.isPaid ? '/dashboard' : '/payments');
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/verify');
+  }
+});
+
+// Resend the phone verification code
+router.post('/verify-phone/resend', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id);
+
+    if (user.phoneVerified) {
+      req.flash('success_msg', 'Your phone number is already verified.');
+      return res.redirect('/auth/verify');
+    }
+
+    const cooldown = resendCooldown(user.phoneOtpSentAt);
+    if (cooldown > 0) {
+      req.flash('error_msg', `Please wait ${cooldown} seconds before requesting another code.`);
+      return res.redirect('/auth/verify');
+    }
+
+    await sendPhoneOtp(user);
+
+    req.flash('success_msg', 'A new verification code has been sent to your phone.');
+    res.redirect('/auth/verify');
+  } catch (error) {
+    console.error('Resend verification code error:', error);
+    req.flash('error_msg', 'Could not send the verification code. Please try again.');
+    res.redirect('/auth/verify');
+  }
+});
+
 // Forgot password page
 router.get('/forgot-password', isNotAuthenticated, (req, res) => {
   res.render('auth/forgot-password', {
@@ -209,7 +651,7 @@ router.get('/forgot-password', isNotAuthenticated, (req, res) => {
 });
 
 // Forgot password POST
-router.post('/forgot-password', isNotAuthenticated, [
+router.post('/forgot-password', isNotAuthenticated, forgotPasswordLimiter, [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email address')
 ], async (req, res) => {
   try {
@@ -231,9 +673,30 @@ router.post('/forgot-password', isNotAuthenticated, [
       return res.redirect('/auth/login');
     }
 
-    // TODO: Implement password reset functionality
-    // For now, just show a message
-    req.flash('success_msg', 'Password reset functionality will be implemented soon. Please contact support for assistance.');
+    // Generate reset token (replaces any previous one)
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = appUrl(`/auth/reset-password/${resetToken}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Password Reset - Hijab Marriage Bureau',
+        text: `Assalam-o-Alaikum ${user.name},\n\n` +
+          'We received a request to reset the password for your account. ' +
+          `Open the link below within 1 hour to choose a new password:\n\n${resetUrl}\n\n` +
+          'If you did not request this, you can safely ignore this email.'
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      throw mailError;
+    }
+
+    req.flash('success_msg', 'If an account with that email exists, you will receive password reset instructions.');
     res.redirect('/auth/login');
 
   } catch (error) {
@@ -246,4 +709,65 @@ router.post('/forgot-password', isNotAuthenticated, [
   }
 });
 
+// Reset password page
+router.get('/reset-password/:token', isNotAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      req.flash('error_msg', 'Password reset link is invalid or has expired.');
+      return res.redirect('/auth/forgot-password');
+    }
+
+    res.render('auth/reset-password', {
+      title: 'Reset Password - Hijab Marriage Bureau',
+      token: req.params.token,
+      errors: []
+    });
+  } catch (error) {
+    console.error('Reset password page error:', error);
+    req.flash('error_msg', 'An error occurred. Please try again.');
+    res.redirect('/auth/forgot-password');
+  }
+});
+
+// Reset password POST
+router.post('/reset-password/:token', isNotAuthenticated, passwordValidation, async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      req.flash('error_msg', 'Password reset link is invalid or has expired.');
+      return res.redirect('/auth/forgot-password');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.render('auth/reset-password', {
+        title: 'Reset Password - Hijab Marriage Bureau',
+        token: req.params.token,
+        errors: errors.array()
+      });
+    }
+
+    // Set new password and consume the token
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Log the user out everywhere
+    await destroyUserSessions(req.sessionStore, user._id);
+
+    req.flash('success_msg', 'Your password has been reset. Please log in with your new password.');
+    res.redirect('/auth/login');
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.render('auth/reset-password', {
+      title: 'Reset Password - Hijab Marriage Bureau',
+      token: req.params.token,
+      errors: [{ msg: 'An error occurred. Please try again.' }]
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,349 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Interest = require('../models/Interest');
+const { isAuthenticated, hasPaid } = require('../middleware/auth');
+const {
+  openConversation,
+  cannotSend,
+  sendMessage,
+  addGuardian,
+  findByGuardianToken
+} = require('../services/conversations');
+const { notify, notifyStaff } = require('../services/notifications');
+const router = express.Router();
+
+const messageValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+];
+
+const guardianValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Guardian name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email for your guardian'),
+  body('relation')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Relation cannot exceed 30 characters')
+];
+
+const reportValidation = [
+  body('reason')
+    .isIn(Object.keys(Message.REPORT_REASONS))
+    .withMessage('Please select a reason for the report'),
+  body('details')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+];
+
+const validationMessage = (req) => {
+  const errors = validationResult(req);
+  return errors.isEmpty() ? null : errors.array().map(error => error.msg).join(', ');
+};
+
+// The member's own conversation, or null
+const findOwnConversation = (id, userId) => Conversation.findOne({ _id: id, participants: userId });
+
+// Read-only view for a guardian's private link
+router.get('/guardian/:token', async (req, res) => {
+  try {
+    const access = await findByGuardianToken(req.params.token);
+    if (!access) {
+      return res.status(404).render('error', {
+        message: 'This link is no longer valid',
+        error: {}
+      });
+    }
+
+    const messages = await Message.find({ conversation: access.conversation._id })
+      .populate('sender', 'name')
+      .sort({ createdAt: 1 });
+
+    res.render('conversations/guardian', {
+      title: 'Shared Conversation - Hijab Marriage Bureau',
+      conversation: access.conversation,
+      guardian: access.guardian,
+      messages
+    });
+  } catch (error) {
+    console.error('Guardian conversation error:', error);
+    res.status(404).render('error', {
+      message: 'This link is no longer valid',
+      error: {}
+    });
+  }
+});
+
+// Conversations list
+router.get('/', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.session.user._id);
+
+    const conversations = await Conversation.find({ participants: userId })
+      .populate('participants', 'name')
+      .sort({ lastMessageAt: -1, createdAt: -1 });
+
+    const unread = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(conversation => conversation._id) },
+          sender: { $ne: userId },
+          readAt: null
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+    const unreadCounts = {};
+    unread.forEach(({ _id, count }) => {
+      unreadCounts[_id.toString()] = count;
+    });
+
+    res.render('conversations/index', {
+      title: 'Messages - Hijab Marriage Bureau',
+      conversations,
+      unreadCounts
+    });
+  } catch (error) {
+    console.error('Conversations list error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/dashboard');
+  }
+});
+
+// Start (or reopen) the conversation for a matched interest
+router.post('/', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const interest = await Interest.findOne({
+      _id: req.body.interestId,
+      status: 'matched',
+      $or: [{ fromUser: userId }, { toUser: userId }]
+    });
+
+    const wantsJson = req.accepts(['html', 'json']) === 'json';
+
+    if (!interest) {
+      const message = 'You can only message members you are matched with';
+      if (wantsJson) {
+        return res.status(403).json({ success: false, message });
+      }
+      req.flash('error_msg', message);
+      return res.redirect('/profiles/interests');
+    }
+
+    const conversation = await openConversation(interest);
+
+    if (wantsJson) {
+      return res.json({ success: true, message: 'Conversation opened', conversationId: conversation._id });
+    }
+    res.redirect(`/conversations/${conversation._id}`);
+  } catch (error) {
+    console.error('Open conversation error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Conversation thread
+router.get('/:id', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+
+    if (!conversation) {
+      req.flash('error_msg', 'Conversation not found');
+      return res.redirect('/conversations');
+    }
+
+    await conversation.populate('participants', 'name');
+
+    // Messages from the other member are read once the thread is opened
+    await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: userId }, readAt: null },
+      { readAt: new Date() }
+    );
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .populate('sender', 'name')
+      .sort({ createdAt: 1 });
+
+    res.render('conversations/show', {
+      title: 'Messages - Hijab Marriage Bureau',
+      conversation,
+      messages,
+      other: conversation.otherParticipant(userId),
+      guardians: conversation.guardians.filter(guardian => guardian.isActive),
+      cannotSend: await cannotSend(conversation, userId),
+      reportReasons: Message.REPORT_REASONS
+    });
+  } catch (error) {
+    console.error('Conversation error:', error);
+    req.flash('error_msg', 'Conversation not found');
+    res.redirect('/conversations');
+  }
+});
+
+// Send a message
+router.post('/:id/messages', isAuthenticated, hasPaid, messageValidation, async (req, res) => {
+  try {
+    const invalid = validationMessage(req);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const userId = req.session.user._id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const reason = await cannotSend(conversation, userId);
+    if (reason) {
+      return res.status(403).json({ success: false, message: reason });
+    }
+
+    // Only the first of several unread messages triggers a notification
+    const waiting = await Message.countDocuments({ conversation: conversation._id, sender: userId, readAt: null });
+
+    const message = await sendMessage(conversation, userId, req.body.body);
+
+    if (waiting === 0) {
+      await notify(conversation.otherParticipant(userId), {
+        type: 'conversation.message',
+        title: `New message from ${req.session.user.name}`,
+        link: `/conversations/${conversation._id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: message.filters.length > 0
+        ? 'Message sent. Contact details and inappropriate words were hidden.'
+        : 'Message sent',
+      filtered: message.filters,
+      sent: message
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Report a message from the other member to the moderators (open to lapsed members too)
+router.post('/:id/messages/:messageId/report', isAuthenticated, reportValidation, async (req, res) => {
+  try {
+    const invalid = validationMessage(req);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const userId = req.session.user._id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const message = await Message.findOne({ _id: req.params.messageId, conversation: conversation._id });
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    if (message.sender.equals(userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own message' });
+    }
+
+    const pending = message.moderation.status === 'reported';
+    if (pending && message.reports.some(report => report.reporter.equals(userId))) {
+      return res.status(409).json({ success: false, message: 'You have already reported this message' });
+    }
+
+    message.reports.push({ reporter: userId, reason: req.body.reason, details: req.body.details });
+    if (message.moderation.status !== 'removed') message.moderation.status = 'reported';
+    await message.save();
+
+    await notifyStaff('conversations:moderate', {
+      type: 'staff.message-reported',
+      title: 'Message reported',
+      message: `A message was reported for: ${Message.REPORT_REASONS[req.body.reason]}`,
+      link: '/admin/moderation'
+    });
+
+    res.json({ success: true, message: 'Thank you. Our moderators will review this message.' });
+  } catch (error) {
+    console.error('Report message error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Give a guardian read-only access
+router.post('/:id/guardians', isAuthenticated, hasPaid, guardianValidation, async (req, res) => {
+  try {
+    const invalid = validationMessage(req);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const userId = req.session.user._id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const alreadyAdded = conversation.guardians.some(guardian => (
+      guardian.isActive && guardian.addedBy.equals(userId) && guardian.email === req.body.email
+    ));
+    if (alreadyAdded) {
+      return res.status(409).json({ success: false, message: 'This guardian already has access' });
+    }
+
+    const guardian = await addGuardian(conversation, req.session.user, req.body);
+
+    // Both members should know who else can read the conversation
+    await notify(conversation.otherParticipant(userId), {
+      type: 'conversation.guardian',
+      title: 'A guardian can now read your conversation',
+      message: `${req.session.user.name} has given their guardian (${guardian.name}) read-only access.`,
+      link: `/conversations/${conversation._id}`
+    });
+
+    res.json({ success: true, message: `Access link emailed to ${guardian.name}` });
+  } catch (error) {
+    console.error('Add guardian error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Withdraw a guardian's access
+router.post('/:id/guardians/:guardianId/revoke', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+    const guardian = conversation && conversation.guardians.id(req.params.guardianId);
+
+    if (!guardian || !guardian.addedBy.equals(userId) || !guardian.isActive) {
+      return res.status(404).json({ success: false, message: 'Guardian not found' });
+    }
+
+    guardian.revokedAt = new Date();
+    await conversation.save();
+
+    res.json({ success: true, message: 'Guardian access withdrawn' });
+  } catch (error) {
+    console.error('Revoke guardian error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,19 @@
 const express = require('express');
 const RishtaProfile = require('../models/RishtaProfile');
+const ContactMessage = require('../models/ContactMessage');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const { contactLimiter } = require('../middleware/rateLimit');
+const { searchValidation, searchCriteria } = require('../middleware/search');
+const { resolveListVisibility, resolveProfileVisibility } = require('../services/visibility');
+const {
+  FILTER_OPTIONS,
+  SORTS,
+  DEFAULT_SORT,
+  buildSearchFilter,
+  searchQueryString,
+  searchProfiles
+} = require('../services/search');
 const router = express.Router();
 
 // Home page
@@ -10,6 +24,7 @@ router.get('/', async (req, res) => {
       published: true,
       status: 'approved'
     })
+    .select(RishtaProfile.projectionFor('public'))
     .populate('userId', 'name')
     .limit(6)
     .sort({ createdAt: -1 });
@@ -49,9 +64,15 @@ router.get('/contact', (req, res) => {
 });
 
 // Contact form submission
-router.post('/contact', async (req, res) => {
+router.post('/contact', contactLimiter, async (req, res) => {
   try {
-    const { name, email, phone, subject, message } = req.body;
+    const { name, email, phone, subject, message, website } = req.body;
+
+    // Honeypot field is hidden from humans; bots that fill it get a fake success
+    if (website) {
+      req.flash('success_msg', 'Thank you for your message! We will get back to you soon.');
+      return res.redirect('/contact');
+    }
 
     // Basic validation
     if (!name || !email || !message) {
@@ -59,65 +80,79 @@ router.post('/contact', async (req, res) => {
       return res.redirect('/contact');
     }
 
-    // TODO: Implement contact form processing
-    // For now, just show success message
+    const contactMessage = new ContactMessage({
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      userId: req.session.user ? req.session.user._id : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    await contactMessage.save();
+
     req.flash('success_msg', 'Thank you for your message! We will get back to you soon.');
     res.redirect('/contact');
 
   } catch (error) {
     console.error('Contact form error:', error);
-    req.flash('error_msg', 'An error occurred. Please try again.');
+    if (error.name === 'ValidationError') {
+      req.flash('error_msg', Object.values(error.errors).map(err => err.message).join(', '));
+    } else {
+      req.flash('error_msg', 'An error occurred. Please try again.');
+    }
     res.redirect('/contact');
   }
 });
 
 // Browse profiles (public view)
-router.get('/browse', async (req, res) => {
+router.get('/browse', searchValidation, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
+    const { criteria, page, errors } = searchCriteria(req);
     const limit = 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {
-      published: true,
-      status: 'approved'
-    };
+    const visibility = await resolveListVisibility(req.session.user);
+    const includePrivate = visibility !== 'public';
 
-    // Add gender filter if specified
-    if (req.query.gender) {
-      filter['personalInfo.gender'] = req.query.gender;
-    }
+    // The viewer's own profile, for ranking by best match
+    const seeker = req.session.user
+      ? await RishtaProfile.findOne({ userId: req.session.user._id })
+      : null;
 
-    // Add location filter if specified
-    if (req.query.city) {
-      filter['personalInfo.location.city'] = new RegExp(req.query.city, 'i');
-    }
+    const filter = buildSearchFilter(criteria, { includePrivate });
 
-    // Add age range filter if specified
-    if (req.query.minAge || req.query.maxAge) {
-      filter['personalInfo.age'] = {};
-      if (req.query.minAge) filter['personalInfo.age'].$gte = parseInt(req.query.minAge);
-      if (req.query.maxAge) filter['personalInfo.age'].$lte = parseInt(req.query.maxAge);
+    // Members never see anyone they have blocked or been blocked by
+    if (req.session.user) {
+      filter.userId = { $nin: await Block.hiddenUserIds(req.session.user._id) };
     }
 
-    const profiles = await RishtaProfile.find(filter)
-      .populate('userId', 'name')
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
-
-    const total = await RishtaProfile.countDocuments(filter);
+    const { profiles, total, sort, matchScores } = await searchProfiles(
+      filter,
+      { sort: criteria.sort, seeker, skip, limit, projection: RishtaProfile.projectionFor(visibility) }
+    );
     const totalPages = Math.ceil(total / limit);
 
     res.render('main/browse', {
       title: 'Browse Profiles - Hijab Marriage Bureau',
       profiles,
+      total,
       currentPage: page,
       totalPages,
       hasNextPage: page < totalPages,
       hasPrevPage: page > 1,
-      filters: req.query
+      filters: criteria,
+      filterOptions: FILTER_OPTIONS,
+      sort,
+      sortOptions: SORTS,
+      bestMatchAvailable: Boolean(seeker),
+      incomeFilterAvailable: includePrivate,
+      matchScores,
+      pageQuery: (pageNumber) => searchQueryString({ ...criteria, sort }, { page: pageNumber }),
+      errors,
+      visibility
     });
 
   } catch (error) {
@@ -129,7 +164,15 @@ router.get('/browse', async (req, res) => {
       totalPages: 1,
       hasNextPage: false,
       hasPrevPage: false,
-      filters: {}
+      filters: {},
+      filterOptions: FILTER_OPTIONS,
+      sort: DEFAULT_SORT,
+      sortOptions: SORTS,
+      bestMatchAvailable: false,
+      incomeFilterAvailable: false,
+      matchScores: {},
+      pageQuery: (pageNumber) => searchQueryString({}, { page: pageNumber }),
+      errors: []
     });
   }
 });
@@ -137,25 +180,40 @@ router.get('/browse', async (req, res) => {
 // View individual profile (public)
 router.get('/profile/:id', async (req, res) => {
   try {
-    const profile = await RishtaProfile.findOne({
+    const filter = {
       _id: req.params.id,
       published: true,
       status: 'approved'
-    }).populate('userId', 'name');
+    };
 
-    if (!profile) {
+    const owner = await RishtaProfile.findOne(filter).select('userId');
+    const blocked = owner && req.session.user && await Block.existsBetween(req.session.user._id, owner.userId);
+    if (!owner || blocked) {
       req.flash('error_msg', 'Profile not found');
       return res.redirect('/browse');
     }
 
+    // Load only the fields this viewer may see
+    const visibility = await resolveProfileVisibility(req.session.user, owner);
+    const profile = await RishtaProfile.findOne(filter)
+      .select(RishtaProfile.projectionFor(visibility))
+      .populate('userId', 'name');
+
     // Increment view count
-    profile.views += 1;
-    profile.lastViewed = new Date();
-    await profile.save();
+    await RishtaProfile.updateOne({ _id: profile._id }, {
+      $inc: { views: 1 },
+      lastViewed: new Date()
+    });
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({ success: true, visibility, profile: profile.toVisibleObject(visibility) });
+    }
 
     res.render('main/profile-detail', {
       title: `${profile.personalInfo.name} - Profile - Hijab Marriage Bureau`,
-      profile
+      profile,
+      visibility,
+      reportReasons: Report.REASONS
     });
 
   } catch (error) {
@@ -165,6 +223,11 @@ router.get('/profile/:id', async (req, res) => {
   }
 });
 
+// CSRF token for JSON clients (sent back in the X-CSRF-Token header)
+router.get('/csrf-token', (req, res) => {
+  res.json({ csrfToken: req.csrfToken() });
+});
+
 // Dashboard (redirect to appropriate page based on user status)
 router.get('/dashboard', (req, res) => {
   if (!req.session.user) {
@@ -0,0 +1,26 @@
+const express = require('express');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { sendImage } = require('../middleware/upload');
+const router = express.Router();
+
+// Blurred placeholders are safe to serve to anyone
+router.get('/blurred/:publicId', async (req, res) => {
+  try {
+    await sendImage(res, { publicId: req.params.publicId }, { blurred: true });
+  } catch (error) {
+    console.error('Serve blurred media error:', error);
+    res.status(500).end();
+  }
+});
+
+// Original files (photos and receipts) are only served directly to staff; members go through /profiles/photos
+router.get('/:publicId', isAuthenticated, requirePermission('profiles:view', 'payments:view'), async (req, res) => {
+  try {
+    await sendImage(res, { publicId: req.params.publicId });
+  } catch (error) {
+    console.error('Serve media error:', error);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
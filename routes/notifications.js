@@ -0,0 +1,129 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isAuthenticated } = require('../middleware/auth');
+const { CHANNELS } = require('../services/notifications');
+const router = express.Router();
+
+const PAGE_SIZE = 20;
+
+// Mark a member's notification read, keeping the time it was first read
+const markRead = async (id, userId) => {
+  const notification = await Notification.findOne({ _id: id, userId });
+  if (notification && !notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+};
+
+// Notification center
+router.get('/', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const filter = { userId };
+    if (req.query.unread === '1') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE);
+
+    const total = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(total / PAGE_SIZE);
+    const user = await User.findById(userId).select('notificationPreferences phoneVerified');
+
+    res.render('notifications/index', {
+      title: 'Notifications - Hijab Marriage Bureau',
+      notifications,
+      unreadOnly: req.query.unread === '1',
+      preferences: user.notificationPreferences,
+      phoneVerified: user.phoneVerified,
+      currentPage: page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    });
+  } catch (error) {
+    console.error('Notifications page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/dashboard');
+  }
+});
+
+// Mark all notifications read
+router.post('/read-all', isAuthenticated, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.session.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ success: true, message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Channel preferences (checkboxes named inApp, email and sms)
+router.post('/preferences', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id);
+
+    CHANNELS.forEach(channel => {
+      user.notificationPreferences[channel] = req.body[channel] === 'on' || req.body[channel] === 'true' || req.body[channel] === true;
+    });
+
+    if (user.notificationPreferences.sms && !user.phoneVerified) {
+      req.flash('error_msg', 'Please verify your phone number before turning on text message notifications');
+      return res.redirect('/notifications');
+    }
+
+    await user.save();
+
+    req.flash('success_msg', 'Notification preferences updated');
+    res.redirect('/notifications');
+  } catch (error) {
+    console.error('Notification preferences error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/notifications');
+  }
+});
+
+// Mark one notification read
+router.post('/:id/read', isAuthenticated, async (req, res) => {
+  try {
+    const notification = await markRead(req.params.id, req.session.user._id);
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, message: 'Notification marked as read', notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Open a notification: mark it read and go to the page it is about
+router.get('/:id', isAuthenticated, async (req, res) => {
+  try {
+    const notification = await markRead(req.params.id, req.session.user._id);
+
+    if (!notification) {
+      req.flash('error_msg', 'Notification not found');
+      return res.redirect('/notifications');
+    }
+
+    res.redirect(notification.link || '/notifications');
+  } catch (error) {
+    console.error('Open notification error:', error);
+    req.flash('error_msg', 'Notification not found');
+    res.redirect('/notifications');
+  }
+});
+
+module.exports = router;
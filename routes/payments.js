@@ -2,10 +2,48 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
-const { uploadSingle, handleUploadError, deleteImage } = require('../middleware/upload');
+const Membership = require('../models/Membership');
+const { isAuthenticated, hasVerifiedPhone, requirePermission } = require('../middleware/auth');
+const { uploadReceipt, handleUploadError, deleteImage, sendImage } = require('../middleware/upload');
+const { getSettings } = require('../services/settings');
+const { assessAmount, getFeeSummary } = require('../services/fees');
+const { transitionPayment } = require('../services/payments');
+const { getPlans } = require('../services/membership');
+const { flagPaymentRisks } = require('../services/risk');
+const { markUserSessionsStale } = require('../services/sessions');
+const { snapshot, diff, recordAudit } = require('../services/audit');
+const { notify, notifyStaff } = require('../services/notifications');
 const router = express.Router();
 
+// What a member is told when staff change the status of their payment
+const PAYMENT_NOTIFICATIONS = {
+  completed: {
+    title: 'Payment verified',
+    message: (payment) => `Your payment of ${payment.amount.toLocaleString()} ${payment.currency} has been verified.`
+  },
+  failed: {
+    title: 'Payment could not be verified',
+    message: (payment) => `We could not verify your payment of ${payment.amount.toLocaleString()} ${payment.currency}.`
+  },
+  cancelled: {
+    title: 'Payment cancelled',
+    message: (payment) => `Your payment of ${payment.amount.toLocaleString()} ${payment.currency} has been cancelled.`
+  },
+  refunded: {
+    title: 'Payment refunded',
+    message: (payment) => `Your payment of ${payment.amount.toLocaleString()} ${payment.currency} has been refunded.`
+  }
+};
+
+// Members can only renew their current plan once its renewal window opens; other plans and
+// other payment types are always open
+const renewalNotOpen = (user, paymentType) => (
+  paymentType !== user.membershipPlan || user.canRenewMembership()
+    ? null
+    : `Your ${Membership.PLANS[user.membershipPlan].name} membership is active until ${user.membershipExpiresAt.toDateString()}. ` +
+      `You can renew it from ${Membership.RENEWAL_DAYS} days before it expires.`
+);
+
 // Validation rules for payment submission
 const paymentValidation = [
   body('amount')
@@ -36,24 +74,32 @@ const paymentValidation = [
     .withMessage('Reference number must be between 3 and 20 characters')
 ];
 
+// Locals of the payment page, shared by the page and the form's error re-renders
+const paymentPageLocals = async (userId) => {
+  const user = await User.findById(userId);
+
+  // Get user's pending payments
+  const pendingPayments = await Payment.find({
+    userId,
+    status: 'pending'
+  }).sort({ createdAt: -1 });
+
+  return {
+    title: 'Payment - Hijab Marriage Bureau',
+    pendingPayments,
+    membership: { plan: user.membershipPlan, expiresAt: user.membershipExpiresAt, status: user.membershipStatus },
+    renewalNotice: user.membershipPlan ? renewalNotOpen(user, user.membershipPlan) : null,
+    plans: await getPlans(),
+    settings: await getSettings(),
+    feeSummary: await getFeeSummary(userId)
+  };
+};
+
 // Payment page
 router.get('/', isAuthenticated, async (req, res) => {
   try {
-    // Check if user has already paid
-    if (req.session.user.isPaid) {
-      req.flash('error_msg', 'You have already completed payment.');
-      return res.redirect('/dashboard');
-    }
-
-    // Get user's pending payments
-    const pendingPayments = await Payment.find({
-      userId: req.session.user._id,
-      status: 'pending'
-    }).sort({ createdAt: -1 });
-
     res.render('payments/index', {
-      title: 'Payment - Hijab Marriage Bureau',
-      pendingPayments,
+      ...await paymentPageLocals(req.session.user._id),
       errors: []
     });
   } catch (error) {
@@ -64,7 +110,7 @@ router.get('/', isAuthenticated, async (req, res) => {
 });
 
 // Submit payment
-router.post('/submit', isAuthenticated, uploadSingle, handleUploadError, paymentValidation, async (req, res) => {
+router.post('/submit', isAuthenticated, hasVerifiedPhone, uploadReceipt, handleUploadError, paymentValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -73,32 +119,37 @@ router.post('/submit', isAuthenticated, uploadSingle, handleUploadError, payment
         await deleteImage(req.file.filename);
       }
 
-      const pendingPayments = await Payment.find({
-        userId: req.session.user._id,
-        status: 'pending'
-      }).sort({ createdAt: -1 });
-
       return res.render('payments/index', {
-        title: 'Payment - Hijab Marriage Bureau',
-        pendingPayments,
+        ...await paymentPageLocals(req.session.user._id),
         errors: errors.array(),
         formData: req.body
       });
     }
 
-    // Check if user has already paid
-    if (req.session.user.isPaid) {
-      req.flash('error_msg', 'You have already completed payment.');
+    const notOpen = renewalNotOpen(await User.findById(req.session.user._id), req.body.paymentType);
+    if (notOpen) {
+      if (req.file) {
+        await deleteImage(req.file.filename);
+      }
+      req.flash('error_msg', notOpen);
       return res.redirect('/dashboard');
     }
 
     // Generate transaction ID
     const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
 
+    // Check the claimed amount against the fee configured for this payment type
+    const amount = parseInt(req.body.amount);
+    const amountCheck = await assessAmount(req.session.user._id, req.body.paymentType, amount);
+
     // Create payment record
     const paymentData = {
       userId: req.session.user._id,
-      amount: parseInt(req.body.amount),
+      amount,
+      currency: amountCheck.currency,
+      expectedAmount: amountCheck.expectedAmount,
+      outstandingAmount: amountCheck.outstandingAmount,
+      amountStatus: amountCheck.amountStatus,
       paymentMethod: req.body.paymentMethod,
       paymentType: req.body.paymentType,
       senderName: req.body.senderName,
@@ -108,13 +159,36 @@ router.post('/submit', isAuthenticated, uploadSingle, handleUploadError, payment
       notes: req.body.notes,
       receiptImage: req.file ? {
         url: req.file.path,
-        publicId: req.file.filename
+        publicId: req.file.filename,
+        perceptualHash: req.file.perceptualHash
       } : undefined
     };
 
     const payment = new Payment(paymentData);
     await payment.save();
 
+    // The payment is recorded and references its receipt from here on, so a failure in the
+    // follow-up steps is logged rather than reported as a failed submission
+    try {
+      // Flag reused references, sender numbers and receipt images for the verifying clerk
+      await flagPaymentRisks(payment);
+
+      await notifyStaff('payments:verify', {
+        type: 'staff.payment-submitted',
+        title: 'New payment to verify',
+        message: `${req.session.user.name} submitted ${amount.toLocaleString()} ${amountCheck.currency} by ${payment.paymentMethod}` +
+          (payment.riskLevel !== 'none' ? ` (${payment.riskLevel} risk)` : ''),
+        link: `/payments/admin/${payment._id}`
+      });
+    } catch (error) {
+      console.error('Submitted payment follow-up error:', error);
+    }
+
+    if (amountCheck.amountStatus === 'partial') {
+      req.flash('success_msg', `Partial payment submitted. ${(amountCheck.outstandingAmount - amount).toLocaleString()} ${amountCheck.currency} will remain due after verification.`);
+      return res.redirect('/payments/history');
+    }
+
     req.flash('success_msg', 'Payment submitted successfully! We will verify it within 24 hours.');
     res.redirect('/payments/history');
 
@@ -126,14 +200,8 @@ router.post('/submit', isAuthenticated, uploadSingle, handleUploadError, payment
       await deleteImage(req.file.filename);
     }
 
-    const pendingPayments = await Payment.find({
-      userId: req.session.user._id,
-      status: 'pending'
-    }).sort({ createdAt: -1 });
-
     res.render('payments/index', {
-      title: 'Payment - Hijab Marriage Bureau',
-      pendingPayments,
+      ...await paymentPageLocals(req.session.user._id),
       errors: [{ msg: 'An error occurred while submitting payment. Please try again.' }],
       formData: req.body
     });
@@ -145,10 +213,13 @@ router.get('/history', isAuthenticated, async (req, res) => {
   try {
     const payments = await Payment.find({ userId: req.session.user._id })
       .sort({ createdAt: -1 });
+    const memberships = await Membership.find({ userId: req.session.user._id })
+      .sort({ startsAt: -1 });
 
     res.render('payments/history', {
       title: 'Payment History - Hijab Marriage Bureau',
-      payments
+      payments,
+      memberships
     });
   } catch (error) {
     console.error('Payment history error:', error);
@@ -158,7 +229,7 @@ router.get('/history', isAuthenticated, async (req, res) => {
 });
 
 // Admin: View all payments
-router.get('/admin', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/admin', isAuthenticated, requirePermission('payments:view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = 20;
@@ -169,6 +240,9 @@ router.get('/admin', isAuthenticated, isAdmin, async (req, res) => {
     if (req.query.status) filter.status = req.query.status;
     if (req.query.paymentMethod) filter.paymentMethod = req.query.paymentMethod;
     if (req.query.paymentType) filter.paymentType = req.query.paymentType;
+    if (req.query.amountStatus) filter.amountStatus = req.query.amountStatus;
+    if (req.query.risk === 'flagged') filter.riskLevel = { $ne: 'none' };
+    if (req.query.risk === 'high') filter.riskLevel = 'high';
 
     const payments = await Payment.find(filter)
       .populate('userId', 'name email phone')
@@ -180,9 +254,13 @@ router.get('/admin', isAuthenticated, isAdmin, async (req, res) => {
     const total = await Payment.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
+    // Flagged payments still waiting for a decision
+    const flaggedPending = await Payment.countDocuments({ status: 'pending', riskLevel: { $ne: 'none' } });
+
     res.render('payments/admin', {
       title: 'Payment Management - Hijab Marriage Bureau',
       payments,
+      flaggedPending,
       currentPage: page,
       totalPages,
       hasNextPage: page < totalPages,
@@ -197,7 +275,7 @@ router.get('/admin', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Admin: Verify payment
-router.post('/admin/verify/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/admin/verify/:id', isAuthenticated, requirePermission('payments:verify'), async (req, res) => {
   try {
     const payment = await Payment.findById(req.params.id);
     
@@ -207,30 +285,86 @@ router.post('/admin/verify/:id', isAuthenticated, isAdmin, async (req, res) => {
 
     const { status, verificationNotes } = req.body;
 
-    if (!['completed', 'failed', 'cancelled'].includes(status)) {
+    if (!Payment.STATUS_TRANSITIONS[status]) {
       return res.status(400).json({ success: false, message: 'Invalid status' });
     }
 
-    payment.status = status;
-    payment.verifiedBy = req.session.user._id;
-    payment.verifiedAt = new Date();
-    payment.verificationNotes = verificationNotes;
-
-    // If payment is completed, update user's payment status
-    if (status === 'completed') {
-      const user = await User.findById(payment.userId);
-      if (user) {
-        user.isPaid = true;
-        await user.save();
+    if (!payment.canTransitionTo(status)) {
+      return res.status(400).json({ success: false, message: `A ${payment.status} payment cannot be marked ${status}` });
+    }
+
+    // High-risk payments need the clerk to confirm they checked the flags before completing
+    const riskAcknowledged = req.body.acknowledgeRisk === true || req.body.acknowledgeRisk === 'true';
+    if (status === 'completed' && payment.riskLevel === 'high' && !riskAcknowledged) {
+      return res.status(400).json({
+        success: false,
+        requiresAcknowledgement: true,
+        message: 'This payment is flagged as high risk. Review the flags and confirm before completing it.',
+        riskFlags: payment.riskFlags
+      });
+    }
+
+    const verificationFields = ['status', 'verifiedBy', 'verificationNotes'];
+    const before = snapshot(payment, verificationFields);
+
+    // Payment status, membership and their audit entries change together
+    const result = await transitionPayment(payment, status, {
+      changedBy: req.session.user._id,
+      notes: verificationNotes,
+      audit: async ({ payment: updated, membership }, session) => {
+        await recordAudit(req, {
+          action: 'payment.verify',
+          targetType: 'Payment',
+          targetId: payment._id,
+          changes: diff(before, snapshot(updated, verificationFields)),
+          note: payment.riskLevel !== 'none' && status === 'completed'
+            ? `Completed despite ${payment.riskLevel} risk flags: ${payment.riskFlags.map(flag => flag.type).join(', ')}`
+            : undefined
+        }, { session });
+
+        if (membership) {
+          await recordAudit(req, {
+            action: 'user.status',
+            targetType: 'User',
+            targetId: payment.userId,
+            changes: membership === 'renewed'
+              ? []
+              : [{ field: 'isPaid', from: membership === 'revoked', to: membership === 'granted' }],
+            note: `Membership ${membership} by marking payment ${payment._id} ${status}`
+          }, { session });
+        }
       }
+    });
+
+    if (!result) {
+      return res.status(409).json({ success: false, message: 'This payment was updated by someone else. Please reload and try again.' });
     }
 
-    await payment.save();
+    const notification = PAYMENT_NOTIFICATIONS[status];
+    await notify(payment.userId, {
+      type: `payment.${status}`,
+      title: notification.title,
+      message: [
+        notification.message(result.payment),
+        result.membership === 'granted' ? 'Your membership is now active.' : '',
+        result.membership === 'renewed' ? 'Your membership has been renewed.' : '',
+        result.membership === 'revoked' ? 'Your membership is no longer active.' : '',
+        verificationNotes ? `Note from our team: ${verificationNotes}` : ''
+      ].filter(Boolean).join(' '),
+      link: '/payments/history'
+    });
+
+    if (result.membership) {
+      await markUserSessionsStale(req.sessionStore, payment.userId);
+    }
 
     res.json({ 
       success: true, 
       message: `Payment ${status} successfully`,
-      payment: payment
+      membershipGranted: result.membership === 'granted',
+      membershipRenewed: result.membership === 'renewed',
+      membershipRevoked: result.membership === 'revoked',
+      payment: result.payment
     });
 
   } catch (error) {
@@ -240,11 +374,16 @@ router.post('/admin/verify/:id', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Admin: View payment details
-router.get('/admin/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/admin/:id', isAuthenticated, requirePermission('payments:view'), async (req, res) => {
   try {
     const payment = await Payment.findById(req.params.id)
       .populate('userId', 'name email phone')
-      .populate('verifiedBy', 'name');
+      .populate('verifiedBy', 'name')
+      .populate({
+        path: 'riskFlags.relatedPayment',
+        select: 'userId amount currency status referenceNumber senderNumber createdAt',
+        populate: { path: 'userId', select: 'name email' }
+      });
 
     if (!payment) {
       req.flash('error_msg', 'Payment not found');
@@ -253,7 +392,8 @@ router.get('/admin/:id', isAuthenticated, isAdmin, async (req, res) => {
 
     res.render('payments/detail', {
       title: 'Payment Details - Hijab Marriage Bureau',
-      payment
+      payment,
+      feeSummary: payment.userId ? await getFeeSummary(payment.userId._id) : null
     });
   } catch (error) {
     console.error('Payment detail error:', error);
@@ -262,6 +402,22 @@ router.get('/admin/:id', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
+// Admin: View payment receipt image
+router.get('/admin/:id/receipt', isAuthenticated, requirePermission('payments:view'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id).select('receiptImage');
+
+    if (!payment || !payment.receiptImage || !payment.receiptImage.publicId) {
+      return res.status(404).end();
+    }
+
+    await sendImage(res, payment.receiptImage);
+  } catch (error) {
+    console.error('Payment receipt error:', error);
+    res.status(500).end();
+  }
+});
+
 // Cancel payment (user can only cancel pending payments)
 router.post('/cancel/:id', isAuthenticated, async (req, res) => {
   try {
@@ -275,8 +431,9 @@ router.post('/cancel/:id', isAuthenticated, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Payment not found or cannot be cancelled' });
     }
 
-    payment.status = 'cancelled';
-    await payment.save();
+    if (!await transitionPayment(payment, 'cancelled')) {
+      return res.status(404).json({ success: false, message: 'Payment not found or cannot be cancelled' });
+    }
 
     res.json({ success: true, message: 'Payment cancelled successfully' });
   } catch (error) {
@@ -286,10 +443,17 @@ router.post('/cancel/:id', isAuthenticated, async (req, res) => {
 });
 
 // Get payment instructions
-router.get('/instructions', isAuthenticated, (req, res) => {
-  res.render('payments/instructions', {
-    title: 'Payment Instructions - Hijab Marriage Bureau'
-  });
+router.get('/instructions', isAuthenticated, async (req, res) => {
+  try {
+    res.render('payments/instructions', {
+      title: 'Payment Instructions - Hijab Marriage Bureau',
+      settings: await getSettings()
+    });
+  } catch (error) {
+    console.error('Payment instructions error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/payments');
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
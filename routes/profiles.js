@@ -1,10 +1,35 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const RishtaProfile = require('../models/RishtaProfile');
+const Interest = require('../models/Interest');
+const PhotoAccess = require('../models/PhotoAccess');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
 const { isAuthenticated, hasPaid, isOwnerOrAdmin } = require('../middleware/auth');
-const { uploadMultiple, handleUploadError, deleteMultipleImages } = require('../middleware/upload');
+const { searchValidation, searchCriteria } = require('../middleware/search');
+const {
+  uploadMultiple,
+  uploadEvidence,
+  handleUploadError,
+  deleteMultipleImages,
+  getBlurredImageUrl,
+  sendImage
+} = require('../middleware/upload');
+const { canViewPhotos } = require('../services/visibility');
+const { hasPermission } = require('../services/permissions');
+const { findSuggestedMatches } = require('../services/matching');
+const { getSavedSearches, browseUrl } = require('../services/savedSearches');
+const { notifyStaff } = require('../services/notifications');
+const { blockMember } = require('../services/blocks');
 const router = express.Router();
 
+// Maximum interests a member can send in 24 hours
+const DAILY_INTEREST_LIMIT = parseInt(process.env.DAILY_INTEREST_LIMIT) || 5;
+
+const PHOTO_VISIBILITIES = RishtaProfile.schema.path('photoVisibility').enumValues;
+
 // Validation rules for profile creation/update
 const profileValidation = [
   body('personalInfo.name')
@@ -40,9 +65,45 @@ const profileValidation = [
   body('occupation.profession')
     .trim()
     .notEmpty()
-    .withMessage('Profession is required')
+    .withMessage('Profession is required'),
+
+  body('photoVisibility')
+    .optional({ values: 'falsy' })
+    .isIn(PHOTO_VISIBILITIES)
+    .withMessage('Please select a valid photo visibility')
+];
+
+const savedSearchName = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 60 })
+  .withMessage('Search name must be between 1 and 60 characters');
+
+const reportValidation = [
+  body('reason')
+    .isIn(Object.keys(Report.REASONS))
+    .withMessage('Please select a reason for the report'),
+  body('details')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters')
 ];
 
+// Published profile another member can block or report
+const findOtherProfile = (id, select) => RishtaProfile.findOne({
+  _id: id,
+  published: true,
+  status: 'approved'
+}).select(select);
+
+// Let reviewers know a profile is waiting for them
+const notifyReviewers = (profile, isNew) => notifyStaff('profiles:review', {
+  type: 'staff.profile-submitted',
+  title: isNew ? 'New profile to review' : 'Updated profile to review',
+  message: `${profile.personalInfo.name} ${isNew ? 'submitted a new profile' : 'updated their profile'}.`,
+  link: `/admin/profiles/${profile._id}`
+});
+
 // Create profile page
 router.get('/create', isAuthenticated, hasPaid, async (req, res) => {
   try {
@@ -96,6 +157,7 @@ router.post('/create', isAuthenticated, hasPaid, uploadMultiple, handleUploadErr
         photos.push({
           url: file.path,
           publicId: file.filename,
+          blurredUrl: getBlurredImageUrl(file.filename),
           isPrimary: index === 0 // First photo is primary
         });
       });
@@ -151,6 +213,7 @@ router.post('/create', isAuthenticated, hasPaid, uploadMultiple, handleUploadErr
         maritalStatus: req.body.preferences.maritalStatus ? req.body.preferences.maritalStatus.split(',') : [],
         religiousness: req.body.preferences.religiousness ? req.body.preferences.religiousness.split(',') : []
       },
+      photoVisibility: req.body.photoVisibility || 'members',
       about: req.body.about,
       expectations: req.body.expectations,
       contactInfo: {
@@ -165,12 +228,13 @@ router.post('/create', isAuthenticated, hasPaid, uploadMultiple, handleUploadErr
     await profile.save();
 
     // Update user profile completion status
-    const User = require('../models/User');
     await User.findByIdAndUpdate(req.session.user._id, { profileCompleted: true });
 
     // Update session
     req.session.user.profileCompleted = true;
 
+    await notifyReviewers(profile, true);
+
     req.flash('success_msg', 'Profile created successfully! It will be reviewed by our team before publishing.');
     res.redirect('/profiles/dashboard');
 
@@ -243,6 +307,7 @@ router.post('/edit', isAuthenticated, hasPaid, uploadMultiple, handleUploadError
         newPhotos.push({
           url: file.path,
           publicId: file.filename,
+          blurredUrl: getBlurredImageUrl(file.filename),
           isPrimary: profile.photos.length === 0 && index === 0 // Primary if no existing photos
         });
       });
@@ -306,6 +371,7 @@ router.post('/edit', isAuthenticated, hasPaid, uploadMultiple, handleUploadError
       religiousness: req.body.preferences.religiousness ? req.body.preferences.religiousness.split(',') : []
     };
 
+    if (req.body.photoVisibility) profile.photoVisibility = req.body.photoVisibility;
     profile.about = req.body.about;
     profile.expectations = req.body.expectations;
     profile.contactInfo = {
@@ -317,9 +383,12 @@ router.post('/edit', isAuthenticated, hasPaid, uploadMultiple, handleUploadError
     // Reset status to submitted for review
     profile.status = 'submitted';
     profile.published = false;
+    profile.lastActiveAt = new Date();
 
     await profile.save();
 
+    await notifyReviewers(profile, false);
+
     req.flash('success_msg', 'Profile updated successfully! It will be reviewed by our team before publishing.');
     res.redirect('/profiles/dashboard');
 
@@ -352,7 +421,8 @@ router.get('/dashboard', isAuthenticated, hasPaid, async (req, res) => {
 
     res.render('profiles/dashboard', {
       title: 'Profile Dashboard - Hijab Marriage Bureau',
-      profile
+      profile,
+      savedSearches: await getSavedSearches(req.session.user._id)
     });
   } catch (error) {
     console.error('Profile dashboard error:', error);
@@ -382,6 +452,514 @@ router.get('/view', isAuthenticated, hasPaid, async (req, res) => {
   }
 });
 
+// Suggested matches
+router.get('/suggestions', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const profile = await RishtaProfile.findOne({ userId: req.session.user._id });
+
+    if (!profile) {
+      req.flash('error_msg', 'No profile found. Please create a profile first.');
+      return res.redirect('/profiles/create');
+    }
+
+    const matches = await findSuggestedMatches(profile);
+
+    res.render('profiles/suggestions', {
+      title: 'Suggested Matches - Hijab Marriage Bureau',
+      profile,
+      matches
+    });
+  } catch (error) {
+    console.error('Suggested matches error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/profiles/dashboard');
+  }
+});
+
+// Save a browse search: filters in the query string, exactly as on /browse, and a name in the body
+router.post('/searches', isAuthenticated, hasPaid, searchValidation, savedSearchName(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array().map(error => error.msg).join(', ') });
+    }
+
+    const userId = req.session.user._id;
+    const count = await SavedSearch.countDocuments({ userId });
+    if (count >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({ success: false, message: `You can save up to ${SavedSearch.MAX_PER_USER} searches` });
+    }
+
+    if (await SavedSearch.isNameTaken(userId, req.body.name)) {
+      return res.status(409).json({ success: false, message: 'You already have a saved search with this name' });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId,
+      name: req.body.name,
+      criteria: searchCriteria(req).criteria
+    });
+
+    res.json({ success: true, message: 'Search saved successfully', savedSearch });
+  } catch (error) {
+    console.error('Save search error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Open a saved search; its profiles stop counting as new
+router.get('/searches/:id', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, userId: req.session.user._id },
+      { lastViewedAt: new Date() }
+    );
+
+    if (!savedSearch) {
+      req.flash('error_msg', 'Saved search not found');
+      return res.redirect('/profiles/dashboard');
+    }
+
+    res.redirect(browseUrl(savedSearch));
+  } catch (error) {
+    console.error('Open saved search error:', error);
+    req.flash('error_msg', 'Saved search not found');
+    res.redirect('/profiles/dashboard');
+  }
+});
+
+// Rename a saved search or turn its alerts on or off
+router.put('/searches/:id', isAuthenticated, hasPaid, savedSearchName().optional(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array().map(error => error.msg).join(', ') });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.session.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      if (await SavedSearch.isNameTaken(savedSearch.userId, req.body.name, savedSearch._id)) {
+        return res.status(409).json({ success: false, message: 'You already have a saved search with this name' });
+      }
+      savedSearch.name = req.body.name;
+    }
+    if (req.body.alertsEnabled !== undefined) {
+      savedSearch.alertsEnabled = req.body.alertsEnabled === true || req.body.alertsEnabled === 'true';
+    }
+    await savedSearch.save();
+
+    res.json({ success: true, message: 'Saved search updated successfully', savedSearch });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Delete a saved search
+router.delete('/searches/:id', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.session.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    res.json({ success: true, message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Sent and received interests
+router.get('/interests', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const profileFields = 'personalInfo.name personalInfo.age personalInfo.location photos';
+
+    const received = await Interest.find({ toUser: userId, status: { $ne: 'withdrawn' } })
+      .populate('fromProfile', profileFields)
+      .sort({ sentAt: -1 });
+    const sent = await Interest.find({ fromUser: userId })
+      .populate('toProfile', profileFields)
+      .sort({ sentAt: -1 });
+
+    // Guardian contacts are only released for mutually accepted interests
+    const matchedProfileIds = [...received, ...sent]
+      .filter(interest => interest.isMatched && interest.fromProfile && interest.toProfile)
+      .map(interest => (interest.fromUser.equals(userId) ? interest.toProfile._id : interest.fromProfile._id));
+    const contacts = await RishtaProfile.find({ _id: { $in: matchedProfileIds } })
+      .select('contactInfo.guardianName contactInfo.guardianPhone contactInfo.guardianRelation');
+
+    const guardianContacts = {};
+    contacts.forEach(contact => {
+      guardianContacts[contact._id.toString()] = contact.contactInfo;
+    });
+
+    res.render('profiles/interests', {
+      title: 'Interests - Hijab Marriage Bureau',
+      received,
+      sent,
+      guardianContacts,
+      dailyLimit: DAILY_INTEREST_LIMIT
+    });
+  } catch (error) {
+    console.error('Interests page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/profiles/dashboard');
+  }
+});
+
+// Send interest to a profile
+router.post('/interests/:profileId', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+
+    const fromProfile = await RishtaProfile.findOne({ userId });
+    if (!fromProfile || fromProfile.status !== 'approved') {
+      return res.status(400).json({ success: false, message: 'Your profile must be approved before you can send interest' });
+    }
+
+    const toProfile = await RishtaProfile.findOne({
+      _id: req.params.profileId,
+      published: true,
+      status: 'approved'
+    });
+    if (!toProfile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (toProfile.userId.equals(userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot send interest to yourself' });
+    }
+
+    if (await Block.existsBetween(userId, toProfile.userId)) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (toProfile.personalInfo.gender === fromProfile.personalInfo.gender) {
+      return res.status(400).json({ success: false, message: 'Interest can only be sent to profiles of the opposite gender' });
+    }
+
+    const recipient = await User.findById(toProfile.userId);
+    if (!recipient || !recipient.isActive || !recipient.isPaid) {
+      return res.status(400).json({ success: false, message: 'This member is not accepting interest at the moment' });
+    }
+
+    // Block duplicates in either direction
+    const reverse = await Interest.findOne({
+      fromProfile: toProfile._id,
+      toProfile: fromProfile._id,
+      status: { $in: Interest.ACTIVE_STATUSES }
+    });
+    if (reverse) {
+      return res.status(409).json({ success: false, message: 'This member has already sent you interest. Please respond to it instead.' });
+    }
+
+    const existing = await Interest.findOne({ fromProfile: fromProfile._id, toProfile: toProfile._id });
+    if (existing && Interest.ACTIVE_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ success: false, message: 'You have already sent interest to this profile' });
+    }
+    if (existing && existing.status === 'declined') {
+      return res.status(409).json({ success: false, message: 'This member has declined your interest' });
+    }
+
+    // Daily send limit
+    const sentToday = await Interest.countDocuments({
+      fromUser: userId,
+      sentAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+    if (sentToday >= DAILY_INTEREST_LIMIT) {
+      return res.status(429).json({ success: false, message: `You can send up to ${DAILY_INTEREST_LIMIT} interests per day` });
+    }
+
+    // Re-send a previously withdrawn interest, or create a new one
+    const interest = existing || new Interest({
+      fromUser: userId,
+      toUser: toProfile.userId,
+      fromProfile: fromProfile._id,
+      toProfile: toProfile._id
+    });
+    interest.status = 'pending';
+    interest.message = req.body.message;
+    interest.sentAt = new Date();
+    interest.recipientAcceptedAt = undefined;
+    interest.senderAcceptedAt = undefined;
+    interest.respondedAt = undefined;
+    await interest.save();
+
+    res.json({ success: true, message: 'Interest sent successfully', interest });
+  } catch (error) {
+    console.error('Send interest error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Withdraw a sent interest
+router.post('/interests/:id/withdraw', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const interest = await Interest.findOne({
+      _id: req.params.id,
+      fromUser: req.session.user._id,
+      status: { $in: ['pending', 'accepted'] }
+    });
+
+    if (!interest) {
+      return res.status(404).json({ success: false, message: 'Interest not found or cannot be withdrawn' });
+    }
+
+    interest.status = 'withdrawn';
+    interest.respondedAt = new Date();
+    await interest.save();
+
+    res.json({ success: true, message: 'Interest withdrawn successfully' });
+  } catch (error) {
+    console.error('Withdraw interest error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Accept an interest - recipient first, then the sender confirms; each with guardian consent
+router.post('/interests/:id/accept', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const interest = await Interest.findById(req.params.id);
+
+    if (!interest) {
+      return res.status(404).json({ success: false, message: 'Interest not found' });
+    }
+
+    const isRecipient = interest.toUser.equals(userId);
+    const isSender = interest.fromUser.equals(userId);
+
+    if (!(isRecipient && interest.status === 'pending') && !(isSender && interest.status === 'accepted')) {
+      return res.status(400).json({ success: false, message: 'This interest cannot be accepted' });
+    }
+
+    const guardianConsent = req.body.guardianConsent === true || req.body.guardianConsent === 'true' || req.body.guardianConsent === 'on';
+    if (!guardianConsent) {
+      return res.status(400).json({ success: false, message: 'Please confirm that your guardian has agreed before accepting' });
+    }
+
+    if (isRecipient) {
+      interest.status = 'accepted';
+      interest.recipientAcceptedAt = new Date();
+    } else {
+      interest.status = 'matched';
+      interest.senderAcceptedAt = new Date();
+    }
+    interest.respondedAt = new Date();
+    await interest.save();
+
+    res.json({
+      success: true,
+      message: interest.isMatched
+        ? 'Interest accepted by both families. Guardian contact details are now shared.'
+        : 'Interest accepted. Guardian contact details will be shared once the other family confirms.',
+      status: interest.status
+    });
+  } catch (error) {
+    console.error('Accept interest error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Decline a received interest
+router.post('/interests/:id/decline', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const interest = await Interest.findOne({
+      _id: req.params.id,
+      toUser: req.session.user._id,
+      status: { $in: ['pending', 'accepted'] }
+    });
+
+    if (!interest) {
+      return res.status(404).json({ success: false, message: 'Interest not found or cannot be declined' });
+    }
+
+    interest.status = 'declined';
+    interest.respondedAt = new Date();
+    await interest.save();
+
+    res.json({ success: true, message: 'Interest declined' });
+  } catch (error) {
+    console.error('Decline interest error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Serve a profile photo, blurred unless the viewer has access
+router.get('/photos/:profileId/:photoId', async (req, res) => {
+  try {
+    const profile = await RishtaProfile.findById(req.params.profileId)
+      .select('userId photos photoVisibility published status');
+
+    if (!profile) {
+      return res.status(404).end();
+    }
+
+    const photo = profile.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).end();
+    }
+
+    const user = req.session.user;
+    const isOwnerOrStaff = user && (hasPermission(user, 'profiles:view') || profile.userId.equals(user._id));
+    if (!isOwnerOrStaff && !(profile.published && profile.status === 'approved')) {
+      return res.status(404).end();
+    }
+
+    const allowed = await canViewPhotos(user, profile);
+    await sendImage(res, photo, { blurred: !allowed });
+  } catch (error) {
+    console.error('Serve photo error:', error);
+    res.status(500).end();
+  }
+});
+
+// Update photo visibility
+router.put('/photo-visibility', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const { photoVisibility } = req.body;
+
+    if (!PHOTO_VISIBILITIES.includes(photoVisibility)) {
+      return res.status(400).json({ success: false, message: 'Invalid photo visibility' });
+    }
+
+    const profile = await RishtaProfile.findOne({ userId: req.session.user._id });
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    profile.photoVisibility = photoVisibility;
+    await profile.save();
+
+    res.json({ success: true, message: 'Photo visibility updated successfully', photoVisibility });
+  } catch (error) {
+    console.error('Update photo visibility error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Photo access requests (received and sent)
+router.get('/photo-access', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+
+    const received = await PhotoAccess.find({ owner: userId })
+      .populate('requesterProfile', 'personalInfo.name personalInfo.age personalInfo.location')
+      .sort({ requestedAt: -1 });
+    const sent = await PhotoAccess.find({ requester: userId })
+      .populate('profile', 'personalInfo.name')
+      .sort({ requestedAt: -1 });
+
+    res.render('profiles/photo-access', {
+      title: 'Photo Access - Hijab Marriage Bureau',
+      received,
+      sent
+    });
+  } catch (error) {
+    console.error('Photo access page error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/profiles/dashboard');
+  }
+});
+
+// Request access to a profile's photos
+router.post('/photo-access/:profileId', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+
+    const profile = await RishtaProfile.findOne({
+      _id: req.params.profileId,
+      published: true,
+      status: 'approved'
+    }).select('userId photoVisibility');
+
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (profile.userId.equals(userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot request access to your own photos' });
+    }
+
+    if (await Block.existsBetween(userId, profile.userId)) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (profile.photoVisibility !== 'on-request') {
+      return res.status(400).json({ success: false, message: 'This profile does not require photo access requests' });
+    }
+
+    const requesterProfile = await RishtaProfile.findOne({ userId }).select('_id');
+
+    let access = await PhotoAccess.findOne({ profile: profile._id, requester: userId });
+    if (access && ['pending', 'granted'].includes(access.status)) {
+      return res.status(409).json({ success: false, message: `Photo access already ${access.status}` });
+    }
+    if (access && access.status === 'declined') {
+      return res.status(409).json({ success: false, message: 'This member has declined your photo access request' });
+    }
+
+    // New request, or a fresh request after a revoked grant
+    access = access || new PhotoAccess({
+      profile: profile._id,
+      owner: profile.userId,
+      requester: userId
+    });
+    access.requesterProfile = requesterProfile ? requesterProfile._id : undefined;
+    access.status = 'pending';
+    access.requestedAt = new Date();
+    access.respondedAt = undefined;
+    await access.save();
+
+    res.json({ success: true, message: 'Photo access requested successfully' });
+  } catch (error) {
+    console.error('Request photo access error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Grant, decline or revoke photo access (profile owner only)
+router.post('/photo-access/:id/:action(grant|decline|revoke)', isAuthenticated, hasPaid, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const allowedFrom = {
+      grant: ['pending', 'declined', 'revoked'],
+      decline: ['pending'],
+      revoke: ['granted']
+    };
+    const newStatus = {
+      grant: 'granted',
+      decline: 'declined',
+      revoke: 'revoked'
+    };
+
+    const access = await PhotoAccess.findOne({
+      _id: req.params.id,
+      owner: req.session.user._id,
+      status: { $in: allowedFrom[action] }
+    });
+
+    if (!access) {
+      return res.status(404).json({ success: false, message: `Request not found or cannot be ${newStatus[action]}` });
+    }
+
+    access.status = newStatus[action];
+    access.respondedAt = new Date();
+    await access.save();
+
+    res.json({ success: true, message: `Photo access ${access.status}`, status: access.status });
+  } catch (error) {
+    console.error('Update photo access error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
 // Delete photo
 router.delete('/photo/:photoId', isAuthenticated, hasPaid, async (req, res) => {
   try {
@@ -396,7 +974,7 @@ router.delete('/photo/:photoId', isAuthenticated, hasPaid, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Photo not found' });
     }
 
-    // Delete from Cloudinary
+    // Delete from storage
     await deleteMultipleImages([{ publicId: photo.publicId }]);
 
     // Remove from profile
@@ -439,4 +1017,127 @@ router.put('/photo/:photoId/primary', isAuthenticated, hasPaid, async (req, res)
   }
 });
 
+// Members this member has blocked (open to lapsed members too)
+router.get('/blocks', isAuthenticated, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.session.user._id })
+      .populate('blocked', 'name')
+      .populate('blockedProfile', 'personalInfo.name personalInfo.age personalInfo.location')
+      .sort({ createdAt: -1 });
+
+    res.render('profiles/blocks', {
+      title: 'Blocked Members - Hijab Marriage Bureau',
+      blocks
+    });
+  } catch (error) {
+    console.error('Blocked members error:', error);
+    req.flash('error_msg', 'An error occurred');
+    res.redirect('/dashboard');
+  }
+});
+
+// Block the owner of a profile; they disappear from each other's browse results, suggestions and profile pages
+router.post('/blocks/:profileId', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.user._id;
+    const profile = await findOtherProfile(req.params.profileId, 'userId');
+
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (profile.userId.equals(userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+    }
+
+    await blockMember(userId, profile);
+
+    res.json({ success: true, message: 'Member blocked. You will no longer see each other.' });
+  } catch (error) {
+    console.error('Block member error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Unblock a member; interests and photo access ended by the block stay ended
+router.delete('/blocks/:id', isAuthenticated, async (req, res) => {
+  try {
+    const block = await Block.findOneAndDelete({ _id: req.params.id, blocker: req.session.user._id });
+
+    if (!block) {
+      return res.status(404).json({ success: false, message: 'Blocked member not found' });
+    }
+
+    res.json({ success: true, message: 'Member unblocked' });
+  } catch (error) {
+    console.error('Unblock member error:', error);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
+// Report a suspicious profile to the reviewers, with optional screenshots; `block` blocks the member as well
+router.post('/reports/:profileId', isAuthenticated, uploadEvidence, handleUploadError, reportValidation, async (req, res) => {
+  const evidence = (req.files || []).map(file => ({ url: file.path, publicId: file.filename }));
+  let report = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await deleteMultipleImages(evidence);
+      return res.status(400).json({ success: false, message: errors.array().map(error => error.msg).join(', ') });
+    }
+
+    const userId = req.session.user._id;
+    const profile = await findOtherProfile(req.params.profileId, 'userId personalInfo.name');
+
+    if (!profile) {
+      await deleteMultipleImages(evidence);
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    if (profile.userId.equals(userId)) {
+      await deleteMultipleImages(evidence);
+      return res.status(400).json({ success: false, message: 'You cannot report your own profile' });
+    }
+
+    if (await Report.exists({ reporter: userId, profile: profile._id, status: 'open' })) {
+      await deleteMultipleImages(evidence);
+      return res.status(409).json({ success: false, message: 'You have already reported this profile. Our team is reviewing it.' });
+    }
+
+    report = await Report.create({
+      profile: profile._id,
+      reportedUser: profile.userId,
+      reporter: userId,
+      reason: req.body.reason,
+      details: req.body.details,
+      evidence
+    });
+
+    const block = req.body.block === true || req.body.block === 'true';
+    if (block) {
+      await blockMember(userId, profile);
+    }
+
+    await notifyStaff('profiles:review', {
+      type: 'staff.profile-reported',
+      title: 'Profile reported',
+      message: `${profile.personalInfo.name}'s profile was reported for: ${report.reasonLabel}`,
+      link: `/admin/profiles/reports/${report._id}`
+    });
+
+    res.json({
+      success: true,
+      message: block
+        ? 'Thank you. Our team will review this profile, and you will no longer see each other.'
+        : 'Thank you. Our team will review this profile.'
+    });
+  } catch (error) {
+    console.error('Report profile error:', error);
+    // Once the report is saved, the screenshots are its evidence
+    if (!report) await deleteMultipleImages(evidence);
+    res.status(500).json({ success: false, message: 'An error occurred' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
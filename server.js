@@ -1,117 +1,43 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const session = require('express-session');
-const MongoStore = require('connect-mongo');
-const path = require('path');
-const helmet = require('helmet');
-const cors = require('cors');
-const rateLimit = require('express-rate-limit');
-const flash = require('connect-flash');
-const methodOverride = require('method-override');
 require('dotenv').config({ path: './config.env' });
+const createApp = require('./app');
+const { startRenewalReminders } = require('./services/membership');
+const { startSearchDigests } = require('./services/savedSearches');
+const { startMessageRetention } = require('./services/conversations');
+const { runMigrations } = require('./services/migrations');
+const { assertTransactionSupport } = require('./services/transactions');
 
-const app = express();
-
-// Security Middleware
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://fonts.googleapis.com"],
-      scriptSrc: ["'self'", "https://cdn.jsdelivr.net"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
-    },
-  },
-}));
-
-app.use(cors());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use('/api/', limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(methodOverride('_method'));
-
-// View engine setup
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-
-// Static files
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Session configuration
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'fallback-secret-key',
-  resave: false,
-  saveUninitialized: false,
-  store: MongoStore.create({
-    mongoUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/hijab_marriage_bureau',
-    ttl: 24 * 60 * 60 // 1 day
-  }),
-  cookie: {
-    secure: process.env.NODE_ENV === 'production',
-    httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 1 day
-  }
-}));
-
-// Flash messages
-app.use(flash());
-
-// Global variables for templates
-app.use((req, res, next) => {
-  res.locals.user = req.session.user || null;
-  res.locals.success_msg = req.flash('success_msg');
-  res.locals.error_msg = req.flash('error_msg');
-  res.locals.error = req.flash('error');
-  next();
-});
+const app = createApp();
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hijab_marriage_bureau', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
-.catch(err => console.error('MongoDB connection error:', err));
-
-// Import routes
-const authRoutes = require('./routes/auth');
-const profileRoutes = require('./routes/profiles');
-const paymentRoutes = require('./routes/payments');
-const adminRoutes = require('./routes/admin');
-const mainRoutes = require('./routes/main');
-
-// Route middleware
-app.use('/auth', authRoutes);
-app.use('/profiles', profileRoutes);
-app.use('/payments', paymentRoutes);
-app.use('/admin', adminRoutes);
-app.use('/', mainRoutes);
+.then(async () => {
+  console.log('MongoDB connected successfully');
+
+  // Stop now rather than fail on the first payment or admin action
+  try {
+    await assertTransactionSupport();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).render('error', { 
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err : {}
-  });
-});
+  // A failed migration is retried on the next start
+  try {
+    const applied = await runMigrations();
+    if (applied.length > 0) console.log(`Applied migrations: ${applied.join(', ')}`);
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).render('error', { 
-    message: 'Page not found',
-    error: {}
-  });
-});
+  startRenewalReminders();
+  startSearchDigests();
+  startMessageRetention();
+})
+.catch(err => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
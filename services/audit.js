@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const EXPORT_LIMIT = 10000;
+
+// Copy the given fields of a document, so they can be compared after it changes
+const snapshot = (doc, fields) => {
+  const values = {};
+  fields.forEach(field => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    values[field] = value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+  });
+  return values;
+};
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return a === b || (a == null && b == null);
+};
+
+// Fields whose value differs between two snapshots
+const diff = (before, after) => Object.keys(after)
+  .filter(field => !sameValue(before[field], after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Append an entry for an action taken by the session user
+// Pass the session of the transaction making the change, so the entry is only kept if the change is
+const recordAudit = (req, { action, targetType, targetId, changes = [], note }, { session } = {}) => {
+  const actor = req.session.user;
+  return new AuditLog({
+    actor: actor._id,
+    actorName: actor.name,
+    actorRole: actor.role,
+    action,
+    targetType,
+    targetId,
+    changes,
+    note,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }).save({ session });
+};
+
+// Build a query filter from the audit page's filter fields
+const buildAuditFilter = (query) => {
+  const filter = {};
+  if (AuditLog.ACTIONS.includes(query.action)) filter.action = query.action;
+  if (AuditLog.TARGET_TYPES.includes(query.targetType)) filter.targetType = query.targetType;
+  if (mongoose.isValidObjectId(query.actor)) filter.actor = query.actor;
+  if (mongoose.isValidObjectId(query.targetId)) filter.targetId = query.targetId;
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if (from && !isNaN(from)) filter.createdAt = { $gte: from };
+  if (to && !isNaN(to)) {
+    // Include the whole "to" day
+    to.setUTCHours(23, 59, 59, 999);
+    filter.createdAt = { ...filter.createdAt, $lte: to };
+  }
+  return filter;
+};
+
+const CSV_COLUMNS = ['createdAt', 'actorName', 'actorRole', 'action', 'targetType', 'targetId', 'changes', 'note', 'ipAddress'];
+
+const csvValue = (value) => {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from running cell values as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatChanges = (changes) => changes
+  .map(change => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+  .join('; ');
+
+// CSV of the entries matching a filter, newest first
+const exportAuditCsv = async (filter) => {
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvValue(
+    column === 'changes' ? formatChanges(entry.changes) : entry[column]
+  )).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+  buildAuditFilter,
+  exportAuditCsv,
+  formatChanges
+};
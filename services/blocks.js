@@ -0,0 +1,59 @@
+const Block = require('../models/Block');
+const Interest = require('../models/Interest');
+const PhotoAccess = require('../models/PhotoAccess');
+const Conversation = require('../models/Conversation');
+const { closeConversation } = require('./conversations');
+const { inTransaction } = require('./transactions');
+
+// Block the owner of `profile` for `blockerId`, ending everything open between the two members
+// All in one transaction, so a failure never leaves a block with the rest still open
+const blockMember = (blockerId, profile) => inTransaction(async (session) => {
+  const blockedId = profile.userId;
+
+  // An upsert, so blocking twice at the same moment keeps the one block
+  const block = await Block.findOneAndUpdate(
+    { blocker: blockerId, blocked: blockedId },
+    { $setOnInsert: { blockedProfile: profile._id } },
+    { upsert: true, new: true, session }
+  );
+
+  const respondedAt = new Date();
+  const active = { $in: Interest.ACTIVE_STATUSES };
+
+  // The blocker's own interests are withdrawn; the other member's are declined
+  await Interest.updateMany(
+    { fromUser: blockerId, toUser: blockedId, status: active },
+    { status: 'withdrawn', respondedAt },
+    { session }
+  );
+  await Interest.updateMany(
+    { fromUser: blockedId, toUser: blockerId, status: active },
+    { status: 'declined', respondedAt },
+    { session }
+  );
+
+  await PhotoAccess.updateMany(
+    {
+      $or: [
+        { owner: blockerId, requester: blockedId },
+        { owner: blockedId, requester: blockerId }
+      ],
+      status: { $in: ['pending', 'granted'] }
+    },
+    { status: 'revoked', respondedAt },
+    { session }
+  );
+
+  // Found with the session, so closing them saves in it too
+  const conversations = await Conversation.find({ participants: { $all: [blockerId, blockedId] }, closedAt: null })
+    .session(session);
+  for (const conversation of conversations) {
+    await closeConversation(conversation, 'Blocked');
+  }
+
+  return block;
+});
+
+module.exports = {
+  blockMember
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Interest = require('../models/Interest');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { filterMessage } = require('./messageFilter');
+const { appUrl } = require('./urls');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Messages are deleted this long after they are sent
+const RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS) || 365;
+
+// ...or this long after the conversation closes, if sooner
+const CLOSED_RETENTION_DAYS = parseInt(process.env.CLOSED_CONVERSATION_RETENTION_DAYS) || 30;
+
+const RETENTION_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The conversation for a matched interest, started on first use
+const openConversation = async (interest) => {
+  const existing = await Conversation.findOne({ interest: interest._id });
+  if (existing) return existing;
+
+  try {
+    return await Conversation.create({
+      interest: interest._id,
+      participants: [interest.fromUser, interest.toUser]
+    });
+  } catch (error) {
+    // Both members opened it at the same moment
+    if (error.code === 11000) return Conversation.findOne({ interest: interest._id });
+    throw error;
+  }
+};
+
+// Close a conversation whose match has ended; its messages are then kept for a shorter time
+const closeConversation = async (conversation, reason) => {
+  if (conversation.closedAt) return conversation;
+  conversation.closedAt = new Date();
+  conversation.closedReason = reason;
+  await conversation.save();
+  return conversation;
+};
+
+// Why `userId` cannot send to the conversation right now, or null if they can
+// (the sender's own membership is checked by the hasPaid middleware)
+const cannotSend = async (conversation, userId) => {
+  if (conversation.closedAt) return 'This conversation has been closed';
+
+  const interest = await Interest.findById(conversation.interest).select('status');
+  if (!interest || interest.status !== 'matched') {
+    await closeConversation(conversation, 'Match ended');
+    return 'This conversation has been closed';
+  }
+
+  const other = await User.findById(conversation.otherParticipant(userId)).select('isActive membershipExpiresAt isPaid');
+  if (!other || !other.isActive || !other.isPaid) {
+    return 'The other member cannot receive messages at the moment';
+  }
+
+  return null;
+};
+
+// Store a message after masking contact details and profanity
+const sendMessage = async (conversation, senderId, text) => {
+  const { text: body, filters } = filterMessage(text);
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body,
+    originalBody: filters.length > 0 ? text : undefined,
+    filters
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  return message;
+};
+
+// Give a member's guardian read-only access and email them the private link
+const addGuardian = async (conversation, member, { name, email, relation }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  conversation.guardians.push({
+    addedBy: member._id,
+    name,
+    email,
+    relation,
+    tokenHash: hashToken(token)
+  });
+  await conversation.save();
+
+  await sendMail({
+    to: email,
+    subject: `${member.name} has shared a conversation with you - Hijab Marriage Bureau`,
+    text: `Assalam-o-Alaikum ${name},\n\n` +
+      `${member.name} has asked that you, as their guardian, can read their conversation with a match ` +
+      `on Hijab Marriage Bureau. You can read it at any time here:\n\n${appUrl(`/conversations/guardian/${token}`)}\n\n` +
+      'Please keep this link private. Access can be withdrawn by the member at any time.'
+  });
+
+  return conversation.guardians[conversation.guardians.length - 1];
+};
+
+// Conversation a guardian link opens, with the guardian it was issued to
+const findByGuardianToken = async (token) => {
+  const tokenHash = hashToken(String(token));
+  const conversation = await Conversation.findOne({ guardians: { $elemMatch: { tokenHash, revokedAt: null } } })
+    .select('+guardians.tokenHash')
+    .populate('participants', 'name');
+  if (!conversation) return null;
+
+  const guardian = conversation.guardians.find(item => item.tokenHash === tokenHash);
+  return { conversation, guardian };
+};
+
+// Delete messages past their retention period; reported messages are held until a moderator reviews them
+// Returns the number of messages deleted
+const applyMessageRetention = async () => {
+  const now = Date.now();
+
+  // Conversations whose match has ended since they were last used
+  const open = await Conversation.find({ closedAt: null }).populate('interest', 'status');
+  for (const conversation of open) {
+    if (!conversation.interest || conversation.interest.status !== 'matched') {
+      await closeConversation(conversation, 'Match ended');
+    }
+  }
+
+  const notHeld = { 'moderation.status': { $ne: 'reported' } };
+
+  const expired = await Message.deleteMany({
+    ...notHeld,
+    createdAt: { $lt: new Date(now - RETENTION_DAYS * DAY) }
+  });
+
+  const closed = await Conversation.find({ closedAt: { $lt: new Date(now - CLOSED_RETENTION_DAYS * DAY) } }).select('_id');
+  const ended = await Message.deleteMany({
+    ...notHeld,
+    conversation: { $in: closed.map(conversation => conversation._id) }
+  });
+
+  return expired.deletedCount + ended.deletedCount;
+};
+
+// Apply retention periodically for as long as the process runs
+const startMessageRetention = (interval = RETENTION_INTERVAL) => {
+  const run = () => applyMessageRetention().catch(error => {
+    console.error('Message retention error:', error);
+  });
+
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  CLOSED_RETENTION_DAYS,
+  openConversation,
+  closeConversation,
+  cannotSend,
+  sendMessage,
+  addGuardian,
+  findByGuardianToken,
+  applyMessageRetention,
+  startMessageRetention
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Membership = require('../models/Membership');
+const { getSettings } = require('./settings');
+
+// Payment types that pay for a membership plan, with the setting holding their amount
+const MEMBERSHIP_FEES = Membership.PLANS;
+
+// Resolve the amount and currency expected for a payment type (null if not fixed)
+const getExpectedFee = async (paymentType) => {
+  const fee = MEMBERSHIP_FEES[paymentType];
+  if (!fee) return null;
+
+  const settings = await getSettings();
+  return {
+    amount: settings[fee.setting],
+    currency: fee.currency
+  };
+};
+
+// Total of a user's completed payments of one type that have not yet paid for a membership period
+// (optionally inside a transaction session)
+const getAmountPaid = async (userId, paymentType, { excludePaymentId, session } = {}) => {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId.toString()),
+    paymentType,
+    status: 'completed',
+    membershipId: null
+  };
+  if (excludePaymentId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludePaymentId.toString()) };
+  }
+
+  const [result] = await Payment.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session || null);
+
+  return result ? result.total : 0;
+};
+
+// Compare a claimed amount with what is still owed for the payment type
+const assessAmount = async (userId, paymentType, amount) => {
+  const fee = await getExpectedFee(paymentType);
+  if (!fee) {
+    return { currency: 'PKR', amountStatus: 'unchecked' };
+  }
+
+  const paid = await getAmountPaid(userId, paymentType);
+  const outstandingAmount = Math.max(fee.amount - paid, 0);
+
+  let amountStatus = 'matched';
+  if (amount < outstandingAmount) {
+    amountStatus = 'partial';
+  } else if (amount > outstandingAmount) {
+    amountStatus = 'overpaid';
+  }
+
+  return {
+    currency: fee.currency,
+    expectedAmount: fee.amount,
+    outstandingAmount,
+    amountStatus
+  };
+};
+
+// Progress towards the next membership period for each plan
+const getFeeSummary = async (userId, session) => {
+  const summary = {};
+  for (const paymentType of Object.keys(MEMBERSHIP_FEES)) {
+    const fee = await getExpectedFee(paymentType);
+    const paid = await getAmountPaid(userId, paymentType, { session });
+    summary[paymentType] = {
+      expectedAmount: fee.amount,
+      currency: fee.currency,
+      paid,
+      outstandingAmount: Math.max(fee.amount - paid, 0),
+      settled: paid > 0 && paid >= fee.amount
+    };
+  }
+  return summary;
+};
+
+module.exports = {
+  MEMBERSHIP_FEES,
+  getExpectedFee,
+  getAmountPaid,
+  assessAmount,
+  getFeeSummary
+};
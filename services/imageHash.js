@@ -0,0 +1,43 @@
+const sharp = require('sharp');
+
+// Difference hash (dHash): shrink to 9x8 greyscale and record whether each pixel is brighter
+// than its right-hand neighbour. Re-encoded, resized or lightly edited copies of an image keep
+// almost the same 64 bits, unlike a byte checksum.
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// 16-character hex hash of an image buffer
+const computeImageHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const offset = y * HASH_WIDTH + x;
+      bits += pixels[offset] < pixels[offset + 1] ? '1' : '0';
+    }
+  }
+
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two hashes
+const hammingDistance = (a, b) => {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+};
+
+module.exports = {
+  computeImageHash,
+  hammingDistance
+};
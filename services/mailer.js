@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Console transport - prints outgoing mail to stdout (default for development)
+const consoleTransport = {
+  send: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('----------------------');
+  }
+};
+
+// File transport - writes each message as a JSON file into MAIL_DIR
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).substr(2, 5)}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+// Replace the transport (e.g. an SMTP client or a test double exposing send(message))
+const setTransport = (transport) => {
+  if (typeof transport === 'string') {
+    if (!transports[transport]) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    activeTransport = transports[transport];
+  } else {
+    activeTransport = transport;
+  }
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Hijab Marriage Bureau <no-reply@hijabmarriagebureau.com>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  await activeTransport.send(message);
+  return message;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  transports
+};
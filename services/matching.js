@@ -0,0 +1,148 @@
+const RishtaProfile = require('../models/RishtaProfile');
+const Block = require('../models/Block');
+
+// Minimum share (in %) of stated preferences that must be met in each direction
+const MIN_SCORE = 50;
+
+const CRITERIA = [
+  { key: 'age', label: 'Age' },
+  { key: 'location', label: 'Location' },
+  { key: 'education', label: 'Education' },
+  { key: 'maritalStatus', label: 'Marital status' },
+  { key: 'religiousness', label: 'Religiousness' }
+];
+
+// A preference list is open if it is empty or includes 'any'
+const isOpen = (list) => !list || list.length === 0 || list.includes('any');
+
+// Treat user input as literal text inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatValue = (value) => (value ? value.toString().replace(/-/g, ' ') : 'not specified');
+
+// Check one criterion of `preferences` against `profile`
+const checkCriterion = (key, preferences, profile) => {
+  switch (key) {
+    case 'age': {
+      const range = preferences.ageRange || {};
+      const age = profile.calculatedAge || profile.personalInfo.age;
+      if (!range.min && !range.max) {
+        return { status: 'open', detail: 'No age preference' };
+      }
+      const min = range.min || 18;
+      const max = range.max || 80;
+      return {
+        status: age >= min && age <= max ? 'match' : 'mismatch',
+        detail: `Age ${age}, preferred ${min}-${max}`
+      };
+    }
+    case 'location': {
+      if (isOpen(preferences.location)) {
+        return { status: 'open', detail: 'No location preference' };
+      }
+      const wanted = preferences.location.map(loc => loc.toLowerCase());
+      const { city, country } = profile.personalInfo.location || {};
+      const found = [city, country].some(place => place && wanted.includes(place.toLowerCase()));
+      return {
+        status: found ? 'match' : 'mismatch',
+        detail: `Lives in ${[city, country].filter(Boolean).join(', ')}, preferred ${preferences.location.join(', ')}`
+      };
+    }
+    case 'education':
+    case 'maritalStatus':
+    case 'religiousness': {
+      const wanted = preferences[key];
+      if (isOpen(wanted)) {
+        return { status: 'open', detail: `No ${key === 'maritalStatus' ? 'marital status' : key} preference` };
+      }
+      const value = {
+        education: profile.education && profile.education.level,
+        maritalStatus: profile.personalInfo.maritalStatus,
+        religiousness: profile.religiousInfo && profile.religiousInfo.religiousness
+      }[key];
+      return {
+        status: wanted.includes(value) ? 'match' : 'mismatch',
+        detail: `${formatValue(value)}, preferred ${wanted.map(formatValue).join(', ')}`
+      };
+    }
+    default:
+      return { status: 'open', detail: '' };
+  }
+};
+
+// Evaluate how well `profile` fits the preferences of `seeker`
+const evaluate = (seeker, profile) => {
+  const preferences = seeker.preferences || {};
+  const criteria = CRITERIA.map(({ key, label }) => ({
+    key,
+    label,
+    ...checkCriterion(key, preferences, profile)
+  }));
+
+  const stated = criteria.filter(criterion => criterion.status !== 'open');
+  const matched = stated.filter(criterion => criterion.status === 'match');
+  const score = stated.length === 0 ? 100 : Math.round((matched.length / stated.length) * 100);
+
+  return { score, criteria };
+};
+
+// Score a candidate in both directions
+const scoreMatch = (profile, candidate) => {
+  const forward = evaluate(profile, candidate);
+  const reciprocal = evaluate(candidate, profile);
+
+  return {
+    profile: candidate,
+    score: Math.round((forward.score + reciprocal.score) / 2),
+    isMutual: forward.score >= MIN_SCORE && reciprocal.score >= MIN_SCORE,
+    forward,
+    reciprocal
+  };
+};
+
+// Keep the best `limit` matches, highest score first; ties keep their order of arrival
+const keepBest = (matches, limit) => {
+  matches.sort((a, b) => b.score - a.score);
+  matches.length = Math.min(matches.length, limit);
+};
+
+// Find published, approved profiles of the opposite gender that mutually fit,
+// leaving out members blocked in either direction
+// Only those conditions go into the query: a candidate missing a stated preference can still
+// reach MIN_SCORE, so preferences are left to scoring. Candidates are streamed, newest first,
+// and only the best matches are held, so memory stays bounded whatever the number of profiles
+const findSuggestedMatches = async (profile, limit = 20) => {
+  const oppositeGender = profile.personalInfo.gender === 'male' ? 'female' : 'male';
+  const hidden = await Block.hiddenUserIds(profile.userId);
+
+  const candidates = RishtaProfile.find({
+    published: true,
+    status: 'approved',
+    'personalInfo.gender': oppositeGender,
+    userId: { $nin: [profile.userId, ...hidden] }
+  })
+    .select(RishtaProfile.projectionFor('member'))
+    .sort({ publishedAt: -1, _id: -1 })
+    .cursor();
+
+  const matches = [];
+  for await (const candidate of candidates) {
+    const match = scoreMatch(profile, candidate);
+    if (!match.isMutual) continue;
+
+    matches.push(match);
+    if (matches.length >= limit * 2) keepBest(matches, limit);
+  }
+  keepBest(matches, limit);
+
+  await RishtaProfile.populate(matches.map(match => match.profile), { path: 'userId', select: 'name' });
+  return matches;
+};
+
+module.exports = {
+  MIN_SCORE,
+  escapeRegex,
+  evaluate,
+  scoreMatch,
+  findSuggestedMatches
+};
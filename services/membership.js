@@ -0,0 +1,256 @@
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { getSettings } = require('./settings');
+const { getFeeSummary } = require('./fees');
+const { notify } = require('./notifications');
+const { inTransaction } = require('./transactions');
+
+const { PLANS, GRACE_DAYS, RENEWAL_DAYS } = Membership;
+
+const DAY = 24 * 60 * 60 * 1000;
+const REMINDER_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Plans with their current prices
+const getPlans = async () => {
+  const settings = await getSettings();
+  return Object.keys(PLANS).map(key => ({
+    key,
+    ...PLANS[key],
+    price: settings[PLANS[key].setting]
+  }));
+};
+
+// Latest paid-up period, copied onto the user so access checks need no extra query
+const refreshUserMembership = async (userId, session) => {
+  const latest = await Membership.findOne({ userId, status: 'active' })
+    .sort({ expiresAt: -1 })
+    .session(session);
+
+  // Periods replace the stored isPaid flag of accounts from before memberships
+  const update = latest
+    ? { $set: { membershipPlan: latest.plan, membershipExpiresAt: latest.expiresAt }, $unset: { isPaid: 1 } }
+    : { $unset: { membershipPlan: 1, membershipExpiresAt: 1, isPaid: 1 } };
+
+  await User.updateOne({ _id: userId }, update, { session, strict: false });
+};
+
+// A new period follows the current one (so renewing early loses nothing), or starts now
+const nextPeriodStart = async (userId, session) => {
+  const latest = await Membership.findOne({ userId, status: 'active' })
+    .sort({ expiresAt: -1 })
+    .session(session);
+
+  const now = new Date();
+  return latest && latest.expiresAt > now ? latest.expiresAt : now;
+};
+
+const createPeriod = async (userId, plan, { payments = [], grantedBy, session }) => {
+  const startsAt = await nextPeriodStart(userId, session);
+  const [membership] = await Membership.create([{
+    userId,
+    plan,
+    startsAt,
+    expiresAt: addMonths(startsAt, PLANS[plan].durationMonths),
+    payments,
+    grantedBy
+  }], { session });
+  return membership;
+};
+
+// Start a period for each plan whose fee is covered by completed payments not yet used
+const applyCompletedPayments = async (userId, session) => {
+  const created = [];
+  const summary = await getFeeSummary(userId, session);
+
+  for (const plan of Object.keys(summary)) {
+    if (!summary[plan].settled) continue;
+
+    const payments = await Payment.find({ userId, paymentType: plan, status: 'completed', membershipId: null })
+      .select('_id')
+      .session(session);
+
+    const membership = await createPeriod(userId, plan, { payments: payments.map(payment => payment._id), session });
+    await Payment.updateMany({ _id: { $in: membership.payments } }, { membershipId: membership._id }, { session });
+    created.push(membership);
+  }
+
+  return created;
+};
+
+// Close gaps left by a revoked period by moving later periods forward
+const reschedulePeriods = async (userId, session) => {
+  const now = new Date();
+  const periods = await Membership.find({ userId, status: 'active' })
+    .sort({ startsAt: 1 })
+    .session(session);
+
+  let cursor = now;
+  periods.filter(period => period.startsAt <= now).forEach(period => {
+    if (period.expiresAt > cursor) cursor = period.expiresAt;
+  });
+
+  for (const period of periods.filter(period => period.startsAt > now)) {
+    if (period.startsAt.getTime() !== cursor.getTime()) {
+      const length = period.expiresAt.getTime() - period.startsAt.getTime();
+      period.startsAt = cursor;
+      period.expiresAt = new Date(cursor.getTime() + length);
+      await period.save({ session });
+    }
+    cursor = period.expiresAt;
+  }
+};
+
+// Released payments count towards the next period again (used when a payment is reversed)
+const revokePeriod = async (membership, { revokedBy, reason, releasePayments = false, session }) => {
+  membership.status = 'revoked';
+  membership.revokedAt = new Date();
+  membership.revokedBy = revokedBy;
+  membership.revocationReason = reason;
+  await membership.save({ session });
+
+  if (releasePayments) {
+    await Payment.updateMany({ membershipId: membership._id }, { $unset: { membershipId: 1 } }, { session });
+  }
+};
+
+// Describe how a member's access changed between two user snapshots
+const accessChange = (before, after, renewed) => {
+  if (!before.isPaid && after.isPaid) return 'granted';
+  if (before.isPaid && !after.isPaid) return 'revoked';
+  if (renewed) return 'renewed';
+  return null;
+};
+
+// Bring a member's periods in line after one of their payments changed status (inside its transaction)
+// Returns 'granted', 'renewed', 'revoked' or null when access did not change
+const syncPaymentMembership = async (payment, previousStatus, session) => {
+  if (!PLANS[payment.paymentType]) return null;
+
+  const before = await User.findById(payment.userId).select('membershipExpiresAt isPaid').session(session);
+  if (!before) return null;
+
+  // A reversed payment takes its period with it
+  if (previousStatus === 'completed' && payment.membershipId) {
+    const membership = await Membership.findById(payment.membershipId).session(session);
+    if (membership && membership.status === 'active') {
+      await revokePeriod(membership, {
+        reason: `Payment ${payment._id} marked ${payment.status}`,
+        releasePayments: true,
+        session
+      });
+    }
+  }
+
+  const created = await applyCompletedPayments(payment.userId, session);
+  await reschedulePeriods(payment.userId, session);
+  await refreshUserMembership(payment.userId, session);
+
+  const after = await User.findById(payment.userId).select('membershipExpiresAt isPaid').session(session);
+  return accessChange(before, after, created.length > 0);
+};
+
+// Staff grant of a period without payment
+// audit(membership, session) runs in the same transaction, so the change and its audit entry are written together
+const grantMembership = (userId, plan, grantedBy, { audit } = {}) => inTransaction(async (session) => {
+  const membership = await createPeriod(userId, plan, { grantedBy, session });
+  await refreshUserMembership(userId, session);
+  if (audit) await audit(membership, session);
+  return membership;
+});
+
+// Staff revocation of a period; its payments stay used so they cannot fund another one
+const revokeMembership = (membership, { revokedBy, reason, audit }) => inTransaction(async (session) => {
+  await revokePeriod(membership, { revokedBy, reason, session });
+  await reschedulePeriods(membership.userId, session);
+  await refreshUserMembership(membership.userId, session);
+  if (audit) await audit(membership, session);
+});
+
+// Periods due a reminder, with their users, limited to each user's last period
+// (a member who has already renewed is not reminded about the period being replaced)
+const findDuePeriods = async (filter) => {
+  const periods = await Membership.find({ status: 'active', ...filter })
+    .populate('userId', 'name email isActive membershipExpiresAt');
+
+  return periods.filter(period => {
+    const user = period.userId;
+    return user && user.isActive && user.membershipExpiresAt &&
+      user.membershipExpiresAt.getTime() === period.expiresAt.getTime();
+  });
+};
+
+// Notify members whose membership is about to expire, or has expired and is in its grace period
+// Returns the number of reminders sent
+const sendRenewalReminders = async () => {
+  const now = new Date();
+  let sent = 0;
+
+  const expiring = await findDuePeriods({
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + RENEWAL_DAYS * DAY) },
+    reminderSentAt: null
+  });
+
+  for (const period of expiring) {
+    await notify(period.userId, {
+      type: 'membership.expiring',
+      title: 'Your membership is expiring soon',
+      message: `Your ${period.planName} membership expires on ${period.expiresAt.toDateString()}.`,
+      link: '/payments',
+      emailText: `Your ${period.planName} membership expires on ${period.expiresAt.toDateString()}. ` +
+        'Renewing early adds a full period after your current one ends. ' +
+        'Renew now to keep your profile visible and your matches coming:'
+    });
+    period.reminderSentAt = new Date();
+    await period.save();
+    sent += 1;
+  }
+
+  const lapsed = await findDuePeriods({
+    expiresAt: { $lte: now, $gt: new Date(now.getTime() - GRACE_DAYS * DAY) },
+    graceNoticeSentAt: null
+  });
+
+  for (const period of lapsed) {
+    await notify(period.userId, {
+      type: 'membership.expired',
+      title: 'Your membership has expired',
+      message: `You keep access until ${period.graceEndsAt.toDateString()}; renew before then to avoid any interruption.`,
+      link: '/payments',
+      emailText: `Your ${period.planName} membership expired on ${period.expiresAt.toDateString()}. ` +
+        `You keep access until ${period.graceEndsAt.toDateString()}; renew before then to avoid any interruption:`
+    });
+    period.graceNoticeSentAt = new Date();
+    await period.save();
+    sent += 1;
+  }
+
+  return sent;
+};
+
+// Send reminders periodically for as long as the process runs
+const startRenewalReminders = (interval = REMINDER_INTERVAL) => {
+  const run = () => sendRenewalReminders().catch(error => {
+    console.error('Renewal reminder error:', error);
+  });
+
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  getPlans,
+  syncPaymentMembership,
+  grantMembership,
+  revokeMembership,
+  sendRenewalReminders,
+  startRenewalReminders
+};
@@ -0,0 +1,64 @@
+// Screening of member messages: contact details are masked so introductions stay with
+// the families and the bureau, and profanity is starred out
+
+// Words starred out, matched as whole words with common endings (e.g. "-s", "-ing")
+const PROFANITY = [
+  'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'whore', 'slut', 'cunt',
+  'harami', 'kutta', 'kutti', 'kamina', 'kameena', 'kamini', 'chutiya', 'gandu',
+  'bhenchod', 'behenchod', 'madarchod', 'randi'
+];
+
+const PROFANITY_PATTERN = new RegExp(`\\b(?:${PROFANITY.join('|')})(?:s|es|ing|ed|er|ers)?\\b`, 'gi');
+
+// Applied in order, so an email address is not also caught as a handle or a link
+const CONTACT_PATTERNS = [
+  {
+    type: 'email',
+    pattern: /[A-Z0-9._%+-]+\s*(?:@|\(at\)|\[at\])\s*[A-Z0-9.-]+\s*(?:\.|\(dot\)|\[dot\])\s*[A-Z]{2,}/gi,
+    replacement: '[email hidden]'
+  },
+  {
+    type: 'link',
+    pattern: /\b(?:https?:\/\/|www\.)\S+|\b[A-Z0-9-]+\.(?:com|net|org|pk|io|me|co|info|link|ly)(?:\/\S*)?\b/gi,
+    replacement: '[link hidden]'
+  },
+  {
+    // Seven or more digits, allowing spaces, dashes and brackets between them (not dots, so dates survive)
+    type: 'phone',
+    pattern: /\+?\d(?:[\s\-()]*\d){6,}/g,
+    replacement: '[number hidden]'
+  },
+  {
+    type: 'handle',
+    pattern: /(^|[^\w])@[A-Z0-9_.]{3,}/gi,
+    replacement: '$1[handle hidden]'
+  }
+];
+
+// Mask contact details and profanity in a message
+// Returns the text to show and the kinds of content that were hidden
+const filterMessage = (text) => {
+  const filters = [];
+  let filtered = String(text);
+
+  CONTACT_PATTERNS.forEach(({ type, pattern, replacement }) => {
+    const masked = filtered.replace(pattern, replacement);
+    if (masked !== filtered) {
+      filters.push(type);
+      filtered = masked;
+    }
+  });
+
+  const clean = filtered.replace(PROFANITY_PATTERN, word => `${word[0]}${'*'.repeat(word.length - 1)}`);
+  if (clean !== filtered) {
+    filters.push('profanity');
+    filtered = clean;
+  }
+
+  return { text: filtered, filters };
+};
+
+module.exports = {
+  FILTER_TYPES: [...CONTACT_PATTERNS.map(({ type }) => type), 'profanity'],
+  filterMessage
+};
@@ -0,0 +1,34 @@
+const Migration = require('../models/Migration');
+
+// Data migrations, applied once each in this order when the server starts
+const MIGRATIONS = [
+  require('../migrations/photos-authenticated-delivery'),
+  require('../migrations/index-user-sessions'),
+  require('../migrations/paid-users-memberships'),
+  require('../migrations/profiles-last-active')
+];
+
+// Whether a migration has completed
+const hasRun = async (name) => Boolean(await Migration.exists({ name }));
+
+// Apply pending migrations in order, stopping at the first failure so later ones never run
+// on data an earlier one has not fixed; returns the names applied
+const runMigrations = async (migrations = MIGRATIONS) => {
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (await hasRun(migration.name)) continue;
+
+    await migration.up();
+    await Migration.create({ name: migration.name });
+    applied.push(migration.name);
+  }
+
+  return applied;
+};
+
+module.exports = {
+  MIGRATIONS,
+  hasRun,
+  runMigrations
+};
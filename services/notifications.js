@@ -0,0 +1,108 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { rolesWithPermission } = require('./permissions');
+const { appUrl } = require('./urls');
+
+// Delivery channels, keyed like User.notificationPreferences. Each exposes
+// available(user) and send(user, notification), where notification is
+// { type, title, message, link, emailText }
+const inAppChannel = {
+  available: () => true,
+  send: (user, { type, title, message, link }) => Notification.create({ userId: user._id, type, title, message, link })
+};
+
+const emailChannel = {
+  available: (user) => Boolean(user.email),
+  send: (user, { title, message, link, emailText }) => sendMail({
+    to: user.email,
+    subject: `${title} - Hijab Marriage Bureau`,
+    text: `Assalam-o-Alaikum ${user.name},\n\n${emailText || message || title}` +
+      (link ? `\n\n${appUrl(link)}` : '')
+  })
+};
+
+const smsChannel = {
+  available: (user) => Boolean(user.phone && user.phoneVerified),
+  send: (user, { title, message }) => sendSms({
+    to: user.phone,
+    text: `Hijab Marriage Bureau: ${title}${message ? `. ${message}` : ''}`
+  })
+};
+
+const CHANNELS = ['inApp', 'email', 'sms'];
+
+const channels = {
+  inApp: inAppChannel,
+  email: emailChannel,
+  sms: smsChannel
+};
+
+// Replace a channel (e.g. a push service or a test double exposing available and send)
+const setChannel = (name, channel) => {
+  if (!CHANNELS.includes(name)) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  channels[name] = channel;
+};
+
+const RECIPIENT_FIELDS = 'name email phone phoneVerified isActive notificationPreferences';
+
+// Deliver one notification to a user through each channel they have turned on
+// A failing channel is logged and does not stop the others or the caller
+// Returns the in-app notification, if one was stored
+const deliver = async (user, notification) => {
+  let stored = null;
+  const preferences = user.notificationPreferences || {};
+
+  for (const name of CHANNELS) {
+    const channel = channels[name];
+    if (!preferences[name] || !channel.available(user)) continue;
+
+    try {
+      const result = await channel.send(user, notification);
+      if (name === 'inApp') stored = result;
+    } catch (error) {
+      console.error(`Notification ${name} delivery error:`, error);
+    }
+  }
+
+  return stored;
+};
+
+// Notify a member (by id or document)
+// Like deliver, never throws: the action that triggered it has already happened
+const notify = async (userOrId, notification) => {
+  try {
+    const user = await User.findById(userOrId._id || userOrId).select(RECIPIENT_FIELDS);
+    if (!user || !user.isActive) return null;
+    return await deliver(user, notification);
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Notify every active staff member whose role has the permission
+// Returns the number of staff notified
+const notifyStaff = async (permission, notification) => {
+  try {
+    const staff = await User.find({ role: { $in: rolesWithPermission(permission) }, isActive: true })
+      .select(RECIPIENT_FIELDS);
+    for (const member of staff) {
+      await deliver(member, notification);
+    }
+    return staff.length;
+  } catch (error) {
+    console.error('Staff notification error:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  setChannel,
+  notify,
+  notifyStaff
+};
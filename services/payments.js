@@ -0,0 +1,34 @@
+const Payment = require('../models/Payment');
+const { syncPaymentMembership } = require('./membership');
+const { inTransaction } = require('./transactions');
+
+// Move a payment to a new status and update the member's access in the same transaction
+// audit(result, session) runs inside it too, so the audit entry is written with the change or not at all
+// Returns null when the payment's status was changed by someone else in the meantime
+const transitionPayment = async (payment, status, { changedBy, notes, audit } = {}) => {
+  const previousStatus = payment.status;
+  const update = { status };
+  if (changedBy) {
+    update.verifiedBy = changedBy;
+    update.verifiedAt = new Date();
+  }
+  if (notes !== undefined) update.verificationNotes = notes;
+
+  return inTransaction(async (session) => {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: previousStatus },
+      { $set: update },
+      { new: true, runValidators: true, session }
+    );
+    if (!updated) return null;
+
+    const membership = await syncPaymentMembership(updated, previousStatus, session);
+    const result = { payment: updated, previousStatus, membership };
+    if (audit) await audit(result, session);
+    return result;
+  });
+};
+
+module.exports = {
+  transitionPayment
+};
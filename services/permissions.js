@@ -0,0 +1,67 @@
+// Capabilities that staff roles can be granted
+const PERMISSIONS = {
+  'dashboard:view': 'Open the staff dashboard',
+  'users:view': 'View member accounts',
+  'users:manage': 'Activate, deactivate and unlock member accounts',
+  'roles:assign': 'Assign staff roles',
+  'profiles:view': 'View full profiles, including private details and photos',
+  'profiles:review': 'Approve, reject and publish profiles',
+  'payments:view': 'View payments and receipts',
+  'payments:verify': 'Verify payments and grant membership',
+  'messages:manage': 'Handle contact messages',
+  'conversations:moderate': 'Review reported member messages',
+  'settings:manage': 'Change fees and payment settings',
+  'analytics:view': 'View analytics',
+  'audit:view': 'View and export the audit log'
+};
+
+// Roles and the permissions they grant ('user' is a regular member)
+const ROLES = {
+  user: {
+    label: 'Member',
+    permissions: []
+  },
+  'payment-clerk': {
+    label: 'Payment Clerk',
+    permissions: ['dashboard:view', 'users:view', 'payments:view', 'payments:verify']
+  },
+  'profile-reviewer': {
+    label: 'Profile Reviewer',
+    permissions: ['dashboard:view', 'users:view', 'profiles:view', 'profiles:review']
+  },
+  matchmaker: {
+    label: 'Matchmaker',
+    permissions: ['dashboard:view', 'users:view', 'profiles:view', 'messages:manage', 'conversations:moderate']
+  },
+  admin: {
+    label: 'Administrator',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+const permissionsFor = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+// Staff roles carry permissions and require two-factor authentication
+const isStaffRole = (role) => permissionsFor(role).length > 0;
+
+// Roles that grant a permission (e.g. to find staff who can be assigned a task)
+const rolesWithPermission = (permission) => ROLE_NAMES.filter(role => permissionsFor(role).includes(permission));
+
+// Whether a session user may use a permission; staff permissions apply only with two-factor authentication on
+const hasPermission = (sessionUser, permission) => Boolean(
+  sessionUser &&
+  sessionUser.twoFactorEnabled &&
+  permissionsFor(sessionUser.role).includes(permission)
+);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  permissionsFor,
+  isStaffRole,
+  rolesWithPermission,
+  hasPermission
+};
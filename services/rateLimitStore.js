@@ -0,0 +1,54 @@
+const RateLimitHit = require('../models/RateLimitHit');
+
+// express-rate-limit store keeping counters in MongoDB, so limits hold across server instances and restarts
+const createRateLimitStore = (limiter) => {
+  let windowMs = 60 * 1000;
+
+  // Count a hit, starting a new window when the current one has passed
+  const increment = async (key) => {
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+
+    const update = () => RateLimitHit.findOneAndUpdate({ limiter, key }, [{
+      $set: {
+        hits: { $cond: [current, { $add: ['$hits', 1] }, 1] },
+        resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] }
+      }
+    }], { upsert: true, new: true });
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two first hits raced to create the counter; the second one updates it
+      if (error.code !== 11000) throw error;
+      counter = await update();
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  };
+
+  return {
+    localKeys: false,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+
+    increment,
+
+    decrement: async (key) => {
+      await RateLimitHit.updateOne({ limiter, key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    },
+
+    resetKey: async (key) => {
+      await RateLimitHit.deleteOne({ limiter, key });
+    },
+
+    resetAll: async () => {
+      await RateLimitHit.deleteMany({ limiter });
+    }
+  };
+};
+
+module.exports = { createRateLimitStore };
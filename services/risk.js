@@ -0,0 +1,126 @@
+const Payment = require('../models/Payment');
+const { hammingDistance } = require('./imageHash');
+
+// Receipts whose hashes differ in at most this many of 64 bits are treated as the same picture
+const RECEIPT_HASH_THRESHOLD = 6;
+
+// How many recent receipts a new one is compared with
+const RECEIPT_COMPARE_LIMIT = 5000;
+
+const SEVERITY_ORDER = ['none', 'medium', 'high'];
+
+// Case-insensitive equality for reference numbers
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Ways the same Pakistani mobile number can be written (03001234567, +923001234567, ...)
+const phoneVariants = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  const local = digits.replace(/^(92|0)/, '');
+  if (local.length !== 10) return [number];
+  return [`0${local}`, `+92${local}`, `92${local}`, local];
+};
+
+const highestSeverity = (flags) => flags.reduce(
+  (level, flag) => (SEVERITY_ORDER.indexOf(flag.severity) > SEVERITY_ORDER.indexOf(level) ? flag.severity : level),
+  'none'
+);
+
+// Add a flag to a payment document unless it already has the same one
+const addFlag = (payment, flag) => {
+  const exists = payment.riskFlags.some(existing => (
+    existing.type === flag.type &&
+    String(existing.relatedPayment) === String(flag.relatedPayment)
+  ));
+  if (exists) return false;
+
+  payment.riskFlags.push(flag);
+  payment.riskLevel = highestSeverity(payment.riskFlags);
+  return true;
+};
+
+// Earlier payments that share this payment's reference number, sender number or receipt image
+const findMatches = async (payment) => {
+  const others = { _id: { $ne: payment._id }, status: { $ne: 'cancelled' } };
+  const matches = [];
+
+  if (payment.referenceNumber) {
+    const sameReference = await Payment.find({ ...others, referenceNumber: payment.referenceNumber })
+      .collation(CASE_INSENSITIVE)
+      .select('userId referenceNumber');
+    sameReference.forEach(other => matches.push({
+      other,
+      type: 'duplicate-reference',
+      // Re-submitting a reference could be a mistake; another account using it is not
+      severity: other.userId.equals(payment.userId) ? 'medium' : 'high',
+      detail: `Reference ${payment.referenceNumber} was also used on payment ${other._id}`
+    }));
+  }
+
+  if (payment.senderNumber) {
+    const sameSender = await Payment.find({
+      ...others,
+      userId: { $ne: payment.userId },
+      senderNumber: { $in: phoneVariants(payment.senderNumber) }
+    }).select('userId senderNumber');
+    sameSender.forEach(other => matches.push({
+      other,
+      type: 'shared-sender',
+      severity: 'medium',
+      detail: `Sender number ${payment.senderNumber} also paid for another account (payment ${other._id})`
+    }));
+  }
+
+  const hash = payment.receiptImage && payment.receiptImage.perceptualHash;
+  if (hash) {
+    const receipts = await Payment.find({ ...others, 'receiptImage.perceptualHash': { $exists: true, $ne: null } })
+      .sort({ createdAt: -1 })
+      .limit(RECEIPT_COMPARE_LIMIT)
+      .select('userId receiptImage.perceptualHash');
+    receipts
+      .filter(other => hammingDistance(hash, other.receiptImage.perceptualHash) <= RECEIPT_HASH_THRESHOLD)
+      .forEach(other => matches.push({
+        other,
+        type: 'duplicate-receipt',
+        severity: 'high',
+        detail: `Receipt image matches the receipt on payment ${other._id}`
+      }));
+  }
+
+  return matches;
+};
+
+// Flag a newly saved payment that reuses details of earlier payments, and flag the earlier
+// ones back so whichever is reviewed first shows the match
+const flagPaymentRisks = async (payment) => {
+  const matches = await findMatches(payment);
+  if (matches.length === 0) return payment.riskFlags;
+
+  for (const match of matches) {
+    addFlag(payment, {
+      type: match.type,
+      severity: match.severity,
+      relatedPayment: match.other._id,
+      detail: match.detail
+    });
+
+    const other = await Payment.findById(match.other._id);
+    const added = addFlag(other, {
+      type: match.type,
+      severity: match.severity,
+      relatedPayment: payment._id,
+      detail: match.detail.replace(`payment ${match.other._id}`, `payment ${payment._id}`)
+    });
+    if (added) {
+      await Payment.updateOne({ _id: other._id }, { riskFlags: other.riskFlags, riskLevel: other.riskLevel });
+    }
+  }
+
+  await payment.save();
+  return payment.riskFlags;
+};
+
+module.exports = {
+  RECEIPT_HASH_THRESHOLD,
+  phoneVariants,
+  flagPaymentRisks
+};
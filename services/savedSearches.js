@@ -0,0 +1,112 @@
+const RishtaProfile = require('../models/RishtaProfile');
+const SavedSearch = require('../models/SavedSearch');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { buildSearchFilter, searchQueryString } = require('./search');
+const { appUrl } = require('./urls');
+
+const DIGEST_INTERVAL = (parseInt(process.env.SEARCH_DIGEST_HOURS) || 24) * 60 * 60 * 1000;
+
+// Profiles listed per search in one digest
+const DIGEST_PROFILE_LIMIT = 10;
+
+// Profiles matching a saved search published after `since`, other than the member's own
+// and those of members `hidden` by a block
+// Saved searches belong to members, so private filters such as income apply
+const newMatchesFilter = (search, since, hidden = []) => ({
+  ...buildSearchFilter(search.criteria, { includePrivate: true }),
+  userId: { $nin: [search.userId, ...hidden] },
+  publishedAt: { $gt: since }
+});
+
+// The member's saved searches, each with the number of profiles published since they last opened it
+const getSavedSearches = async (userId) => {
+  const searches = await SavedSearch.find({ userId }).sort({ createdAt: 1 });
+  const hidden = await Block.hiddenUserIds(userId);
+
+  return Promise.all(searches.map(async (search) => ({
+    search,
+    newCount: await RishtaProfile.countDocuments(newMatchesFilter(search, search.lastViewedAt, hidden))
+  })));
+};
+
+// /browse link that re-runs a saved search
+const browseUrl = (search) => {
+  const query = searchQueryString(search.criteria);
+  return query ? `/browse?${query}` : '/browse';
+};
+
+const describeProfile = (profile) => {
+  const { name, age, location } = profile.personalInfo;
+  const place = [location && location.city, location && location.country].filter(Boolean).join(', ');
+  return `- ${name}, ${age}${place ? `, ${place}` : ''}: ${appUrl(`/profile/${profile._id}`)}`;
+};
+
+// Notify each member with alerts of newly published profiles matching their saved searches
+// Returns the number of members notified
+const sendSearchDigests = async () => {
+  const startedAt = new Date();
+  let sent = 0;
+
+  const userIds = await SavedSearch.distinct('userId', { alertsEnabled: true });
+  const members = await User.find({ _id: { $in: userIds }, isActive: true, ...User.paidFilter() })
+    .select('_id');
+
+  for (const member of members) {
+    const searches = await SavedSearch.find({ userId: member._id, alertsEnabled: true }).sort({ createdAt: 1 });
+    const hidden = await Block.hiddenUserIds(member._id);
+    const sections = [];
+    let newProfiles = 0;
+
+    for (const search of searches) {
+      const filter = newMatchesFilter(search, search.lastDigestAt, hidden);
+      const total = await RishtaProfile.countDocuments(filter);
+      if (total === 0) continue;
+
+      const profiles = await RishtaProfile.find(filter)
+        .select('personalInfo.name personalInfo.age personalInfo.location')
+        .sort({ publishedAt: -1 })
+        .limit(DIGEST_PROFILE_LIMIT);
+
+      newProfiles += total;
+      const more = total > profiles.length ? `\nand ${total - profiles.length} more: ${appUrl(browseUrl(search))}` : '';
+      sections.push(`${search.name} (${total} new)\n${profiles.map(describeProfile).join('\n')}${more}`);
+    }
+
+    if (sections.length > 0) {
+      await notify(member, {
+        type: 'search.matches',
+        title: 'New profiles match your saved searches',
+        message: `${newProfiles} new ${newProfiles === 1 ? 'profile matches' : 'profiles match'} your saved searches.`,
+        link: '/profiles/dashboard',
+        emailText: `These profiles were published since our last update:\n\n${sections.join('\n\n')}\n\n` +
+          'Manage your saved searches and alerts from your dashboard:'
+      });
+      sent += 1;
+    }
+
+    // Searches with nothing new move on too, so the next digest starts from this run
+    await SavedSearch.updateMany({ _id: { $in: searches.map(search => search._id) } }, { lastDigestAt: startedAt });
+  }
+
+  return sent;
+};
+
+// Send digests periodically for as long as the process runs
+const startSearchDigests = (interval = DIGEST_INTERVAL) => {
+  const run = () => sendSearchDigests().catch(error => {
+    console.error('Saved search digest error:', error);
+  });
+
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getSavedSearches,
+  browseUrl,
+  sendSearchDigests,
+  startSearchDigests
+};
@@ -0,0 +1,168 @@
+const RishtaProfile = require('../models/RishtaProfile');
+const Block = require('../models/Block');
+const { scoreMatch, escapeRegex } = require('./matching');
+
+const enumValues = (path) => RishtaProfile.schema.path(path).enumValues;
+
+// Values offered by each list filter, taken from the profile schema so they never drift
+const FILTER_OPTIONS = {
+  gender: enumValues('personalInfo.gender'),
+  education: enumValues('education.level'),
+  maritalStatus: enumValues('personalInfo.maritalStatus'),
+  sect: enumValues('religiousInfo.sect'),
+  religiousness: enumValues('religiousInfo.religiousness'),
+  income: enumValues('occupation.income').filter(band => band !== 'prefer-not-to-say')
+};
+
+// Profile paths filtered by each list filter
+const FILTER_PATHS = {
+  gender: 'personalInfo.gender',
+  education: 'education.level',
+  maritalStatus: 'personalInfo.maritalStatus',
+  sect: 'religiousInfo.sect',
+  religiousness: 'religiousInfo.religiousness',
+  income: 'occupation.income'
+};
+
+const SORTS = {
+  newest: { label: 'Newest' },
+  'most-viewed': { label: 'Most viewed' },
+  'best-match': { label: 'Best match' },
+  'recently-active': { label: 'Recently active' }
+};
+
+const DEFAULT_SORT = 'newest';
+
+// Index-backed order of each sort other than best match (see the browse sort indexes)
+const ORDERS = {
+  newest: { createdAt: -1, _id: -1 },
+  'most-viewed': { views: -1, createdAt: -1, _id: -1 },
+  'recently-active': { lastActiveAt: -1, _id: -1 }
+};
+
+// Most candidates ranked for a best match search, taken newest published first
+const MATCH_CANDIDATE_LIMIT = 500;
+
+// Fields scoring needs from each candidate when sorting by best match
+const MATCH_FIELDS = 'userId personalInfo education.level religiousInfo.religiousness preferences';
+
+const addRange = (filter, path, min, max) => {
+  if (min === undefined && max === undefined) return;
+  filter[path] = {};
+  if (min !== undefined) filter[path].$gte = min;
+  if (max !== undefined) filter[path].$lte = max;
+};
+
+// MongoDB filter for validated browse criteria (see the browse route's validation)
+// Income is hidden from visitors without membership, so they cannot filter on it either
+const buildSearchFilter = (criteria, { includePrivate = false } = {}) => {
+  const filter = {
+    published: true,
+    status: 'approved'
+  };
+
+  Object.keys(FILTER_PATHS).forEach(key => {
+    if (key === 'income' && !includePrivate) return;
+    const values = criteria[key];
+    if (values && values.length > 0) {
+      filter[FILTER_PATHS[key]] = { $in: values };
+    }
+  });
+
+  if (criteria.city) {
+    filter['personalInfo.location.city'] = new RegExp(escapeRegex(criteria.city), 'i');
+  }
+
+  if (criteria.country) {
+    filter['personalInfo.location.country'] = new RegExp(`^${escapeRegex(criteria.country)}$`, 'i');
+  }
+
+  addRange(filter, 'personalInfo.age', criteria.minAge, criteria.maxAge);
+  addRange(filter, 'personalInfo.height', criteria.minHeight, criteria.maxHeight);
+
+  return filter;
+};
+
+// Query string for the same search with some criteria changed (e.g. another page)
+const searchQueryString = (criteria, overrides = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...criteria, ...overrides }).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    [].concat(value).forEach(item => params.append(key, item));
+  });
+  return params.toString();
+};
+
+// Load one page of profiles by id, keeping the order of the ids
+const loadInOrder = async (ids, projection) => {
+  const profiles = await RishtaProfile.find({ _id: { $in: ids } })
+    .select(projection)
+    .populate('userId', 'name');
+  const byId = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Scores candidates in both directions, like suggested matches, and is bounded the same way:
+// only the opposite gender, nobody blocked either way, and the most recently published
+// candidates up to the limit
+const sortByMatch = async (filter, seeker, { skip, limit, projection }) => {
+  const oppositeGender = seeker.personalInfo.gender === 'male' ? 'female' : 'male';
+  const hidden = await Block.hiddenUserIds(seeker.userId);
+
+  const candidates = await RishtaProfile.find({
+    $and: [
+      filter,
+      { 'personalInfo.gender': oppositeGender, userId: { $nin: [seeker.userId, ...hidden] } }
+    ]
+  })
+    .select(MATCH_FIELDS)
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(MATCH_CANDIDATE_LIMIT);
+
+  const ranked = candidates
+    .map(candidate => ({ id: candidate._id, score: scoreMatch(seeker, candidate).score }))
+    .sort((a, b) => b.score - a.score);
+  const page = ranked.slice(skip, skip + limit);
+
+  const matchScores = {};
+  page.forEach(({ id, score }) => {
+    matchScores[id.toString()] = score;
+  });
+
+  return {
+    profiles: await loadInOrder(page.map(({ id }) => id), projection),
+    matchScores,
+    total: ranked.length
+  };
+};
+
+// One page of profiles matching the filter in the requested order
+// Best match needs the viewer's own profile (`seeker`); without one, newest is used
+const searchProfiles = async (filter, { sort = DEFAULT_SORT, seeker, skip, limit, projection }) => {
+  const appliedSort = sort === 'best-match' && !seeker ? DEFAULT_SORT : sort;
+  let result;
+
+  if (appliedSort === 'best-match') {
+    result = await sortByMatch(filter, seeker, { skip, limit, projection });
+  } else {
+    const profiles = await RishtaProfile.find(filter)
+      .select(projection)
+      .populate('userId', 'name')
+      .sort(ORDERS[appliedSort])
+      .skip(skip)
+      .limit(limit);
+    result = { profiles, total: await RishtaProfile.countDocuments(filter) };
+  }
+
+  return { matchScores: {}, ...result, sort: appliedSort };
+};
+
+module.exports = {
+  FILTER_OPTIONS,
+  SORTS,
+  DEFAULT_SORT,
+  escapeRegex,
+  buildSearchFilter,
+  searchQueryString,
+  searchProfiles
+};
@@ -0,0 +1,84 @@
+const UserSession = require('../models/UserSession');
+
+const getSession = (store, sid) => new Promise((resolve, reject) => {
+  store.get(sid, (err, session) => (err ? reject(err) : resolve(session)));
+});
+
+const destroySession = (store, sid) => new Promise((resolve, reject) => {
+  store.destroy(sid, (err) => (err ? reject(err) : resolve()));
+});
+
+const saveSession = (store, sid, session) => new Promise((resolve, reject) => {
+  store.set(sid, session, (err) => (err ? reject(err) : resolve()));
+});
+
+// Record that a stored session is logged in as a user
+const trackUserSession = async (sid, userId) => {
+  await UserSession.updateOne({ sid }, { $set: { userId } }, { upsert: true });
+};
+
+// Forget a session that has been destroyed
+const untrackSession = async (sid) => {
+  await UserSession.deleteOne({ sid });
+};
+
+// Stored sessions logged in as the given user, as [sid, sessionData] pairs
+const findUserSessions = async (store, userId) => {
+  const entries = await UserSession.find({ userId }).select('sid');
+  const sessions = await Promise.all(entries.map(async ({ sid }) => [sid, await getSession(store, sid)]));
+
+  const isUsers = ([, session]) => session &&
+    session.user &&
+    session.user._id &&
+    session.user._id.toString() === userId.toString();
+
+  // Drop index entries for sessions that have expired or since logged in as someone else
+  const gone = sessions.filter(entry => !isUsers(entry)).map(([sid]) => sid);
+  if (gone.length > 0) {
+    await UserSession.deleteMany({ sid: { $in: gone }, userId });
+  }
+
+  return sessions.filter(isUsers);
+};
+
+// Snapshot of the user fields kept in req.session.user
+const toSessionUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isPaid: user.isPaid,
+  profileCompleted: user.profileCompleted,
+  emailVerified: user.emailVerified,
+  phoneVerified: user.phoneVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  refreshedAt: Date.now()
+});
+
+// Destroy every stored session belonging to a user, optionally keeping one session ID
+const destroyUserSessions = async (store, userId, exceptSid) => {
+  const targets = (await findUserSessions(store, userId)).filter(([sid]) => sid !== exceptSid);
+
+  await Promise.all(targets.map(([sid]) => destroySession(store, sid)));
+  await UserSession.deleteMany({ sid: { $in: targets.map(([sid]) => sid) } });
+  return targets.length;
+};
+
+// Flag a user's stored sessions so the next request reloads the user from the database
+const markUserSessionsStale = async (store, userId) => {
+  const targets = await findUserSessions(store, userId);
+
+  await Promise.all(targets.map(([sid, session]) => saveSession(store, sid, {
+    ...session,
+    user: { ...session.user, stale: true }
+  })));
+  return targets.length;
+};
+
+module.exports = {
+  toSessionUser,
+  trackUserSession,
+  untrackSession,
+  destroyUserSessions,
+  markUserSessionsStale
+};
@@ -0,0 +1,95 @@
+const Settings = require('../models/Settings');
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let cache = null;
+let cachedAt = 0;
+
+// Defaults from config.env, used until an admin saves settings for the first time
+const getDefaults = () => ({
+  registrationFee: parseInt(process.env.REGISTRATION_FEE) || 10000,
+  internationalFee: parseInt(process.env.INTERNATIONAL_FEE) || 200,
+  premiumFee: parseInt(process.env.PREMIUM_FEE) || 25000,
+  easypaisaNumber: process.env.EASYPAISA_NUMBER || '',
+  easypaisaAccount: process.env.EASYPAISA_ACCOUNT || ''
+});
+
+// Get current settings as a plain object (cached)
+const getSettings = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL) {
+    return cache;
+  }
+
+  const settings = await Settings.findOne({ key: 'global' }).lean();
+  const values = { ...getDefaults() };
+  if (settings) {
+    Settings.FIELDS.forEach(field => {
+      if (settings[field] !== undefined) values[field] = settings[field];
+    });
+    values.version = settings.version;
+    values.updatedAt = settings.updatedAt;
+  } else {
+    values.version = 0;
+  }
+
+  cache = values;
+  cachedAt = Date.now();
+  return cache;
+};
+
+// Update settings and record the change in the history
+const updateSettings = async (values, adminId, { session } = {}) => {
+  let settings = await Settings.findOne({ key: 'global' }).select('+history').session(session || null);
+  const isNew = !settings;
+  if (isNew) {
+    settings = new Settings({ ...getDefaults(), version: 0 });
+  }
+
+  const changes = [];
+  Settings.FIELDS.forEach(field => {
+    if (values[field] === undefined) return;
+    if (settings[field] !== values[field]) {
+      changes.push({ field, from: settings[field], to: values[field] });
+      settings[field] = values[field];
+    }
+  });
+
+  if (changes.length === 0 && !isNew) {
+    return { settings, changes };
+  }
+
+  settings.version += 1;
+  settings.updatedBy = adminId;
+  settings.history.push({
+    version: settings.version,
+    changes,
+    changedBy: adminId
+  });
+
+  await settings.save({ session });
+  clearCache();
+
+  return { settings, changes };
+};
+
+// Get change history, newest first
+const getSettingsHistory = async (limit = 20) => {
+  const settings = await Settings.findOne({ key: 'global' })
+    .select('+history')
+    .populate('history.changedBy', 'name email');
+
+  if (!settings) return [];
+  return settings.history.slice().reverse().slice(0, limit);
+};
+
+const clearCache = () => {
+  cache = null;
+  cachedAt = 0;
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getSettingsHistory,
+  clearCache
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Console transport - prints outgoing text messages to stdout (default for development)
+const consoleTransport = {
+  send: async (message) => {
+    console.log('--- Outgoing SMS ---');
+    console.log(`To: ${message.to}`);
+    console.log(message.text);
+    console.log('--------------------');
+  }
+};
+
+// File transport - writes each message as a JSON file into SMS_DIR
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.SMS_DIR || path.join(__dirname, '..', 'tmp', 'sms');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).substr(2, 5)}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = transports[process.env.SMS_TRANSPORT] || consoleTransport;
+
+// Replace the transport (e.g. an SMS gateway client or a test double exposing send(message))
+const setTransport = (transport) => {
+  if (typeof transport === 'string') {
+    if (!transports[transport]) {
+      throw new Error(`Unknown SMS transport: ${transport}`);
+    }
+    activeTransport = transports[transport];
+  } else {
+    activeTransport = transport;
+  }
+};
+
+// Send a text message through the active transport
+const sendSms = async ({ to, text }) => {
+  const message = {
+    from: process.env.SMS_FROM || 'HijabMB',
+    to,
+    text
+  };
+
+  await activeTransport.send(message);
+  return message;
+};
+
+module.exports = {
+  sendSms,
+  setTransport,
+  transports
+};
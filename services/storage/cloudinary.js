@@ -0,0 +1,93 @@
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Transformation used for blurred photo placeholders
+const BLUR_TRANSFORMATION = { effect: 'blur:2000', quality: 'auto' };
+
+// Configure Cloudinary storage
+const engine = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'hijab-marriage-bureau',
+    // Authenticated delivery: images are only reachable through signed URLs
+    type: 'authenticated',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
+    transformation: [
+      { width: 800, height: 800, crop: 'limit' },
+      { quality: 'auto' }
+    ],
+    // Pre-generate the blurred placeholder derivative
+    eager: [BLUR_TRANSFORMATION]
+  }
+});
+
+// Destroy an image whether it was uploaded with authenticated or public delivery
+const destroy = async (publicId) => {
+  const result = await cloudinary.uploader.destroy(publicId, { type: 'authenticated', invalidate: true });
+  if (result && result.result === 'not found') {
+    return cloudinary.uploader.destroy(publicId, { invalidate: true });
+  }
+  return result;
+};
+
+// Switch an image uploaded with public delivery to authenticated delivery, so its public URL
+// stops working; returns the new URL, or null if there was no public image to move
+const makeAuthenticated = async (publicId) => {
+  try {
+    const result = await cloudinary.uploader.rename(publicId, publicId, {
+      type: 'upload',
+      to_type: 'authenticated',
+      invalidate: true
+    });
+    return result.secure_url;
+  } catch (error) {
+    if (error.http_code === 404) return null;
+    throw error;
+  }
+};
+
+// Signed delivery URL for an image (blurred placeholder if requested)
+const getUrl = (publicId, { blurred = false } = {}) => {
+  return cloudinary.url(publicId, {
+    type: 'authenticated',
+    sign_url: true,
+    secure: true,
+    transformation: blurred ? [BLUR_TRANSFORMATION] : undefined
+  });
+};
+
+// Stream an image to the response without exposing its storage URL
+const stream = async (res, image, { blurred = false } = {}) => {
+  let response = await fetch(getUrl(image.publicId, { blurred }));
+
+  // Images uploaded before authenticated delivery keep their public URL
+  if (!response.ok && !blurred && image.url) {
+    response = await fetch(image.url);
+  }
+
+  if (!response.ok) {
+    return res.status(404).end();
+  }
+
+  res.set('Content-Type', response.headers.get('content-type') || 'image/jpeg');
+  res.set('Cache-Control', 'private, no-store');
+  Readable.fromWeb(response.body).pipe(res);
+};
+
+module.exports = {
+  name: 'cloudinary',
+  engine,
+  destroy,
+  makeAuthenticated,
+  getUrl,
+  stream,
+  cloudinary
+};
@@ -0,0 +1,37 @@
+// Storage drivers share one shape: a multer engine producing file.path (URL) and
+// file.filename (public ID), plus destroy, getUrl and stream helpers
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local')
+};
+
+let activeDriver = null;
+
+// Current driver, selected by STORAGE_DRIVER (defaults to Cloudinary)
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'cloudinary';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+};
+
+// Replace the driver by name or with a custom implementation (e.g. a test double)
+const setDriver = (driver) => {
+  if (typeof driver === 'string') {
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    activeDriver = drivers[driver]();
+  } else {
+    activeDriver = driver;
+  }
+};
+
+module.exports = {
+  getDriver,
+  setDriver
+};
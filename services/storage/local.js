@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+
+// Public IDs are generated file names; anything else is rejected to prevent path traversal
+const PUBLIC_ID_PATTERN = /^[a-z0-9-]+\.(jpg|jpeg|png|gif)$/;
+
+// Absolute, since res.sendFile rejects relative paths (UPLOAD_DIR may be relative to the working directory)
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const getFilePath = (publicId, { blurred = false } = {}) => {
+  if (!PUBLIC_ID_PATTERN.test(publicId)) return null;
+  return path.join(getUploadDir(), blurred ? 'blurred' : 'original', publicId);
+};
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Multer storage engine writing a resized original and a blurred derivative to disk
+const engine = {
+  _handleFile: async (req, file, cb) => {
+    try {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!ALLOWED_EXTENSIONS.includes(extension)) {
+        return cb(new Error('Only image files are allowed!'));
+      }
+
+      const publicId = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+      const buffer = await readStream(file.stream);
+
+      await fs.promises.mkdir(path.dirname(getFilePath(publicId)), { recursive: true });
+      await fs.promises.mkdir(path.dirname(getFilePath(publicId, { blurred: true })), { recursive: true });
+
+      // Same limits as the Cloudinary transformation
+      const original = sharp(buffer).rotate().resize(800, 800, { fit: 'inside', withoutEnlargement: true });
+      const info = await original.clone().toFile(getFilePath(publicId));
+      await original.clone().blur(40).toFile(getFilePath(publicId, { blurred: true }));
+
+      cb(null, {
+        path: getUrl(publicId),
+        filename: publicId,
+        size: info.size
+      });
+    } catch (error) {
+      cb(error);
+    }
+  },
+
+  _removeFile: (req, file, cb) => {
+    destroy(file.filename).then(() => cb(null), cb);
+  }
+};
+
+// Delete an image and its blurred derivative
+const destroy = async (publicId) => {
+  const files = [getFilePath(publicId), getFilePath(publicId, { blurred: true })].filter(Boolean);
+  await Promise.all(files.map(file => fs.promises.rm(file, { force: true })));
+};
+
+// URL of the protected media route serving the image
+const getUrl = (publicId, { blurred = false } = {}) => {
+  return blurred ? `/media/blurred/${publicId}` : `/media/${publicId}`;
+};
+
+// Send an image file to the response
+const stream = async (res, image, { blurred = false } = {}) => {
+  const filePath = getFilePath(image.publicId, { blurred });
+  if (!filePath) {
+    return res.status(404).end();
+  }
+
+  try {
+    await fs.promises.access(filePath);
+  } catch (error) {
+    return res.status(404).end();
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+};
+
+module.exports = {
+  name: 'local',
+  engine,
+  destroy,
+  getUrl,
+  stream
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Run work inside a transaction, passing it the session
+// Documents saved with the session get their state back if the transaction is retried
+const inTransaction = async (work) => {
+  let result;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+
+  return result;
+};
+
+// Throw unless the connected server supports transactions: a replica set member, or mongos for a sharded cluster
+const assertTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === 'isdbgrid') return;
+
+  throw new Error(
+    'MongoDB is running as a standalone server, but payments and audit entries are written in transactions, ' +
+    'which need a replica set. See "MongoDB replica set" in README.md.'
+  );
+};
+
+module.exports = {
+  inTransaction,
+  assertTransactionSupport
+};
@@ -0,0 +1,7 @@
+// Absolute link to a page of the site, for emails and text messages
+// Always built from APP_URL, never from the request's Host header, which a client can forge
+const appUrl = (path = '') => `${process.env.APP_URL || 'http://localhost:3000'}${path}`;
+
+module.exports = {
+  appUrl
+};
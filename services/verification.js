@@ -0,0 +1,48 @@
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { appUrl } = require('./urls');
+
+// Minimum wait between two verification emails or codes for the same user
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN) || 60;
+
+// Seconds left before another link or code may be sent (0 when allowed)
+const resendCooldown = (sentAt) => {
+  if (!sentAt) return 0;
+
+  const remaining = new Date(sentAt).getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Email a fresh verification link
+const sendEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = appUrl(`/auth/verify-email/${verificationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email - Hijab Marriage Bureau',
+    text: `Assalam-o-Alaikum ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below within 24 hours:\n\n${verifyUrl}\n\n` +
+      'If you did not create an account, you can safely ignore this email.'
+  });
+};
+
+// Text a fresh verification code to the user's phone
+const sendPhoneOtp = async (user) => {
+  const code = user.createPhoneOtp();
+  await user.save();
+
+  await sendSms({
+    to: user.phone,
+    text: `Your Hijab Marriage Bureau verification code is ${code}. It expires in 10 minutes.`
+  });
+};
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  resendCooldown,
+  sendEmailVerification,
+  sendPhoneOtp
+};
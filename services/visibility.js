@@ -0,0 +1,49 @@
+const User = require('../models/User');
+const Interest = require('../models/Interest');
+const PhotoAccess = require('../models/PhotoAccess');
+const { hasPermission } = require('./permissions');
+
+// Visibility level for lists of profiles (browse, home page, suggestions)
+const resolveListVisibility = async (sessionUser) => {
+  if (!sessionUser) return 'public';
+  if (hasPermission(sessionUser, 'profiles:view')) return 'admin';
+
+  const user = await User.findById(sessionUser._id).select('membershipExpiresAt isPaid isActive');
+  return user && user.isActive && user.isPaid ? 'member' : 'public';
+};
+
+// Visibility level for a single profile, taking ownership and matches into account
+const resolveProfileVisibility = async (sessionUser, profile) => {
+  const level = await resolveListVisibility(sessionUser);
+  if (level !== 'member') return level;
+
+  const ownerId = profile.userId._id || profile.userId;
+  if (ownerId.toString() === sessionUser._id.toString()) return 'matched';
+
+  const match = await Interest.findMatchBetween(sessionUser._id, ownerId);
+  return match ? 'matched' : 'member';
+};
+
+// Whether a viewer may see a profile's photos unblurred
+const canViewPhotos = async (sessionUser, profile) => {
+  if (sessionUser) {
+    const ownerId = profile.userId._id || profile.userId;
+    if (hasPermission(sessionUser, 'profiles:view') || ownerId.toString() === sessionUser._id.toString()) {
+      return true;
+    }
+  }
+
+  if (profile.photoVisibility === 'public') return true;
+
+  const level = await resolveListVisibility(sessionUser);
+  if (level !== 'member') return false;
+  if (profile.photoVisibility === 'members') return true;
+
+  return PhotoAccess.isGranted(profile._id, sessionUser._id);
+};
+
+module.exports = {
+  resolveListVisibility,
+  resolveProfileVisibility,
+  canViewPhotos
+};
@@ -0,0 +1,365 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RishtaProfile = require('../models/RishtaProfile');
+const Payment = require('../models/Payment');
+const ContactMessage = require('../models/ContactMessage');
+const AuditLog = require('../models/AuditLog');
+const { buildApp, rendered, createUser, createStaff, createAdmin, login, createProfile, DEFAULT_PASSWORD, csrfAgent } = require('./helpers');
+
+describe('routes/admin', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  it('turns away non-admin users', async () => {
+    const agent = await login(app, await createUser());
+
+    const res = await agent.get('/admin');
+
+    expect(res.headers.location).toBe('/');
+  });
+
+  it('shows dashboard stats to admins', async () => {
+    await ContactMessage.create({ name: 'Visitor', email: 'v@example.com', subject: 'Hi', message: 'Hello there' });
+    const agent = await login(app, await createAdmin());
+
+    const page = rendered(await agent.get('/admin'));
+
+    expect(page.view).toBe('admin/dashboard');
+    expect(page.locals.stats.unreadMessages).toBe(1);
+  });
+
+  describe('POST /admin/users/:id/status', () => {
+    it('deactivates a user', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createAdmin());
+
+      const res = await agent.post(`/admin/users/${user._id}/status`).send({ isActive: false });
+
+      expect(res.body.success).toBe(true);
+      expect((await User.findById(user._id)).isActive).toBe(false);
+    });
+  });
+
+  describe('POST /admin/users/:id/role', () => {
+    it('assigns a staff role that takes effect on the next request', async () => {
+      const clerk = await createStaff('user');
+      const clerkAgent = await login(app, clerk);
+      expect((await clerkAgent.get('/payments/admin')).headers.location).toBe('/');
+
+      const agent = await login(app, await createAdmin());
+      await agent.post(`/admin/users/${clerk._id}/role`).send({ role: 'payment-clerk' }).expect(200);
+
+      expect((await User.findById(clerk._id)).role).toBe('payment-clerk');
+      expect(rendered(await clerkAgent.get('/payments/admin')).view).toBe('payments/admin');
+      expect((await clerkAgent.get('/admin/settings')).headers.location).toBe('/');
+    });
+
+    it('rejects unknown roles', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createAdmin());
+
+      const res = await agent.post(`/admin/users/${user._id}/role`).send({ role: 'superuser' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('does not let admins change their own role', async () => {
+      const admin = await createAdmin();
+      const agent = await login(app, admin);
+
+      const res = await agent.post(`/admin/users/${admin._id}/role`).send({ role: 'user' });
+
+      expect(res.status).toBe(400);
+      expect((await User.findById(admin._id)).role).toBe('admin');
+    });
+
+    it('is limited to roles that can assign roles', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createStaff('matchmaker'));
+
+      await agent.post(`/admin/users/${user._id}/role`).send({ role: 'admin' });
+
+      expect((await User.findById(user._id)).role).toBe('user');
+    });
+  });
+
+  describe('memberships', () => {
+    it('grants and revokes a membership period', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createAdmin());
+
+      await agent.post(`/admin/users/${user._id}/membership`).send({ plan: 'premium' }).expect(200);
+      expect((await User.findById(user._id)).membershipPlan).toBe('premium');
+
+      const page = rendered(await agent.get(`/admin/users/${user._id}`));
+      const [membership] = page.locals.memberships;
+      expect(membership.grantedBy.name).toBe('Admin User');
+
+      await agent.post(`/admin/memberships/${membership._id}/revoke`).send({ reason: 'Granted by mistake' }).expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.isPaid).toBe(false);
+      expect(updated.membershipExpiresAt).toBeUndefined();
+      expect(await AuditLog.countDocuments({ targetType: 'Membership' })).toBe(2);
+    });
+
+    it('rejects unknown plans', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createAdmin());
+
+      const res = await agent.post(`/admin/users/${user._id}/membership`).send({ plan: 'lifetime' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('counts members whose membership is still in its grace period as paid', async () => {
+      await createUser({ membershipPlan: 'registration', membershipExpiresAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+      await createUser({ membershipPlan: 'registration', membershipExpiresAt: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000) });
+      const agent = await login(app, await createAdmin());
+
+      const page = rendered(await agent.get('/admin'));
+
+      // The admin account itself is a paid member too
+      expect(page.locals.stats.paidUsers).toBe(2);
+    });
+  });
+
+  describe('POST /admin/users/:id/unlock', () => {
+    it('unlocks the account and shows the lockout history', async () => {
+      const user = await createUser();
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 5,
+        lockUntil: new Date(Date.now() + 15 * 60 * 1000),
+        lockoutEvents: [{ event: 'locked', ipAddress: '127.0.0.1', failedAttempts: 5 }]
+      });
+      const agent = await login(app, await createAdmin());
+
+      await agent.post(`/admin/users/${user._id}/unlock`).expect(200);
+
+      const page = rendered(await agent.get(`/admin/users/${user._id}`));
+      expect(page.locals.lockoutEvents.map(lockoutEvent => lockoutEvent.event)).toEqual(['unlocked', 'locked']);
+      expect(page.locals.lockoutEvents[0].performedBy.name).toBe('Admin User');
+
+      const res = await (await csrfAgent(app)).post('/auth/login').type('form').send({ email: user.email, password: DEFAULT_PASSWORD });
+      expect(res.headers.location).toBe('/payments');
+    });
+
+    it('rejects accounts that are not locked', async () => {
+      const user = await createUser();
+      const agent = await login(app, await createAdmin());
+
+      const res = await agent.post(`/admin/users/${user._id}/unlock`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /admin/profiles/:id/review', () => {
+    let profile;
+    let agent;
+
+    beforeEach(async () => {
+      profile = await createProfile(await createUser({ isPaid: true }), { status: 'submitted', published: false });
+      agent = await login(app, await createAdmin());
+    });
+
+    it('approves and publishes a profile', async () => {
+      await agent.post(`/admin/profiles/${profile._id}/review`).send({ action: 'approve' }).expect(200);
+
+      const updated = await RishtaProfile.findById(profile._id);
+      expect(updated.status).toBe('approved');
+      expect(updated.published).toBe(true);
+    });
+
+    it('rejects a profile with a reason', async () => {
+      await agent
+        .post(`/admin/profiles/${profile._id}/review`)
+        .send({ action: 'reject', rejectionReason: 'Incomplete details' })
+        .expect(200);
+
+      const updated = await RishtaProfile.findById(profile._id);
+      expect(updated.status).toBe('rejected');
+      expect(updated.rejectionReason).toBe('Incomplete details');
+    });
+  });
+
+  describe('settings', () => {
+    const form = {
+      registrationFee: '12000',
+      internationalFee: '250',
+      premiumFee: '30000',
+      easypaisaNumber: '03451234567',
+      easypaisaAccount: 'Hijab Marriage Bureau'
+    };
+
+    it('rejects invalid values', async () => {
+      const agent = await login(app, await createAdmin());
+
+      const res = await agent.post('/admin/settings').type('form').send({ ...form, registrationFee: '-5' });
+
+      expect(rendered(res).locals.errors[0].msg).toMatch(/Registration fee/);
+    });
+
+    it('records history and applies the new fee to payments', async () => {
+      const admin = await createAdmin();
+      const agent = await login(app, admin);
+
+      await agent.post('/admin/settings').type('form').send(form).expect(302);
+
+      const page = rendered(await agent.get('/admin/settings'));
+      expect(page.locals.settings.registrationFee).toBe(12000);
+      expect(page.locals.history[0].changes.map(change => change.field)).toEqual(
+        expect.arrayContaining(['registrationFee', 'internationalFee'])
+      );
+
+      const userAgent = await login(app, await createUser());
+      await userAgent.post('/payments/submit').type('form').send({
+        amount: '10000',
+        paymentMethod: 'easypaisa',
+        paymentType: 'registration',
+        senderName: 'Ayesha Ali',
+        senderNumber: '03001234567',
+        referenceNumber: 'EP123456'
+      });
+      const payment = await Payment.findOne();
+      expect(payment.expectedAmount).toBe(12000);
+      expect(payment.amountStatus).toBe('partial');
+    });
+  });
+
+  describe('messages', () => {
+    let message;
+    let admin;
+    let agent;
+
+    beforeEach(async () => {
+      message = await ContactMessage.create({ name: 'Visitor', email: 'v@example.com', subject: 'Hi', message: 'Hello there' });
+      admin = await createAdmin();
+      agent = await login(app, admin);
+    });
+
+    it('marks a message read when opened', async () => {
+      await agent.get(`/admin/messages/${message._id}`);
+
+      expect((await ContactMessage.findById(message._id)).status).toBe('read');
+    });
+
+    it('assigns, annotates and archives a message', async () => {
+      await agent.post(`/admin/messages/${message._id}/assign`).send({ adminId: admin._id.toString() }).expect(200);
+      await agent.post(`/admin/messages/${message._id}/notes`).send({ note: 'Called back' }).expect(200);
+      await agent.post(`/admin/messages/${message._id}/status`).send({ status: 'archived' }).expect(200);
+
+      const updated = await ContactMessage.findById(message._id);
+      expect(updated.assignedTo.toString()).toBe(admin._id.toString());
+      expect(updated.replyNotes[0].note).toBe('Called back');
+      expect(updated.status).toBe('archived');
+
+      const page = rendered(await agent.get('/admin/messages?assignedTo=me&status=archived'));
+      expect(page.locals.messages).toHaveLength(1);
+    });
+
+    it('ignores a status filter that is not a message status', async () => {
+      await ContactMessage.create({ name: 'Old', email: 'o@example.com', subject: 'Old', message: 'Archived one', status: 'archived' });
+
+      const page = rendered(await agent.get('/admin/messages?status[$ne]=unread'));
+
+      expect(page.locals.messages.map(entry => entry.subject)).toEqual(['Hi']);
+    });
+
+    it('assigns messages to other staff who handle messages', async () => {
+      const matchmaker = await createStaff('matchmaker');
+
+      await agent.post(`/admin/messages/${message._id}/assign`).send({ adminId: matchmaker._id.toString() }).expect(200);
+
+      const matchmakerAgent = await login(app, matchmaker);
+      const page = rendered(await matchmakerAgent.get('/admin/messages?assignedTo=me'));
+      expect(page.locals.messages).toHaveLength(1);
+    });
+
+    it('only assigns messages to staff who handle messages', async () => {
+      const user = await createUser();
+
+      const res = await agent.post(`/admin/messages/${message._id}/assign`).send({ adminId: user._id.toString() });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('audit log', () => {
+    let admin;
+    let agent;
+
+    beforeEach(async () => {
+      admin = await createAdmin();
+      agent = await login(app, admin);
+    });
+
+    it('records profile reviews with a before/after diff', async () => {
+      const profile = await createProfile(await createUser({ isPaid: true }), { status: 'submitted', published: false });
+
+      await agent.post(`/admin/profiles/${profile._id}/review`).send({ action: 'approve' }).expect(200);
+
+      const entry = await AuditLog.findOne({ action: 'profile.review' });
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.targetId.toString()).toBe(profile._id.toString());
+      expect(entry.ipAddress).toBeTruthy();
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'status', from: 'submitted', to: 'approved' }),
+        expect.objectContaining({ field: 'published', from: false, to: true })
+      ]));
+    });
+
+    it('records user status changes and payment verification', async () => {
+      const user = await createUser();
+      const payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+
+      await agent.post(`/admin/users/${user._id}/status`).send({ isActive: false }).expect(200);
+      await agent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'failed' }).expect(200);
+
+      const actions = (await AuditLog.find().sort({ createdAt: 1 })).map(entry => entry.action);
+      expect(actions).toEqual(['user.status', 'payment.verify']);
+    });
+
+    it('does not allow entries to be changed or deleted', async () => {
+      const user = await createUser();
+      await agent.post(`/admin/users/${user._id}/status`).send({ isActive: false }).expect(200);
+      const entry = await AuditLog.findOne();
+
+      await expect(AuditLog.updateOne({ _id: entry._id }, { note: 'edited' })).rejects.toThrow(/cannot be modified/);
+      await expect(AuditLog.deleteMany({})).rejects.toThrow(/cannot be modified/);
+      entry.note = 'edited';
+      await expect(entry.save()).rejects.toThrow(/cannot be modified/);
+    });
+
+    it('filters the audit page and exports CSV', async () => {
+      const user = await createUser();
+      await agent.post(`/admin/users/${user._id}/status`).send({ isActive: false }).expect(200);
+      await agent.post(`/admin/users/${user._id}/role`).send({ role: 'matchmaker' }).expect(200);
+
+      const page = rendered(await agent.get('/admin/audit?action=user.role'));
+      expect(page.locals.entries).toHaveLength(1);
+
+      const res = await agent.get(`/admin/audit/export?targetId=${user._id}`);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      const lines = res.text.trim().split('\r\n');
+      expect(lines[0]).toBe('createdAt,actorName,actorRole,action,targetType,targetId,changes,note,ipAddress');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('user.role');
+    });
+
+    it('is hidden from staff without the audit permission', async () => {
+      const staffAgent = await login(app, await createStaff('payment-clerk'));
+      expect((await staffAgent.get('/admin/audit')).headers.location).toBe('/');
+    });
+  });
+
+  it('hides the inbox from anonymous visitors', async () => {
+    const res = await request(app).get('/admin/messages');
+    expect(res.headers.location).toBe('/auth/login');
+  });
+});
@@ -0,0 +1,503 @@
+const request = require('supertest');
+const User = require('../models/User');
+const totp = require('../services/totp');
+const { buildApp, rendered, createUser, createAdmin, login, sentMail, sentSms, DEFAULT_PASSWORD, csrfAgent, refreshCsrfToken } = require('./helpers');
+
+describe('routes/auth', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  describe('POST /auth/register', () => {
+    const form = {
+      name: 'Ayesha Ali',
+      email: 'ayesha@example.com',
+      password: 'secret12',
+      confirmPassword: 'secret12',
+      phone: '03001234567'
+    };
+
+    it('creates the user and redirects to login', async () => {
+      const res = await (await csrfAgent(app)).post('/auth/register').type('form').send(form);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/auth/login');
+
+      const user = await User.findOne({ email: 'ayesha@example.com' }).select('+password');
+      expect(user).not.toBeNull();
+      expect(user.password).not.toBe('secret12');
+    });
+
+    it('re-renders the form with validation errors', async () => {
+      const res = await (await csrfAgent(app))
+        .post('/auth/register')
+        .type('form')
+        .send({ ...form, password: 'short', confirmPassword: 'other' });
+
+      const page = rendered(res);
+      expect(page.view).toBe('auth/register');
+      expect(page.locals.errors.map(error => error.msg)).toEqual(expect.arrayContaining([
+        'Password must contain at least one number',
+        'Password confirmation does not match password'
+      ]));
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('rejects an email that is already registered', async () => {
+      await createUser({ email: 'ayesha@example.com' });
+
+      const res = await (await csrfAgent(app)).post('/auth/register').type('form').send(form);
+
+      expect(rendered(res).locals.errors[0].msg).toMatch(/already registered/);
+      expect(await User.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('verification', () => {
+    const codeFrom = sms => sms.text.match(/\b(\d{6})\b/)[1];
+
+    it('sends an email link and a phone code at registration', async () => {
+      await (await csrfAgent(app)).post('/auth/register').set('Host', 'attacker.example').type('form').send({
+        name: 'Ayesha Ali',
+        email: 'ayesha@example.com',
+        password: 'secret12',
+        confirmPassword: 'secret12',
+        phone: '03001234567'
+      });
+
+      const user = await User.findOne({ email: 'ayesha@example.com' });
+      expect(user.emailVerified).toBe(false);
+      expect(user.phoneVerified).toBe(false);
+      expect(sentMail[0].text).toMatch(/http:\/\/localhost:3000\/auth\/verify-email\/[a-f0-9]+/);
+      expect(sentMail[0].text).not.toMatch(/attacker\.example/);
+      expect(sentSms[0].to).toBe('03001234567');
+    });
+
+    it('verifies the email from the link', async () => {
+      const user = await createUser({ emailVerified: false });
+      const token = user.createEmailVerificationToken();
+      await user.save();
+
+      const res = await request(app).get(`/auth/verify-email/${token}`);
+
+      expect(res.headers.location).toBe('/auth/login');
+      expect((await User.findById(user._id)).emailVerified).toBe(true);
+    });
+
+    it('sends unverified users to the verification page after login', async () => {
+      const user = await createUser({ phoneVerified: false });
+
+      const res = await (await csrfAgent(app)).post('/auth/login').type('form').send({ email: user.email, password: DEFAULT_PASSWORD });
+
+      expect(res.headers.location).toBe('/auth/verify');
+    });
+
+    it('verifies the phone with the texted code', async () => {
+      const user = await createUser({ phoneVerified: false });
+      const agent = await login(app, user);
+      await agent.post('/auth/verify-phone/resend').expect(302);
+      const code = codeFrom(sentSms[0]);
+
+      const wrong = await agent.post('/auth/verify-phone').type('form').send({ code: code === '000000' ? '111111' : '000000' });
+      expect(wrong.headers.location).toBe('/auth/verify');
+      expect((await User.findById(user._id)).phoneVerified).toBe(false);
+
+      const res = await agent.post('/auth/verify-phone').type('form').send({ code });
+      expect(res.headers.location).toBe('/payments');
+      expect((await User.findById(user._id)).phoneVerified).toBe(true);
+    });
+
+    it('gives up on a code after too many wrong attempts', async () => {
+      const user = await createUser({ phoneVerified: false });
+      const code = user.createPhoneOtp();
+      await user.save();
+      await User.updateOne({ _id: user._id }, { phoneOtpAttempts: 5 });
+      const agent = await login(app, user);
+
+      await agent.post('/auth/verify-phone').type('form').send({ code });
+
+      expect((await User.findById(user._id)).phoneVerified).toBe(false);
+    });
+
+    it('enforces a cooldown between resends', async () => {
+      const user = await createUser({ phoneVerified: false });
+      const agent = await login(app, user);
+
+      await agent.post('/auth/verify-phone/resend');
+      await agent.post('/auth/verify-phone/resend');
+
+      expect(sentSms).toHaveLength(1);
+    });
+  });
+
+  describe('POST /auth/login', () => {
+    it('logs in an unpaid user and sends them to payments', async () => {
+      const user = await createUser();
+
+      const res = await (await csrfAgent(app))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/payments');
+    });
+
+    it('sends a paid user without a profile to profile creation', async () => {
+      const user = await createUser({ isPaid: true });
+
+      const res = await (await csrfAgent(app))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+      expect(res.headers.location).toBe('/profiles/create');
+    });
+
+    it('starts a new session', async () => {
+      const user = await createUser();
+      const agent = request.agent(app);
+      const visit = await agent.get('/csrf-token');
+      const sessionCookie = res => res.headers['set-cookie'][0].split(';')[0];
+
+      const res = await agent
+        .post('/auth/login')
+        .set('X-CSRF-Token', visit.body.csrfToken)
+        .type('form')
+        .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+      expect(sessionCookie(res)).not.toBe(sessionCookie(visit));
+    });
+
+    it('rejects a wrong password', async () => {
+      const user = await createUser();
+
+      const res = await (await csrfAgent(app))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: user.email, password: 'wrongpass1' });
+
+      const page = rendered(res);
+      expect(page.view).toBe('auth/login');
+      expect(page.locals.errors[0].msg).toBe('Invalid email or password');
+    });
+
+    it('rejects a deactivated account', async () => {
+      const user = await createUser({ isActive: false });
+
+      const res = await (await csrfAgent(app))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+      expect(rendered(res).locals.errors[0].msg).toMatch(/deactivated/);
+    });
+
+    it('does not reveal a deactivated account without the right password', async () => {
+      const user = await createUser({ isActive: false });
+
+      const res = await (await csrfAgent(app))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: user.email, password: 'wrongpass1' });
+
+      expect(res.status).toBe(401);
+      expect(rendered(res).locals.errors[0].msg).toBe('Invalid email or password');
+    });
+  });
+
+  describe('GET /auth/logout', () => {
+    it('ends the session', async () => {
+      const user = await createUser({ isPaid: true });
+      const agent = await login(app, user);
+
+      await agent.get('/auth/logout').expect(302);
+
+      const res = await agent.get('/profiles/dashboard');
+      expect(res.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('password reset', () => {
+    const requestReset = async (email) => {
+      await (await csrfAgent(app)).post('/auth/forgot-password').type('form').send({ email });
+      const mail = sentMail[sentMail.length - 1];
+      return mail && mail.text.match(/reset-password\/([a-f0-9]+)/)[1];
+    };
+
+    it('emails a reset link and stores only a hashed token', async () => {
+      const user = await createUser();
+
+      const token = await requestReset(user.email);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(user.email);
+
+      const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+      expect(stored.passwordResetToken).toBeDefined();
+      expect(stored.passwordResetToken).not.toBe(token);
+      expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('builds the link from APP_URL, not the Host header', async () => {
+      const user = await createUser();
+
+      await (await csrfAgent(app))
+        .post('/auth/forgot-password')
+        .set('Host', 'attacker.example')
+        .type('form')
+        .send({ email: user.email });
+
+      expect(sentMail[0].text).toMatch(/http:\/\/localhost:3000\/auth\/reset-password\/[a-f0-9]+/);
+      expect(sentMail[0].text).not.toMatch(/attacker\.example/);
+    });
+
+    it('does not reveal unknown emails', async () => {
+      const res = await (await csrfAgent(app))
+        .post('/auth/forgot-password')
+        .type('form')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.headers.location).toBe('/auth/login');
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('resets the password once and consumes the token', async () => {
+      const user = await createUser();
+      const token = await requestReset(user.email);
+
+      const page = await request(app).get(`/auth/reset-password/${token}`);
+      expect(rendered(page).view).toBe('auth/reset-password');
+
+      const res = await (await csrfAgent(app))
+        .post(`/auth/reset-password/${token}`)
+        .type('form')
+        .send({ password: 'newpass99', confirmPassword: 'newpass99' });
+      expect(res.headers.location).toBe('/auth/login');
+
+      const updated = await User.findById(user._id).select('+password');
+      expect(await updated.comparePassword('newpass99')).toBe(true);
+
+      const reused = await (await csrfAgent(app))
+        .post(`/auth/reset-password/${token}`)
+        .type('form')
+        .send({ password: 'another99', confirmPassword: 'another99' });
+      expect(reused.headers.location).toBe('/auth/forgot-password');
+    });
+
+    it('applies the registration password rules', async () => {
+      const user = await createUser();
+      const token = await requestReset(user.email);
+
+      const res = await (await csrfAgent(app))
+        .post(`/auth/reset-password/${token}`)
+        .type('form')
+        .send({ password: 'nonumbers', confirmPassword: 'nonumbers' });
+
+      expect(rendered(res).locals.errors[0].msg).toBe('Password must contain at least one number');
+    });
+
+    it('rejects an expired token', async () => {
+      const user = await createUser();
+      const token = await requestReset(user.email);
+      await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const res = await request(app).get(`/auth/reset-password/${token}`);
+
+      expect(res.headers.location).toBe('/auth/forgot-password');
+    });
+
+    it('logs the user out of existing sessions', async () => {
+      const user = await createUser({ isPaid: true });
+      const agent = await login(app, user);
+      const token = await requestReset(user.email);
+
+      await (await csrfAgent(app))
+        .post(`/auth/reset-password/${token}`)
+        .type('form')
+        .send({ password: 'newpass99', confirmPassword: 'newpass99' });
+
+      const res = await agent.get('/profiles/dashboard');
+      expect(res.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('login protection', () => {
+    let visitor;
+
+    beforeEach(async () => {
+      visitor = await csrfAgent(app);
+    });
+
+    const attempt = (email, password) => visitor
+      .post('/auth/login')
+      .type('form')
+      .send({ email, password });
+
+    it('slows down repeated failures and clears them on success', async () => {
+      const user = await createUser();
+      await attempt(user.email, 'wrongpass1').expect(401);
+      await attempt(user.email, 'wrongpass2').expect(401);
+
+      const throttled = await attempt(user.email, DEFAULT_PASSWORD);
+      expect(throttled.status).toBe(429);
+      expect(throttled.headers['retry-after']).toBeDefined();
+
+      await User.updateOne({ _id: user._id }, { lastFailedLoginAt: new Date(Date.now() - 60 * 1000) });
+      const res = await attempt(user.email, DEFAULT_PASSWORD);
+      expect(res.headers.location).toBe('/payments');
+      expect((await User.findById(user._id)).failedLoginAttempts).toBe(0);
+    });
+
+    it('locks the account after too many failures and records the lockout', async () => {
+      const user = await createUser();
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 4,
+        lastFailedLoginAt: new Date(Date.now() - 60 * 60 * 1000)
+      });
+
+      const failed = await attempt(user.email, 'wrongpass1');
+      expect(rendered(failed).locals.errors[0].msg).toMatch(/locked/);
+
+      const res = await attempt(user.email, DEFAULT_PASSWORD);
+      expect(res.status).toBe(429);
+
+      const locked = await User.findById(user._id).select('+lockoutEvents');
+      expect(locked.isLocked).toBe(true);
+      expect(locked.lockoutEvents).toHaveLength(1);
+      expect(locked.lockoutEvents[0].event).toBe('locked');
+      expect(locked.lockoutEvents[0].ipAddress).toBeDefined();
+    });
+
+    it('allows a fresh count once a lock expires', async () => {
+      const user = await createUser();
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 5,
+        lockUntil: new Date(Date.now() - 1000),
+        lastFailedLoginAt: new Date(Date.now() - 20 * 60 * 1000)
+      });
+
+      await attempt(user.email, 'wrongpass1').expect(401);
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(1);
+      expect(updated.isLocked).toBe(false);
+    });
+
+    it('throttles failed logins per IP address', async () => {
+      for (let i = 0; i < 20; i += 1) {
+        await attempt(`nobody${i}@example.com`, 'wrongpass1').expect(401);
+      }
+
+      const res = await attempt('nobody@example.com', 'wrongpass1');
+      expect(res.status).toBe(429);
+
+      // The count is shared with other server instances
+      const elsewhere = await (await csrfAgent(buildApp()))
+        .post('/auth/login')
+        .type('form')
+        .send({ email: 'nobody@example.com', password: 'wrongpass1' });
+      expect(elsewhere.status).toBe(429);
+    });
+
+    it('throttles password reset requests per IP address', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        await (await csrfAgent(app)).post('/auth/forgot-password').type('form').send({ email: 'nobody@example.com' });
+      }
+
+      const res = await (await csrfAgent(app)).post('/auth/forgot-password').type('form').send({ email: 'nobody@example.com' });
+      expect(res.headers.location).toBe('/auth/forgot-password');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const loginForm = user => ({ email: user.email, password: DEFAULT_PASSWORD });
+
+    it('makes admins enroll before using admin pages', async () => {
+      const admin = await createUser({ name: 'New Admin', role: 'admin', isPaid: true });
+      const agent = await csrfAgent(app);
+
+      const res = await agent.post('/auth/login').type('form').send(loginForm(admin));
+      expect(res.headers.location).toBe('/auth/2fa/setup');
+      expect((await agent.get('/admin')).headers.location).toBe('/auth/2fa/setup');
+      await refreshCsrfToken(agent);
+
+      const setup = rendered(await agent.get('/auth/2fa/setup'));
+      expect(setup.locals.required).toBe(true);
+      expect(setup.locals.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const enrolled = rendered(await agent
+        .post('/auth/2fa/setup')
+        .type('form')
+        .send({ code: totp.generateToken(setup.locals.secret) }));
+      expect(enrolled.view).toBe('auth/recovery-codes');
+      expect(enrolled.locals.recoveryCodes).toHaveLength(10);
+
+      expect(rendered(await agent.get('/admin')).view).toBe('admin/dashboard');
+    });
+
+    it('asks for a code after the password', async () => {
+      const admin = await createAdmin();
+      const agent = await csrfAgent(app);
+
+      const res = await agent.post('/auth/login').type('form').send(loginForm(admin));
+      expect(res.headers.location).toBe('/auth/2fa');
+      expect((await agent.get('/admin')).headers.location).toBe('/auth/login');
+
+      const wrong = await agent.post('/auth/2fa').type('form').send({ code: '000000' });
+      expect(wrong.status).toBe(401);
+
+      const ok = await agent.post('/auth/2fa').type('form').send({ code: totp.generateToken(admin.twoFactorSecret) });
+      expect(ok.headers.location).toBe('/profiles/create');
+      expect(rendered(await agent.get('/admin')).view).toBe('admin/dashboard');
+    });
+
+    it('does not accept the same code twice', async () => {
+      const admin = await createAdmin();
+      const code = totp.generateToken(admin.twoFactorSecret);
+
+      const first = await csrfAgent(app);
+      await first.post('/auth/login').type('form').send(loginForm(admin));
+      await first.post('/auth/2fa').type('form').send({ code }).expect(302);
+
+      const second = await csrfAgent(app);
+      await second.post('/auth/login').type('form').send(loginForm(admin));
+      const res = await second.post('/auth/2fa').type('form').send({ code });
+      expect(res.status).toBe(401);
+    });
+
+    it('accepts each recovery code once', async () => {
+      const member = await createUser({ isPaid: true });
+      const secret = member.startTwoFactorEnrollment();
+      const codes = member.confirmTwoFactorEnrollment(totp.generateToken(secret));
+      await member.save();
+
+      const agent = await csrfAgent(app);
+      await agent.post('/auth/login').type('form').send(loginForm(member));
+      const res = await agent.post('/auth/2fa').type('form').send({ code: codes[0] });
+      expect(res.headers.location).toBe('/profiles/create');
+
+      const again = await csrfAgent(app);
+      await again.post('/auth/login').type('form').send(loginForm(member));
+      expect((await again.post('/auth/2fa').type('form').send({ code: codes[0] })).status).toBe(401);
+    });
+
+    it('lets members but not admins turn it off', async () => {
+      const admin = await createAdmin();
+      const adminAgent = await login(app, admin);
+      await adminAgent.post('/auth/2fa/disable').type('form').send({ password: DEFAULT_PASSWORD, code: '123456' });
+      expect((await User.findById(admin._id)).twoFactorEnabled).toBe(true);
+
+      const member = await createUser({ twoFactorEnabled: true, twoFactorSecret: totp.generateSecret() });
+      const memberAgent = await login(app, member);
+      await User.updateOne({ _id: member._id }, { $unset: { twoFactorLastStep: 1 } });
+      await memberAgent.post('/auth/2fa/disable').type('form').send({
+        password: DEFAULT_PASSWORD,
+        code: totp.generateToken(member.twoFactorSecret)
+      });
+      expect((await User.findById(member._id)).twoFactorEnabled).toBe(false);
+    });
+  });
+});
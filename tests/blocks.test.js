@@ -0,0 +1,232 @@
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const Interest = require('../models/Interest');
+const Conversation = require('../models/Conversation');
+const RishtaProfile = require('../models/RishtaProfile');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const {
+  buildApp,
+  rendered,
+  createUser,
+  createStaff,
+  createAdmin,
+  login,
+  createProfile,
+  storedFiles,
+  PNG_BYTES
+} = require('./helpers');
+
+describe('blocks and reports', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  // A member and a published profile of the opposite gender
+  const setupPair = async () => {
+    const user = await createUser({ isPaid: true });
+    const profile = await createProfile(user);
+    const other = await createUser({ isPaid: true, name: 'Other Member' });
+    const otherProfile = await createProfile(other, { personalInfo: { gender: 'female' } });
+    return { user, profile, other, otherProfile };
+  };
+
+  describe('blocking', () => {
+    it('hides blocked members from browse, suggestions and profile pages in both directions', async () => {
+      const { user, other, otherProfile, profile } = await setupPair();
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/profiles/blocks/${otherProfile._id}`);
+      expect(res.body.success).toBe(true);
+
+      const browse = rendered(await agent.get('/browse'));
+      expect(browse.locals.profiles.map(item => item._id)).not.toContain(otherProfile._id.toString());
+
+      const suggestions = rendered(await agent.get('/profiles/suggestions'));
+      expect(suggestions.locals.matches).toHaveLength(0);
+
+      const blockedAgent = await login(app, other);
+      const page = await blockedAgent.get(`/profile/${profile._id}`);
+      expect(page.status).toBe(302);
+      expect(page.headers.location).toBe('/browse');
+
+      const interest = await blockedAgent.post(`/profiles/interests/${profile._id}`);
+      expect(interest.status).toBe(404);
+    });
+
+    it('ends open interests and conversations between the two members', async () => {
+      const { user, profile, other, otherProfile } = await setupPair();
+      const interest = await Interest.create({
+        fromUser: other._id,
+        toUser: user._id,
+        fromProfile: otherProfile._id,
+        toProfile: profile._id,
+        status: 'matched'
+      });
+      const conversation = await Conversation.create({ interest: interest._id, participants: [user._id, other._id] });
+      const agent = await login(app, user);
+
+      await agent.post(`/profiles/blocks/${otherProfile._id}`);
+
+      expect((await Interest.findById(interest._id)).status).toBe('declined');
+      expect((await Conversation.findById(conversation._id)).closedReason).toBe('Blocked');
+    });
+
+    it('lets the member unblock', async () => {
+      const { user, otherProfile } = await setupPair();
+      const agent = await login(app, user);
+      await agent.post(`/profiles/blocks/${otherProfile._id}`);
+      const block = await Block.findOne({ blocker: user._id });
+
+      const list = rendered(await agent.get('/profiles/blocks'));
+      expect(list.locals.blocks).toHaveLength(1);
+
+      const res = await agent.delete(`/profiles/blocks/${block._id}`);
+
+      expect(res.body.success).toBe(true);
+      expect(await Block.countDocuments()).toBe(0);
+      expect((await agent.get(`/profile/${otherProfile._id}`)).status).toBe(200);
+    });
+
+    it('does not let members block themselves', async () => {
+      const { user, profile } = await setupPair();
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/profiles/blocks/${profile._id}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('reporting', () => {
+    it('stores the report with screenshots and tells the reviewers', async () => {
+      const { user, otherProfile } = await setupPair();
+      const reviewer = await createStaff('profile-reviewer');
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/profiles/reports/${otherProfile._id}`)
+        .field('reason', 'scam')
+        .field('details', 'Asked me to send money for a visa')
+        .attach('evidence', PNG_BYTES, 'chat.png');
+
+      expect(res.body.success).toBe(true);
+      const report = await Report.findOne();
+      expect(report.reportedUser.toString()).toBe(otherProfile.userId.toString());
+      expect(report.evidence).toHaveLength(1);
+      expect(storedFiles.has(report.evidence[0].publicId)).toBe(true);
+      expect(await Notification.countDocuments({ userId: reviewer._id, type: 'staff.profile-reported' })).toBe(1);
+
+      const again = await agent.post(`/profiles/reports/${otherProfile._id}`).field('reason', 'fake');
+      expect(again.status).toBe(409);
+    });
+
+    it('rejects reports without a valid reason and discards their screenshots', async () => {
+      const { user, otherProfile } = await setupPair();
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/profiles/reports/${otherProfile._id}`)
+        .field('reason', 'boring')
+        .attach('evidence', PNG_BYTES, 'chat.png');
+
+      expect(res.status).toBe(400);
+      expect(await Report.countDocuments()).toBe(0);
+      expect(storedFiles.size).toBe(0);
+    });
+
+    it('can block the member at the same time', async () => {
+      const { user, otherProfile } = await setupPair();
+      const agent = await login(app, user);
+
+      await agent.post(`/profiles/reports/${otherProfile._id}`).field('reason', 'harassment').field('block', 'true');
+
+      expect(await Block.exists({ blocker: user._id, blocked: otherProfile.userId })).toBeTruthy();
+    });
+
+    it('does not block the member when block is false', async () => {
+      const { user, otherProfile } = await setupPair();
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/profiles/reports/${otherProfile._id}`).field('reason', 'harassment').field('block', 'false');
+
+      expect(res.body.message).toBe('Thank you. Our team will review this profile.');
+      expect(await Report.countDocuments()).toBe(1);
+      expect(await Block.countDocuments()).toBe(0);
+    });
+
+    it('keeps the screenshots of a saved report if blocking fails', async () => {
+      const { user, otherProfile } = await setupPair();
+      const agent = await login(app, user);
+      const spy = jest.spyOn(Block, 'findOneAndUpdate').mockRejectedValueOnce(new Error('write failed'));
+
+      const res = await agent.post(`/profiles/reports/${otherProfile._id}`)
+        .field('reason', 'harassment')
+        .field('block', 'true')
+        .attach('evidence', PNG_BYTES, 'chat.png');
+      spy.mockRestore();
+
+      expect(res.status).toBe(500);
+      const report = await Report.findOne();
+      expect(storedFiles.has(report.evidence[0].publicId)).toBe(true);
+      expect(await Block.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('admin review', () => {
+    const createReport = async (overrides = {}) => {
+      const { user, otherProfile } = await setupPair();
+      return Report.create({
+        profile: otherProfile._id,
+        reportedUser: otherProfile.userId,
+        reporter: user._id,
+        reason: 'fake',
+        ...overrides
+      });
+    };
+
+    it('lists open reports and shows the reported profile history', async () => {
+      const report = await createReport();
+      await Block.create({ blocker: report.reporter, blocked: report.reportedUser });
+      const agent = await login(app, await createStaff('profile-reviewer'));
+
+      const list = rendered(await agent.get('/admin/profiles/reports'));
+      expect(list.view).toBe('admin/reports');
+      expect(list.locals.reports).toHaveLength(1);
+
+      const detail = rendered(await agent.get(`/admin/profiles/reports/${report._id}`));
+      expect(detail.view).toBe('admin/report-detail');
+      expect(detail.locals.history.blockedBy).toBe(1);
+      expect(detail.locals.canSuspend).toBe(false);
+    });
+
+    it('unpublishes the profile and resolves every open report on it', async () => {
+      const report = await createReport();
+      await Report.create({ profile: report.profile, reportedUser: report.reportedUser, reporter: (await createUser())._id, reason: 'married' });
+      const agent = await login(app, await createStaff('profile-reviewer'));
+
+      const res = await agent.post(`/admin/profiles/reports/${report._id}`).send({ action: 'unpublish', note: 'Photos belong to someone else' });
+
+      expect(res.body.resolved).toBe(2);
+      expect((await RishtaProfile.findById(report.profile)).published).toBe(false);
+      expect(await Report.countDocuments({ status: 'actioned' })).toBe(2);
+      const entry = await AuditLog.findOne({ action: 'profile.report' });
+      expect(entry.changes).toEqual([expect.objectContaining({ field: 'published', from: true, to: false })]);
+    });
+
+    it('only lets staff who manage accounts suspend the member', async () => {
+      const report = await createReport();
+      const reviewer = await login(app, await createStaff('profile-reviewer'));
+
+      const denied = await reviewer.post(`/admin/profiles/reports/${report._id}`).send({ action: 'suspend' });
+      expect(denied.status).toBe(403);
+
+      const admin = await login(app, await createAdmin());
+      await admin.post(`/admin/profiles/reports/${report._id}`).send({ action: 'suspend' });
+
+      expect((await User.findById(report.reportedUser)).isActive).toBe(false);
+      expect(await AuditLog.countDocuments({ action: 'user.status', targetId: report.reportedUser })).toBe(1);
+    });
+  });
+});
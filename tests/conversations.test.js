@@ -0,0 +1,205 @@
+const request = require('supertest');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Interest = require('../models/Interest');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const { filterMessage } = require('../services/messageFilter');
+const { applyMessageRetention } = require('../services/conversations');
+const {
+  buildApp,
+  rendered,
+  createUser,
+  createStaff,
+  login,
+  createProfile,
+  sentMail
+} = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Two paid members with an interest in the given status
+const createPair = async (status = 'matched') => {
+  const first = await createUser({ isPaid: true, name: 'Ahmed' });
+  const second = await createUser({ isPaid: true, name: 'Sara' });
+  const firstProfile = await createProfile(first);
+  const secondProfile = await createProfile(second, { personalInfo: { gender: 'female' } });
+  const interest = await Interest.create({
+    fromUser: first._id,
+    toUser: second._id,
+    fromProfile: firstProfile._id,
+    toProfile: secondProfile._id,
+    status
+  });
+  return { first, second, interest };
+};
+
+const guardianToken = (mail) => mail.text.match(/\/conversations\/guardian\/([a-f0-9]+)/)[1];
+
+describe('conversations', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  describe('services/messageFilter', () => {
+    it('hides contact details and masks profanity', () => {
+      const { text, filters } = filterMessage('Call me on 0300 1234567 or mail me@example.com, see wa.me/923001234567 you kamina');
+
+      expect(text).not.toMatch(/1234567|example\.com|wa\.me/);
+      expect(text).toMatch(/\[number hidden\]/);
+      expect(text).toMatch(/\[email hidden\]/);
+      expect(text).toMatch(/\[link hidden\]/);
+      expect(text).not.toMatch(/kamina/i);
+      expect(filters).toEqual(expect.arrayContaining(['phone', 'email', 'link', 'profanity']));
+    });
+
+    it('leaves ordinary messages alone', () => {
+      expect(filterMessage('Assalam-o-Alaikum, we can meet with family on 12.05.2025')).toEqual({
+        text: 'Assalam-o-Alaikum, we can meet with family on 12.05.2025',
+        filters: []
+      });
+    });
+  });
+
+  describe('sending', () => {
+    it('lets matched members open a conversation and exchange filtered messages', async () => {
+      const { first, second, interest } = await createPair();
+      const agent = await login(app, first);
+
+      const opened = await agent.post('/conversations').set('Accept', 'application/json').send({ interestId: interest._id.toString() });
+      expect(opened.body.success).toBe(true);
+
+      const res = await agent.post(`/conversations/${opened.body.conversationId}/messages`).send({ body: 'My number is 03001234567' });
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.filtered).toEqual(['phone']);
+      const message = await Message.findOne().select('+originalBody');
+      expect(message.body).toBe('My number is [number hidden]');
+      expect(message.originalBody).toBe('My number is 03001234567');
+      expect(await Notification.countDocuments({ userId: second._id, type: 'conversation.message' })).toBe(1);
+
+      const thread = await (await login(app, second)).get(`/conversations/${opened.body.conversationId}`);
+      expect(rendered(thread).locals.messages[0].body).toBe('My number is [number hidden]');
+      expect((await Message.findById(message._id)).readAt).toBeTruthy();
+    });
+
+    it('does not open conversations for unmatched interests', async () => {
+      const { first, interest } = await createPair('pending');
+      const agent = await login(app, first);
+
+      const res = await agent.post('/conversations').set('Accept', 'application/json').send({ interestId: interest._id.toString() });
+
+      expect(res.status).toBe(403);
+      expect(await Conversation.countDocuments()).toBe(0);
+    });
+
+    it('closes the conversation once the match ends', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      await Interest.updateOne({ _id: interest._id }, { status: 'withdrawn' });
+      const agent = await login(app, first);
+
+      const res = await agent.post(`/conversations/${conversation._id}/messages`).send({ body: 'Hello' });
+
+      expect(res.status).toBe(403);
+      expect((await Conversation.findById(conversation._id)).closedAt).toBeTruthy();
+    });
+
+    it('does not let outsiders read a conversation', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      const agent = await login(app, await createUser({ isPaid: true }));
+
+      const res = await agent.get(`/conversations/${conversation._id}`);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/conversations');
+    });
+  });
+
+  describe('guardians', () => {
+    it('gives a guardian read-only access until it is revoked', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      await Message.create({ conversation: conversation._id, sender: first._id, body: 'Salaam' });
+      const agent = await login(app, second);
+
+      const res = await agent.post(`/conversations/${conversation._id}/guardians`).send({ name: 'Bilal', email: 'wali@example.com', relation: 'Father' });
+      expect(res.body.success).toBe(true);
+
+      const token = guardianToken(sentMail.find(mail => mail.to === 'wali@example.com'));
+      const page = await request(app).get(`/conversations/guardian/${token}`);
+      expect(rendered(page).view).toBe('conversations/guardian');
+      expect(rendered(page).locals.messages[0].body).toBe('Salaam');
+
+      const guardian = (await Conversation.findById(conversation._id)).guardians[0];
+      await agent.post(`/conversations/${conversation._id}/guardians/${guardian._id}/revoke`);
+
+      const revoked = await request(app).get(`/conversations/guardian/${token}`);
+      expect(revoked.status).toBe(404);
+    });
+  });
+
+  describe('moderation', () => {
+    it('queues reported messages for moderators, who can remove them', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      const message = await Message.create({ conversation: conversation._id, sender: first._id, body: 'Send me money first' });
+
+      const reporter = await login(app, second);
+      const report = await reporter.post(`/conversations/${conversation._id}/messages/${message._id}/report`).send({ reason: 'scam' });
+      expect(report.body.success).toBe(true);
+
+      const again = await reporter.post(`/conversations/${conversation._id}/messages/${message._id}/report`).send({ reason: 'scam' });
+      expect(again.status).toBe(409);
+
+      const moderator = await login(app, await createStaff('matchmaker'));
+      const queue = await moderator.get('/admin/moderation');
+      expect(rendered(queue).locals.messages).toHaveLength(1);
+
+      const res = await moderator.post(`/admin/moderation/${message._id}`).send({ action: 'remove', note: 'Scam attempt' });
+
+      expect(res.body.status).toBe('removed');
+      expect(await AuditLog.countDocuments({ action: 'conversation.moderate', targetId: message._id })).toBe(1);
+
+      const thread = await reporter.get(`/conversations/${conversation._id}`);
+      expect(rendered(thread).locals.messages[0].body).toBeUndefined();
+    });
+
+    it('does not let members report their own messages', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      const message = await Message.create({ conversation: conversation._id, sender: first._id, body: 'Hello' });
+      const agent = await login(app, first);
+
+      const res = await agent.post(`/conversations/${conversation._id}/messages/${message._id}/report`).send({ reason: 'other' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('retention', () => {
+    it('deletes old messages and those of closed conversations, but keeps reported ones', async () => {
+      const { first, second, interest } = await createPair();
+      const conversation = await Conversation.create({ interest: interest._id, participants: [first._id, second._id] });
+      const old = new Date(Date.now() - 400 * DAY);
+      await Message.collection.insertMany([
+        { conversation: conversation._id, sender: first._id, body: 'Old', moderation: { status: 'visible' }, createdAt: old, updatedAt: old },
+        { conversation: conversation._id, sender: first._id, body: 'Reported', moderation: { status: 'reported' }, createdAt: old, updatedAt: old }
+      ]);
+      await Message.create({ conversation: conversation._id, sender: second._id, body: 'Recent' });
+
+      expect(await applyMessageRetention()).toBe(1);
+      expect((await Message.find().sort({ body: 1 })).map(message => message.body)).toEqual(['Recent', 'Reported']);
+
+      await Interest.updateOne({ _id: interest._id }, { status: 'declined' });
+      await applyMessageRetention();
+      await Conversation.updateOne({ _id: conversation._id }, { closedAt: new Date(Date.now() - 40 * DAY) });
+
+      expect(await applyMessageRetention()).toBe(1);
+      expect((await Message.find()).map(message => message.body)).toEqual(['Reported']);
+    });
+  });
+});
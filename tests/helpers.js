@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const request = require('supertest');
+const createApp = require('../app');
+const User = require('../models/User');
+const RishtaProfile = require('../models/RishtaProfile');
+const totp = require('../services/totp');
+
+const DEFAULT_PASSWORD = 'password1';
+
+// Mail captured by the test transport
+const sentMail = [];
+const mailTransport = {
+  send: async (message) => {
+    sentMail.push(message);
+  }
+};
+
+// Text messages captured by the test transport
+const sentSms = [];
+const smsTransport = {
+  send: async (message) => {
+    sentSms.push(message);
+  }
+};
+
+// In-memory upload storage driver
+const storedFiles = new Map();
+const stubStorage = {
+  name: 'stub',
+  engine: {
+    _handleFile: (req, file, cb) => {
+      const chunks = [];
+      file.stream.on('data', chunk => chunks.push(chunk));
+      file.stream.on('error', cb);
+      file.stream.on('end', () => {
+        const publicId = `stub-${crypto.randomBytes(6).toString('hex')}`;
+        storedFiles.set(publicId, Buffer.concat(chunks));
+        cb(null, { path: `/media/${publicId}`, filename: publicId });
+      });
+    },
+    _removeFile: (req, file, cb) => {
+      storedFiles.delete(file.filename);
+      cb(null);
+    }
+  },
+  destroy: async (publicId) => {
+    storedFiles.delete(publicId);
+  },
+  getUrl: (publicId, { blurred = false } = {}) => (blurred ? `/media/blurred/${publicId}` : `/media/${publicId}`),
+  stream: async (res, image, { blurred = false } = {}) => {
+    if (!storedFiles.has(image.publicId)) {
+      return res.status(404).end();
+    }
+    res.set('X-Image-Variant', blurred ? 'blurred' : 'original');
+    res.type('image/png').send(storedFiles.get(image.publicId));
+  }
+};
+
+// Replace template rendering with a JSON dump of the view name and its locals
+const stubViews = (app) => {
+  app.render = (name, options, callback) => {
+    const { settings, _locals, cache, ...locals } = options;
+    callback(null, JSON.stringify({ view: name, locals: { ..._locals, ...locals } }));
+  };
+  return app;
+};
+
+// App instance with an in-memory session store and stubbed views
+const buildApp = () => {
+  const sessionStore = new session.MemoryStore();
+  const app = stubViews(createApp({ sessionStore }));
+  app.sessionStore = sessionStore;
+  return app;
+};
+
+// Parse the stubbed render output of a response
+const rendered = (res) => JSON.parse(res.text);
+
+let userCounter = 0;
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// `isPaid: true` is shorthand for a Standard membership running for another year
+const createUser = async ({ isPaid, ...overrides } = {}) => {
+  userCounter += 1;
+  return User.create({
+    name: 'Test User',
+    email: `user${userCounter}@example.com`,
+    password: DEFAULT_PASSWORD,
+    phone: '03001234567',
+    emailVerified: true,
+    phoneVerified: true,
+    ...(isPaid ? { membershipPlan: 'registration', membershipExpiresAt: new Date(Date.now() + YEAR) } : {}),
+    ...overrides
+  });
+};
+
+// Staff need two-factor authentication, so they are created already enrolled
+const createStaff = (role, overrides = {}) => createUser({
+  name: 'Staff User',
+  role,
+  isPaid: true,
+  twoFactorEnabled: true,
+  twoFactorEnabledAt: new Date(),
+  twoFactorSecret: totp.generateSecret(),
+  ...overrides
+});
+
+const createAdmin = (overrides = {}) => createStaff('admin', { name: 'Admin User', ...overrides });
+
+// Send the agent's current session token with every request
+const refreshCsrfToken = async (agent) => {
+  const res = await agent.get('/csrf-token');
+  agent.set('X-CSRF-Token', res.body.csrfToken);
+  return agent;
+};
+
+// Cookie-carrying agent that sends its session's CSRF token with every request
+const csrfAgent = (app) => refreshCsrfToken(request.agent(app));
+
+// Log a user in (answering the two-factor step when enrolled) and return a cookie-carrying agent
+const login = async (app, user, password = DEFAULT_PASSWORD) => {
+  const agent = await csrfAgent(app);
+  const res = await agent
+    .post('/auth/login')
+    .type('form')
+    .send({ email: user.email, password });
+
+  if (res.headers.location === '/auth/2fa') {
+    await agent
+      .post('/auth/2fa')
+      .type('form')
+      .send({ code: totp.generateToken(user.twoFactorSecret) });
+  }
+
+  // Logging in starts a new session with its own token
+  return refreshCsrfToken(agent);
+};
+
+const createProfile = async (user, overrides = {}) => {
+  const { personalInfo = {}, ...rest } = overrides;
+  return RishtaProfile.create({
+    userId: user._id,
+    personalInfo: {
+      name: user.name,
+      age: 27,
+      gender: 'male',
+      dateOfBirth: new Date(Date.now() - 27.5 * 365.25 * 24 * 60 * 60 * 1000),
+      maritalStatus: 'never-married',
+      location: { city: 'Lahore', country: 'Pakistan' },
+      ...personalInfo
+    },
+    education: { level: 'bachelor' },
+    occupation: { profession: 'Engineer' },
+    familyInfo: { familyType: 'nuclear', fatherName: 'Father Name', motherName: 'Mother Name' },
+    contactInfo: { guardianName: 'Guardian Name', guardianPhone: '03009876543', guardianRelation: 'father' },
+    status: 'approved',
+    published: true,
+    ...rest
+  });
+};
+
+// Fields required by the profile create/edit forms
+const profileForm = (overrides = {}) => ({
+  'personalInfo[name]': 'Ahmed Khan',
+  'personalInfo[age]': '28',
+  'personalInfo[gender]': 'male',
+  'personalInfo[dateOfBirth]': '1997-05-10',
+  'personalInfo[maritalStatus]': 'never-married',
+  'personalInfo[location][city]': 'Lahore',
+  'education[level]': 'master',
+  'occupation[profession]': 'Engineer',
+  'familyInfo[familyType]': 'nuclear',
+  'religiousInfo[sect]': 'sunni',
+  'preferences[ageRangeMin]': '22',
+  'preferences[ageRangeMax]': '30',
+  'contactInfo[guardianName]': 'Khan Sahib',
+  'contactInfo[guardianPhone]': '03001112233',
+  ...overrides
+});
+
+// Minimal valid PNG
+const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+module.exports = {
+  DEFAULT_PASSWORD,
+  PNG_BYTES,
+  sentMail,
+  mailTransport,
+  sentSms,
+  smsTransport,
+  storedFiles,
+  stubStorage,
+  buildApp,
+  csrfAgent,
+  refreshCsrfToken,
+  rendered,
+  createUser,
+  createStaff,
+  createAdmin,
+  login,
+  createProfile,
+  profileForm
+};
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const Block = require('../models/Block');
+const ContactMessage = require('../models/ContactMessage');
+const Interest = require('../models/Interest');
+const RishtaProfile = require('../models/RishtaProfile');
+const { buildApp, rendered, createUser, login, createProfile, csrfAgent } = require('./helpers');
+
+describe('routes/main', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  describe('GET /', () => {
+    it('lists featured profiles without private fields', async () => {
+      const owner = await createUser({ isPaid: true });
+      await createProfile(owner);
+
+      const page = rendered(await request(app).get('/'));
+
+      expect(page.view).toBe('main/index');
+      expect(page.locals.featuredProfiles).toHaveLength(1);
+      expect(page.locals.featuredProfiles[0].contactInfo).toBeUndefined();
+      expect(page.locals.featuredProfiles[0].familyInfo.fatherName).toBeUndefined();
+    });
+  });
+
+  describe('GET /browse', () => {
+    it('filters by gender and only shows approved, published profiles', async () => {
+      await createProfile(await createUser({ isPaid: true }));
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female' } });
+      await createProfile(await createUser({ isPaid: true }), { status: 'submitted', published: false });
+
+      const page = rendered(await request(app).get('/browse?gender=female'));
+
+      expect(page.locals.profiles).toHaveLength(1);
+      expect(page.locals.profiles[0].personalInfo.gender).toBe('female');
+    });
+
+    it('combines education, marital status, religious, height and country filters', async () => {
+      const match = await createProfile(await createUser({ isPaid: true }), {
+        personalInfo: { height: 175, maritalStatus: 'divorced', location: { city: 'Toronto', country: 'Canada' } },
+        education: { level: 'master' },
+        religiousInfo: { sect: 'sunni', religiousness: 'very-religious' }
+      });
+      await createProfile(await createUser({ isPaid: true }), {
+        personalInfo: { height: 160, maritalStatus: 'divorced', location: { city: 'Toronto', country: 'Canada' } },
+        education: { level: 'master' },
+        religiousInfo: { sect: 'sunni', religiousness: 'very-religious' }
+      });
+      await createProfile(await createUser({ isPaid: true }), {
+        personalInfo: { height: 175, maritalStatus: 'divorced' },
+        education: { level: 'bachelor' },
+        religiousInfo: { sect: 'shia', religiousness: 'very-religious' }
+      });
+
+      const page = rendered(await request(app).get(
+        '/browse?education=master&education=phd&maritalStatus=divorced&sect=sunni' +
+        '&religiousness=very-religious&minHeight=170&maxHeight=190&country=canada'
+      ));
+
+      expect(page.locals.errors).toEqual([]);
+      expect(page.locals.profiles.map(profile => profile._id.toString())).toEqual([match._id.toString()]);
+      expect(page.locals.filters.education).toEqual(['master', 'phd']);
+    });
+
+    it('matches the city as literal text', async () => {
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { location: { city: 'Lahore', country: 'Pakistan' } } });
+
+      let page = rendered(await request(app).get('/browse?city=.*'));
+      expect(page.locals.profiles).toHaveLength(0);
+
+      page = rendered(await request(app).get('/browse?city=(unclosed'));
+      expect(page.locals.profiles).toHaveLength(0);
+
+      page = rendered(await request(app).get('/browse?city=lah'));
+      expect(page.locals.profiles).toHaveLength(1);
+    });
+
+    it('drops invalid filters and reports them', async () => {
+      await createProfile(await createUser({ isPaid: true }));
+
+      const page = rendered(await request(app).get('/browse?education=astronaut&minAge=30&maxAge=20&sort=random&gender=male'));
+
+      expect(page.locals.errors.map(error => error.path).sort()).toEqual(['education', 'maxAge', 'sort']);
+      expect(page.locals.filters).toEqual({ gender: ['male'], minAge: 30 });
+      expect(page.locals.sort).toBe('newest');
+      expect(page.locals.profiles).toHaveLength(0);
+    });
+
+    it('only lets members filter by income band', async () => {
+      await createProfile(await createUser({ isPaid: true }), { occupation: { profession: 'Doctor', income: 'above-500k' } });
+      await createProfile(await createUser({ isPaid: true }), { occupation: { profession: 'Teacher', income: 'below-50k' } });
+
+      let page = rendered(await request(app).get('/browse?income=above-500k'));
+      expect(page.locals.incomeFilterAvailable).toBe(false);
+      expect(page.locals.profiles).toHaveLength(2);
+
+      const agent = await login(app, await createUser({ isPaid: true }));
+      page = rendered(await agent.get('/browse?income=above-500k'));
+      expect(page.locals.incomeFilterAvailable).toBe(true);
+      expect(page.locals.profiles).toHaveLength(1);
+      expect(page.locals.profiles[0].occupation.profession).toBe('Doctor');
+    });
+
+    it('sorts by most viewed and keeps the search in page links', async () => {
+      await createProfile(await createUser({ isPaid: true }), { views: 3 });
+      const popular = await createProfile(await createUser({ isPaid: true }), { views: 40 });
+
+      const page = rendered(await request(app).get('/browse?sort=most-viewed&gender=male'));
+
+      expect(page.locals.sort).toBe('most-viewed');
+      expect(page.locals.profiles[0]._id.toString()).toBe(popular._id.toString());
+      expect(page.locals.pageQuery(2)).toBe('gender=male&sort=most-viewed&page=2');
+    });
+
+    it('sorts by the owner\'s most recent login', async () => {
+      const active = await createUser({ isPaid: true });
+      const activeProfile = await createProfile(active);
+      await createProfile(await createUser({ isPaid: true }));
+      await login(app, active);
+
+      const page = rendered(await request(app).get('/browse?sort=recently-active'));
+
+      expect(page.locals.profiles.map(profile => profile._id.toString())[0]).toBe(activeProfile._id.toString());
+      expect(page.locals.profiles[0].contactInfo).toBeUndefined();
+    });
+
+    it('ranks by match score for viewers with a profile', async () => {
+      const viewer = await createUser({ isPaid: true });
+      await createProfile(viewer, {
+        personalInfo: { gender: 'female' },
+        preferences: { education: ['master'] }
+      });
+      const weak = await createProfile(await createUser({ isPaid: true }), { education: { level: 'bachelor' } });
+      const strong = await createProfile(await createUser({ isPaid: true }), { education: { level: 'master' } });
+
+      const agent = await login(app, viewer);
+      const page = rendered(await agent.get('/browse?sort=best-match&gender=male'));
+
+      expect(page.locals.sort).toBe('best-match');
+      expect(page.locals.profiles.map(profile => profile._id.toString())).toEqual([strong._id.toString(), weak._id.toString()]);
+      expect(page.locals.matchScores[strong._id.toString()]).toBeGreaterThan(page.locals.matchScores[weak._id.toString()]);
+    });
+
+    it('only ranks the opposite gender and nobody blocked for best match', async () => {
+      const viewer = await createUser({ isPaid: true });
+      await createProfile(viewer, { personalInfo: { gender: 'female' } });
+      const candidate = await createProfile(await createUser({ isPaid: true }));
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female' } });
+      const blocked = await createProfile(await createUser({ isPaid: true }));
+      await Block.create({ blocker: blocked.userId, blocked: viewer._id });
+
+      const agent = await login(app, viewer);
+      const page = rendered(await agent.get('/browse?sort=best-match'));
+
+      expect(page.locals.profiles.map(profile => profile._id.toString())).toEqual([candidate._id.toString()]);
+      expect(page.locals.total).toBe(1);
+    });
+
+    it('falls back to newest for best match without a profile of their own', async () => {
+      await createProfile(await createUser({ isPaid: true }));
+
+      const page = rendered(await request(app).get('/browse?sort=best-match'));
+
+      expect(page.locals.sort).toBe('newest');
+      expect(page.locals.bestMatchAvailable).toBe(false);
+      expect(page.locals.profiles).toHaveLength(1);
+    });
+  });
+
+  describe('GET /profile/:id', () => {
+    it('hides guardian and family details from anonymous visitors', async () => {
+      const profile = await createProfile(await createUser({ isPaid: true }));
+
+      const page = rendered(await request(app).get(`/profile/${profile._id}`));
+
+      expect(page.view).toBe('main/profile-detail');
+      expect(page.locals.visibility).toBe('public');
+      expect(page.locals.profile.contactInfo).toBeUndefined();
+      expect(page.locals.profile.familyInfo.motherName).toBeUndefined();
+    });
+
+    it('shares guardian details with a matched member', async () => {
+      const owner = await createUser({ isPaid: true });
+      const profile = await createProfile(owner);
+      const viewer = await createUser({ isPaid: true });
+      const viewerProfile = await createProfile(viewer, { personalInfo: { gender: 'female' } });
+      await Interest.create({
+        fromUser: viewer._id,
+        toUser: owner._id,
+        fromProfile: viewerProfile._id,
+        toProfile: profile._id,
+        status: 'matched'
+      });
+      const agent = await login(app, viewer);
+
+      const res = await agent.get(`/profile/${profile._id}`).set('Accept', 'application/json');
+
+      expect(res.body.visibility).toBe('matched');
+      expect(res.body.profile.contactInfo.guardianPhone).toBe('03009876543');
+    });
+
+    it('counts the view', async () => {
+      const profile = await createProfile(await createUser({ isPaid: true }));
+
+      await request(app).get(`/profile/${profile._id}`);
+
+      expect((await RishtaProfile.findById(profile._id)).views).toBe(1);
+    });
+  });
+
+  describe('POST /contact', () => {
+    const form = {
+      name: 'Visitor',
+      email: 'visitor@example.com',
+      subject: 'Question',
+      message: 'How do I register?'
+    };
+
+    it('stores the message', async () => {
+      const res = await (await csrfAgent(app)).post('/contact').type('form').send(form);
+
+      expect(res.headers.location).toBe('/contact');
+      const message = await ContactMessage.findOne();
+      expect(message.subject).toBe('Question');
+      expect(message.status).toBe('unread');
+    });
+
+    it('links the message to the logged-in user', async () => {
+      const user = await createUser();
+      const agent = await login(app, user);
+
+      await agent.post('/contact').type('form').send(form);
+
+      expect((await ContactMessage.findOne()).userId.toString()).toBe(user._id.toString());
+    });
+
+    it('silently drops submissions that fill the honeypot', async () => {
+      await (await csrfAgent(app)).post('/contact').type('form').send({ ...form, website: 'http://spam.example' });
+
+      expect(await ContactMessage.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /dashboard', () => {
+    it('redirects anonymous visitors to login', async () => {
+      const res = await request(app).get('/dashboard');
+      expect(res.headers.location).toBe('/auth/login');
+    });
+  });
+});
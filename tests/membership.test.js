@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Notification = require('../models/Notification');
+const { sendRenewalReminders } = require('../services/membership');
+const { sentMail, createUser } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Membership period ending at the given time, mirrored onto the user as the membership service does
+const createPeriod = async (user, expiresAt) => {
+  const membership = await Membership.create({
+    userId: user._id,
+    plan: 'registration',
+    startsAt: new Date(expiresAt.getTime() - 365 * DAY),
+    expiresAt
+  });
+  await User.updateOne({ _id: user._id }, { membershipPlan: 'registration', membershipExpiresAt: expiresAt });
+  return membership;
+};
+
+describe('services/membership', () => {
+  describe('sendRenewalReminders', () => {
+    it('reminds members shortly before expiry, once', async () => {
+      const user = await createUser();
+      await createPeriod(user, new Date(Date.now() + 3 * DAY));
+
+      expect(await sendRenewalReminders()).toBe(1);
+      expect(await sendRenewalReminders()).toBe(0);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(user.email);
+      expect(sentMail[0].subject).toMatch(/expiring soon/);
+      expect(sentMail[0].text).toMatch(/\/payments$/);
+
+      const notifications = await Notification.find({ userId: user._id });
+      expect(notifications.map(notification => notification.type)).toEqual(['membership.expiring']);
+      expect(notifications[0].link).toBe('/payments');
+    });
+
+    it('sends a grace period notice after expiry', async () => {
+      const user = await createUser();
+      await createPeriod(user, new Date(Date.now() - DAY));
+
+      await sendRenewalReminders();
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].subject).toMatch(/has expired/);
+      expect(await Notification.countDocuments({ userId: user._id, type: 'membership.expired' })).toBe(1);
+      expect((await User.findById(user._id)).membershipStatus).toBe('grace');
+    });
+
+    it('leaves alone members who have already renewed or are far from expiry', async () => {
+      const renewed = await createUser();
+      const current = await createPeriod(renewed, new Date(Date.now() + 3 * DAY));
+      await Membership.create({
+        userId: renewed._id,
+        plan: 'registration',
+        startsAt: current.expiresAt,
+        expiresAt: new Date(current.expiresAt.getTime() + 365 * DAY)
+      });
+      await User.updateOne({ _id: renewed._id }, { membershipExpiresAt: new Date(current.expiresAt.getTime() + 365 * DAY) });
+
+      await createPeriod(await createUser(), new Date(Date.now() + 200 * DAY));
+
+      expect(await sendRenewalReminders()).toBe(0);
+    });
+  });
+});
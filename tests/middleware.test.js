@@ -0,0 +1,270 @@
+const express = require('express');
+const session = require('express-session');
+const flash = require('connect-flash');
+const request = require('supertest');
+const User = require('../models/User');
+const { hasPaid, hasProfile, isOwnerOrAdmin, requirePermission } = require('../middleware/auth');
+const { toSessionUser } = require('../services/sessions');
+const ContactMessage = require('../models/ContactMessage');
+const Payment = require('../models/Payment');
+const { buildApp, csrfAgent, createUser, createStaff, createAdmin, createProfile, login } = require('./helpers');
+
+// Minimal app that lets a test pick the session user directly
+const buildMiddlewareApp = () => {
+  const app = express();
+  app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+  app.use(flash());
+
+  app.get('/login-as/:id', async (req, res) => {
+    const user = await User.findById(req.params.id);
+    req.session.user = toSessionUser(user);
+    res.end();
+  });
+
+  const ok = (req, res) => res.send('ok');
+  app.get('/paid', hasPaid, ok);
+  app.get('/profile', hasProfile, ok);
+  app.get('/profiles/:id', isOwnerOrAdmin, ok);
+  app.get('/verify-payments', requirePermission('payments:verify'), ok);
+  app.get('/staff-media', requirePermission('profiles:view', 'payments:view'), ok);
+  return app;
+};
+
+const loginAs = async (app, user) => {
+  const agent = request.agent(app);
+  await agent.get(`/login-as/${user._id}`);
+  return agent;
+};
+
+describe('middleware/auth', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildMiddlewareApp();
+  });
+
+  describe('hasPaid', () => {
+    it('redirects anonymous visitors to login', async () => {
+      const res = await request(app).get('/paid');
+      expect(res.headers.location).toBe('/auth/login');
+    });
+
+    it('reads payment status from the database rather than the session', async () => {
+      const user = await createUser();
+      const agent = await loginAs(app, user);
+
+      expect((await agent.get('/paid')).headers.location).toBe('/payments');
+
+      await User.updateOne({ _id: user._id }, { membershipPlan: 'registration', membershipExpiresAt: new Date(Date.now() + 60000) });
+      expect((await agent.get('/paid')).text).toBe('ok');
+    });
+
+    it('keeps access during the grace period and sends expired members to renew', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const user = await createUser({ membershipPlan: 'registration', membershipExpiresAt: new Date(Date.now() - day) });
+      const agent = await loginAs(app, user);
+
+      expect((await agent.get('/paid')).text).toBe('ok');
+
+      await User.updateOne({ _id: user._id }, { membershipExpiresAt: new Date(Date.now() - 30 * day) });
+      expect((await agent.get('/paid')).headers.location).toBe('/payments');
+    });
+  });
+
+  describe('hasProfile', () => {
+    it('sends users without a completed profile to profile creation', async () => {
+      const agent = await loginAs(app, await createUser({ isPaid: true }));
+
+      const res = await agent.get('/profile');
+
+      expect(res.headers.location).toBe('/profiles/create');
+    });
+
+    it('lets users with a completed profile through', async () => {
+      const agent = await loginAs(app, await createUser({ isPaid: true, profileCompleted: true }));
+
+      expect((await agent.get('/profile')).text).toBe('ok');
+    });
+  });
+
+  describe('isOwnerOrAdmin', () => {
+    let owner;
+    let profile;
+
+    beforeEach(async () => {
+      owner = await createUser({ isPaid: true });
+      profile = await createProfile(owner);
+    });
+
+    it('allows the owner', async () => {
+      const agent = await loginAs(app, owner);
+      expect((await agent.get(`/profiles/${profile._id}`)).text).toBe('ok');
+    });
+
+    it('allows an admin', async () => {
+      const agent = await loginAs(app, await createAdmin());
+      expect((await agent.get(`/profiles/${profile._id}`)).text).toBe('ok');
+    });
+
+    it('turns away other users', async () => {
+      const agent = await loginAs(app, await createUser({ isPaid: true }));
+
+      const res = await agent.get(`/profiles/${profile._id}`);
+
+      expect(res.headers.location).toBe('/dashboard');
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('lets roles with the permission through', async () => {
+      const agent = await loginAs(app, await createStaff('payment-clerk'));
+      expect((await agent.get('/verify-payments')).text).toBe('ok');
+    });
+
+    it('turns away staff whose role lacks the permission', async () => {
+      const agent = await loginAs(app, await createStaff('profile-reviewer'));
+
+      const res = await agent.get('/verify-payments');
+
+      expect(res.headers.location).toBe('/');
+    });
+
+    it('accepts any one of several permissions', async () => {
+      const agent = await loginAs(app, await createStaff('profile-reviewer'));
+      expect((await agent.get('/staff-media')).text).toBe('ok');
+    });
+
+    it('sends staff without two-factor authentication to set it up', async () => {
+      const agent = await loginAs(app, await createUser({ role: 'payment-clerk' }));
+
+      const res = await agent.get('/verify-payments');
+
+      expect(res.headers.location).toBe('/auth/2fa/setup');
+    });
+  });
+
+  describe('refreshSessionUser', () => {
+    let fullApp;
+
+    beforeEach(() => {
+      fullApp = buildApp();
+    });
+
+    it('picks up payment verification without logging in again', async () => {
+      const user = await createUser();
+      const agent = await login(fullApp, user);
+      expect((await agent.get('/dashboard')).headers.location).toBe('/payments');
+
+      const adminAgent = await login(fullApp, await createAdmin());
+      await adminAgent.post(`/admin/users/${user._id}/membership`).send({ plan: 'registration' }).expect(200);
+
+      expect((await agent.get('/dashboard')).headers.location).toBe('/profiles/create');
+    });
+
+    it('ends the session of a deactivated user', async () => {
+      const user = await createUser({ isPaid: true });
+      const agent = await login(fullApp, user);
+
+      const adminAgent = await login(fullApp, await createAdmin());
+      await adminAgent.post(`/admin/users/${user._id}/status`).send({ isActive: false }).expect(200);
+
+      expect((await agent.get('/dashboard')).headers.location).toBe('/auth/login');
+    });
+
+    it('reloads the user once the refresh interval has passed', async () => {
+      const user = await createUser();
+      const agent = await login(fullApp, user);
+      await User.updateOne({ _id: user._id }, { isActive: false });
+
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 60 * 1000);
+      try {
+        const res = await agent.get('/payments').set('Accept', 'application/json');
+        expect(res.status).toBe(401);
+        expect(res.body.message).toMatch(/deactivated/);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+  });
+
+  describe('csrfProtection', () => {
+    let fullApp;
+
+    beforeEach(() => {
+      fullApp = buildApp();
+    });
+
+    const contactForm = {
+      name: 'Visitor',
+      email: 'visitor@example.com',
+      subject: 'Question',
+      message: 'How do I register?'
+    };
+
+    it('turns away form posts without a token', async () => {
+      const res = await request(fullApp).post('/contact').type('form').send(contactForm);
+
+      expect(res.headers.location).toBe('/');
+      expect(await ContactMessage.countDocuments()).toBe(0);
+    });
+
+    it('accepts the token as a form field', async () => {
+      const agent = request.agent(fullApp);
+      const { body } = await agent.get('/csrf-token');
+
+      await agent.post('/contact').type('form').send({ ...contactForm, _csrf: body.csrfToken });
+
+      expect(await ContactMessage.countDocuments()).toBe(1);
+    });
+
+    it('ignores a token in the query string', async () => {
+      const agent = request.agent(fullApp);
+      const { body } = await agent.get('/csrf-token');
+
+      const res = await agent.post(`/contact?_csrf=${body.csrfToken}`).type('form').send(contactForm);
+
+      expect(res.headers.location).toBe('/');
+      expect(await ContactMessage.countDocuments()).toBe(0);
+    });
+
+    it('rejects a token from another session', async () => {
+      const other = await csrfAgent(fullApp);
+      const { body } = await other.get('/csrf-token');
+
+      const res = await request(fullApp).post('/contact').type('form').send({ ...contactForm, _csrf: body.csrfToken });
+
+      expect(res.headers.location).toBe('/');
+    });
+
+    it('answers JSON endpoints with a 403', async () => {
+      const user = await createUser();
+      const payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      const agent = await login(fullApp, user);
+      agent.set('X-CSRF-Token', 'forged');
+
+      const res = await agent.post(`/payments/cancel/${payment._id}`).set('Accept', 'application/json');
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+      expect((await Payment.findById(payment._id)).status).toBe('pending');
+    });
+  });
+
+  describe('cors', () => {
+    it('does not share member endpoints with other origins', async () => {
+      const res = await request(buildApp()).get('/csrf-token').set('Origin', 'https://evil.example');
+      expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('lets any origin load blurred photos', async () => {
+      const res = await request(buildApp())
+        .options('/media/blurred/photo')
+        .set('Origin', 'https://other.example')
+        .set('Access-Control-Request-Method', 'GET');
+      expect(res.headers['access-control-allow-origin']).toBe('*');
+    });
+  });
+});
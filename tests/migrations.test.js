@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const UserSession = require('../models/UserSession');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const RishtaProfile = require('../models/RishtaProfile');
+const { setDriver } = require('../services/storage');
+const { runMigrations } = require('../services/migrations');
+const photosMigration = require('../migrations/photos-authenticated-delivery');
+const sessionsMigration = require('../migrations/index-user-sessions');
+const paidUsersMigration = require('../migrations/paid-users-memberships');
+const lastActiveMigration = require('../migrations/profiles-last-active');
+const { createUser, createProfile, stubStorage } = require('./helpers');
+
+describe('migrations', () => {
+  describe('services/migrations', () => {
+    it('applies each migration once, in order', async () => {
+      const calls = [];
+      const migrations = ['first', 'second'].map(name => ({ name, up: async () => calls.push(name) }));
+
+      expect(await runMigrations(migrations)).toEqual(['first', 'second']);
+      expect(await runMigrations(migrations)).toEqual([]);
+      expect(calls).toEqual(['first', 'second']);
+      expect(await Migration.countDocuments()).toBe(2);
+    });
+
+    it('stops at a failed migration and retries it next time', async () => {
+      let fail = true;
+      const later = jest.fn();
+      const migrations = [
+        { name: 'flaky', up: async () => { if (fail) throw new Error('down'); } },
+        { name: 'later', up: later }
+      ];
+
+      await expect(runMigrations(migrations)).rejects.toThrow('down');
+      expect(later).not.toHaveBeenCalled();
+
+      fail = false;
+      expect(await runMigrations(migrations)).toEqual(['flaky', 'later']);
+    });
+  });
+
+  describe('photos-authenticated-delivery', () => {
+    afterEach(() => {
+      setDriver(stubStorage);
+    });
+
+    it('moves public photos to authenticated delivery', async () => {
+      const profile = await createProfile(await createUser(), {
+        photos: [
+          { url: 'https://res.cloudinary.com/demo/image/upload/old.jpg', publicId: 'old' },
+          { url: 'https://res.cloudinary.com/demo/image/authenticated/new.jpg', publicId: 'new' }
+        ]
+      });
+      const makeAuthenticated = jest.fn(async publicId => (
+        publicId === 'old' ? 'https://res.cloudinary.com/demo/image/authenticated/old.jpg' : null
+      ));
+      setDriver({ ...stubStorage, makeAuthenticated });
+
+      await photosMigration.up();
+
+      expect(makeAuthenticated).toHaveBeenCalledTimes(2);
+      const photos = (await RishtaProfile.findById(profile._id)).photos;
+      expect(photos[0].url).toBe('https://res.cloudinary.com/demo/image/authenticated/old.jpg');
+      expect(photos[0].blurredUrl).toBe('/media/blurred/old');
+      expect(photos[1].url).toBe('https://res.cloudinary.com/demo/image/authenticated/new.jpg');
+    });
+
+    it('does nothing for drivers without public URLs', async () => {
+      await createProfile(await createUser(), { photos: [{ url: '/media/a', publicId: 'a' }] });
+
+      await expect(photosMigration.up()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('index-user-sessions', () => {
+    it('indexes live stored sessions by user', async () => {
+      const user = await createUser();
+      const expires = new Date(Date.now() + 60 * 60 * 1000);
+      await mongoose.connection.collection('sessions').insertMany([
+        { _id: 'logged-in', expires, session: JSON.stringify({ user: { _id: user._id } }) },
+        { _id: 'anonymous', expires, session: JSON.stringify({ csrfToken: 'x' }) },
+        { _id: 'expired', expires: new Date(Date.now() - 1000), session: JSON.stringify({ user: { _id: user._id } }) }
+      ]);
+
+      await sessionsMigration.up();
+
+      const entries = await UserSession.find();
+      expect(entries.map(entry => entry.sid)).toEqual(['logged-in']);
+      expect(entries[0].userId.equals(user._id)).toBe(true);
+    });
+  });
+
+  describe('paid-users-memberships', () => {
+    // Accounts from before memberships, with only the stored flag
+    const createLegacyUser = async (isPaid) => {
+      const user = await createUser();
+      await User.collection.updateOne({ _id: user._id }, { $set: { isPaid } });
+      return user;
+    };
+
+    it('trusts the stored flag until the migration has run', async () => {
+      const paid = await createLegacyUser(true);
+      await createLegacyUser(false);
+
+      expect((await User.findById(paid._id)).isPaid).toBe(true);
+      expect((await User.findById(paid._id)).membershipStatus).toBe('active');
+      expect((await User.find(User.paidFilter())).map(user => user._id.toString())).toEqual([paid._id.toString()]);
+      expect(await User.countDocuments(User.paidFilter(false))).toBe(1);
+    });
+
+    it('gives paid accounts a period on the plan they paid for and drops the flag', async () => {
+      const paid = await createLegacyUser(true);
+      const unpaid = await createLegacyUser(false);
+      const payment = await Payment.create({
+        userId: paid._id, amount: 15000, paymentMethod: 'easypaisa', paymentType: 'premium', status: 'completed'
+      });
+
+      await paidUsersMigration.up();
+
+      const membership = await Membership.findOne({ userId: paid._id });
+      expect(membership.plan).toBe('premium');
+      expect(membership.payments.map(String)).toEqual([payment._id.toString()]);
+      expect((await Payment.findById(payment._id)).membershipId.equals(membership._id)).toBe(true);
+
+      const user = await User.findById(paid._id);
+      expect(user.isPaid).toBe(true);
+      expect(user.membershipPlan).toBe('premium');
+      expect(user.membershipExpiresAt.getTime()).toBe(membership.expiresAt.getTime());
+
+      expect(await User.collection.countDocuments({ isPaid: { $exists: true } })).toBe(0);
+      expect((await User.findById(unpaid._id)).isPaid).toBe(false);
+      expect(await Membership.countDocuments({ userId: unpaid._id })).toBe(0);
+    });
+  });
+
+  describe('profiles-last-active', () => {
+    it('takes the owner\'s last login, or the last edit if they never logged in', async () => {
+      const lastLogin = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const active = await createProfile(await createUser({ lastLogin }));
+      const neverLoggedIn = await createProfile(await createUser());
+      await RishtaProfile.collection.updateMany({}, { $unset: { lastActiveAt: '' } });
+
+      await lastActiveMigration.up();
+
+      const stored = async (profile) => RishtaProfile.collection.findOne({ _id: profile._id });
+      expect((await stored(active)).lastActiveAt.getTime()).toBe(lastLogin.getTime());
+      const untouched = await stored(neverLoggedIn);
+      expect(untouched.lastActiveAt.getTime()).toBe(untouched.updatedAt.getTime());
+      expect(untouched.personalInfo.name).toBe(neverLoggedIn.personalInfo.name);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { notify } = require('../services/notifications');
+const {
+  buildApp,
+  rendered,
+  createUser,
+  createAdmin,
+  createStaff,
+  login,
+  createProfile,
+  profileForm,
+  sentMail,
+  sentSms
+} = require('./helpers');
+
+describe('notifications', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  describe('services/notifications', () => {
+    it('delivers through the channels the member has turned on', async () => {
+      const user = await createUser({ notificationPreferences: { inApp: true, email: false, sms: true } });
+
+      const notification = await notify(user, { type: 'payment.completed', title: 'Payment verified', message: 'Thanks', link: '/payments/history' });
+
+      expect(notification.userId.toString()).toBe(user._id.toString());
+      expect(sentMail).toHaveLength(0);
+      expect(sentSms).toHaveLength(1);
+      expect(sentSms[0].text).toMatch(/Payment verified/);
+    });
+
+    it('skips text messages until the phone number is verified', async () => {
+      const user = await createUser({ phoneVerified: false, notificationPreferences: { inApp: false, email: true, sms: true } });
+
+      const notification = await notify(user._id, { type: 'payment.failed', title: 'Payment could not be verified' });
+
+      expect(notification).toBeNull();
+      expect(await Notification.countDocuments()).toBe(0);
+      expect(sentMail).toHaveLength(1);
+      expect(sentSms).toHaveLength(0);
+    });
+  });
+
+  describe('events', () => {
+    it('tells the member when their profile is approved or rejected', async () => {
+      const owner = await createUser({ isPaid: true });
+      const profile = await createProfile(owner, { status: 'submitted', published: false });
+      const adminAgent = await login(app, await createAdmin());
+
+      await adminAgent.post(`/admin/profiles/${profile._id}/review`).send({ action: 'reject', rejectionReason: 'Please add a guardian contact' });
+      await adminAgent.post(`/admin/profiles/${profile._id}/review`).send({ action: 'approve' });
+
+      const notifications = await Notification.find({ userId: owner._id }).sort({ createdAt: 1 });
+      expect(notifications.map(notification => notification.type)).toEqual(['profile.rejected', 'profile.approved']);
+      expect(notifications[0].message).toMatch(/Please add a guardian contact/);
+      expect(sentMail.filter(mail => mail.to === owner.email)).toHaveLength(2);
+    });
+
+    it('tells the member when their payment is verified', async () => {
+      const owner = await createUser();
+      const payment = await Payment.create({
+        userId: owner._id,
+        amount: 10000,
+        paymentMethod: 'easypaisa',
+        paymentType: 'registration',
+        senderName: 'Ayesha Ali',
+        senderNumber: '03001234567',
+        referenceNumber: 'EP123456'
+      });
+      const adminAgent = await login(app, await createAdmin());
+
+      await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'completed' }).expect(200);
+
+      const notification = await Notification.findOne({ userId: owner._id });
+      expect(notification.type).toBe('payment.completed');
+      expect(notification.message).toMatch(/Your membership is now active/);
+    });
+
+    it('tells reviewers about a new profile', async () => {
+      const reviewer = await createStaff('profile-reviewer');
+      await createStaff('payment-clerk');
+      const agent = await login(app, await createUser({ isPaid: true }));
+
+      await agent.post('/profiles/create').type('form').send(profileForm()).expect(302);
+
+      const notifications = await Notification.find({ type: 'staff.profile-submitted' });
+      expect(notifications.map(notification => notification.userId.toString())).toEqual([reviewer._id.toString()]);
+    });
+  });
+
+  describe('notification center', () => {
+    const createNotifications = (user) => Notification.create([
+      { userId: user._id, type: 'profile.approved', title: 'Your profile has been approved', link: '/profiles/view' },
+      { userId: user._id, type: 'payment.completed', title: 'Payment verified', link: '/payments/history' }
+    ]);
+
+    it('shows the unread count in the navbar and lists notifications', async () => {
+      const user = await createUser({ isPaid: true });
+      await createNotifications(user);
+      await createNotifications(await createUser());
+      const agent = await login(app, user);
+
+      const page = rendered(await agent.get('/notifications'));
+
+      expect(page.view).toBe('notifications/index');
+      expect(page.locals.unreadNotifications).toBe(2);
+      expect(page.locals.notifications).toHaveLength(2);
+    });
+
+    it('marks one or all notifications read', async () => {
+      const user = await createUser();
+      const [first] = await createNotifications(user);
+      const agent = await login(app, user);
+
+      let res = await agent.post(`/notifications/${first._id}/read`);
+      expect(res.body.success).toBe(true);
+      expect(await Notification.countUnread(user._id)).toBe(1);
+
+      res = await agent.post('/notifications/read-all');
+      expect(res.body.updated).toBe(1);
+      expect(await Notification.countUnread(user._id)).toBe(0);
+    });
+
+    it('opens the linked page and marks the notification read', async () => {
+      const user = await createUser();
+      const [first] = await createNotifications(user);
+      const agent = await login(app, user);
+
+      const res = await agent.get(`/notifications/${first._id}`);
+
+      expect(res.headers.location).toBe('/profiles/view');
+      expect((await Notification.findById(first._id)).readAt).not.toBeNull();
+    });
+
+    it('does not let members read other members\' notifications', async () => {
+      const [theirs] = await createNotifications(await createUser());
+      const agent = await login(app, await createUser());
+
+      const res = await agent.post(`/notifications/${theirs._id}/read`);
+
+      expect(res.status).toBe(404);
+      expect((await Notification.findById(theirs._id)).readAt).toBeNull();
+    });
+
+    it('saves channel preferences', async () => {
+      const user = await createUser();
+      const agent = await login(app, user);
+
+      await agent.post('/notifications/preferences').type('form').send({ inApp: 'on', sms: 'on' }).expect(302);
+
+      const updated = await User.findById(user._id);
+      expect(updated.notificationPreferences.toObject()).toEqual({ inApp: true, email: false, sms: true });
+    });
+  });
+});
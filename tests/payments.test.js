@@ -0,0 +1,399 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const AuditLog = require('../models/AuditLog');
+const { buildApp, rendered, createUser, createAdmin, login, csrfAgent, storedFiles, PNG_BYTES } = require('./helpers');
+
+describe('routes/payments', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  const paymentForm = (overrides = {}) => ({
+    amount: '10000',
+    paymentMethod: 'easypaisa',
+    paymentType: 'registration',
+    senderName: 'Ayesha Ali',
+    senderNumber: '03001234567',
+    referenceNumber: 'EP123456',
+    ...overrides
+  });
+
+  describe('GET /payments', () => {
+    it('shows the configured fee and outstanding balance', async () => {
+      const agent = await login(app, await createUser());
+
+      const page = rendered(await agent.get('/payments'));
+
+      expect(page.view).toBe('payments/index');
+      expect(page.locals.feeSummary.registration.outstandingAmount).toBe(page.locals.settings.registrationFee);
+    });
+
+    it('lists plans with their current prices', async () => {
+      const agent = await login(app, await createUser());
+
+      const page = rendered(await agent.get('/payments'));
+
+      const premium = page.locals.plans.find(plan => plan.key === 'premium');
+      expect(premium.price).toBe(page.locals.settings.premiumFee);
+      expect(premium.durationMonths).toBe(12);
+    });
+
+    it('tells members when renewing their plan opens', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const user = await createUser({ isPaid: true });
+      const agent = await login(app, user);
+
+      let page = rendered(await agent.get('/payments'));
+      expect(page.view).toBe('payments/index');
+      expect(page.locals.renewalNotice).toMatch(/You can renew it from/);
+
+      await User.updateOne({ _id: user._id }, { membershipExpiresAt: new Date(Date.now() + 5 * day) });
+      page = rendered(await agent.get('/payments'));
+      expect(page.locals.membership.status).toBe('active');
+      expect(page.locals.renewalNotice).toBeNull();
+    });
+  });
+
+  describe('POST /payments/submit', () => {
+    it('requires login', async () => {
+      const res = await (await csrfAgent(app)).post('/payments/submit').type('form').send(paymentForm());
+      expect(res.headers.location).toBe('/auth/login');
+    });
+
+    it('requires a verified phone number', async () => {
+      const agent = await login(app, await createUser({ phoneVerified: false }));
+
+      const res = await agent.post('/payments/submit').type('form').send(paymentForm());
+
+      expect(res.headers.location).toBe('/auth/verify');
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+
+    it('records the server-side fee and currency', async () => {
+      const agent = await login(app, await createUser());
+
+      const res = await agent.post('/payments/submit').type('form').send(paymentForm({ paymentType: 'international', amount: '200' }));
+
+      expect(res.headers.location).toBe('/payments/history');
+      const payment = await Payment.findOne();
+      expect(payment.currency).toBe('USD');
+      expect(payment.expectedAmount).toBe(200);
+      expect(payment.amountStatus).toBe('matched');
+    });
+
+    it('flags an amount above the outstanding fee', async () => {
+      const agent = await login(app, await createUser());
+
+      await agent.post('/payments/submit').type('form').send(paymentForm({ amount: '99999' }));
+
+      const payment = await Payment.findOne();
+      expect(payment.amountStatus).toBe('overpaid');
+      expect(payment.hasAmountMismatch).toBe(true);
+    });
+
+    it('only holds back renewals of the current plan until the renewal window opens', async () => {
+      const agent = await login(app, await createUser({ isPaid: true }));
+
+      const renewal = await agent.post('/payments/submit').type('form').send(paymentForm({ referenceNumber: 'EP1' }));
+      expect(renewal.headers.location).toBe('/dashboard');
+
+      const upgrade = await agent.post('/payments/submit').type('form').send(paymentForm({ paymentType: 'premium', referenceNumber: 'EP2' }));
+      expect(upgrade.headers.location).toBe('/payments/history');
+
+      const other = await agent.post('/payments/submit').type('form').send(paymentForm({ paymentType: 'other', referenceNumber: 'EP3' }));
+      expect(other.headers.location).toBe('/payments/history');
+
+      expect((await Payment.find().sort({ createdAt: 1 })).map(payment => payment.referenceNumber)).toEqual(['EP2', 'EP3']);
+    });
+
+    const submitWithReceipt = (agent, form) => {
+      const req = agent.post('/payments/submit');
+      Object.entries(form).forEach(([field, value]) => req.field(field, value));
+      return req.attach('photo', PNG_BYTES, 'receipt.png');
+    };
+
+    it('removes the receipt of a renewal that is held back', async () => {
+      const agent = await login(app, await createUser({ isPaid: true }));
+
+      const res = await submitWithReceipt(agent, paymentForm());
+
+      expect(res.headers.location).toBe('/dashboard');
+      expect(storedFiles.size).toBe(0);
+    });
+
+    it('keeps the receipt of a recorded payment when a follow-up step fails', async () => {
+      const agent = await login(app, await createUser());
+      const find = jest.spyOn(Payment, 'find').mockImplementationOnce(() => {
+        throw new Error('risk check down');
+      });
+
+      try {
+        const res = await submitWithReceipt(agent, paymentForm());
+        expect(res.headers.location).toBe('/payments/history');
+      } finally {
+        find.mockRestore();
+      }
+
+      const payment = await Payment.findOne();
+      expect(storedFiles.has(payment.receiptImage.publicId)).toBe(true);
+    });
+
+    it('re-renders the form on validation errors', async () => {
+      const agent = await login(app, await createUser());
+
+      const res = await agent.post('/payments/submit').type('form').send(paymentForm({ senderNumber: '123' }));
+
+      const page = rendered(res);
+      expect(page.locals.errors[0].msg).toBe('Please enter a valid Pakistani phone number');
+      expect(page.locals.plans.map(plan => plan.key)).toContain('registration');
+      expect(page.locals.membership.status).toBe('none');
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /payments/admin/verify/:id', () => {
+    it('is restricted to admins', async () => {
+      const user = await createUser();
+      const payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'completed' });
+
+      expect(res.status).toBe(302);
+      expect((await Payment.findById(payment._id)).status).toBe('pending');
+    });
+
+    it('grants membership only once partial payments cover the fee', async () => {
+      const user = await createUser();
+      const userAgent = await login(app, user);
+      await userAgent.post('/payments/submit').type('form').send(paymentForm({ amount: '4000', referenceNumber: 'EP1' }));
+      const adminAgent = await login(app, await createAdmin());
+
+      const first = await Payment.findOne({ referenceNumber: 'EP1' });
+      expect(first.amountStatus).toBe('partial');
+      let res = await adminAgent.post(`/payments/admin/verify/${first._id}`).send({ status: 'completed' });
+      expect(res.body.membershipGranted).toBe(false);
+      expect((await User.findById(user._id)).isPaid).toBe(false);
+
+      await userAgent.post('/payments/submit').type('form').send(paymentForm({ amount: '6000', referenceNumber: 'EP2' }));
+      const second = await Payment.findOne({ referenceNumber: 'EP2' });
+      expect(second.outstandingAmount).toBe(6000);
+      expect(second.amountStatus).toBe('matched');
+      res = await adminAgent.post(`/payments/admin/verify/${second._id}`).send({ status: 'completed' });
+      expect(res.body.membershipGranted).toBe(true);
+      expect((await User.findById(user._id)).isPaid).toBe(true);
+    });
+
+    it('leaves the payment unchanged when its audit entry cannot be written', async () => {
+      const user = await createUser();
+      const payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      const agent = await login(app, await createAdmin());
+      const save = jest.spyOn(AuditLog.prototype, 'save').mockRejectedValue(new Error('audit down'));
+
+      try {
+        const res = await agent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'completed' });
+        expect(res.status).toBe(500);
+      } finally {
+        save.mockRestore();
+      }
+
+      expect((await Payment.findById(payment._id)).status).toBe('pending');
+      expect((await User.findById(user._id)).isPaid).toBe(false);
+      expect(await Membership.countDocuments({ userId: user._id })).toBe(0);
+    });
+  });
+
+  describe('risk flags', () => {
+    const submit = async (user, overrides = {}) => {
+      const agent = await login(app, user);
+      await agent.post('/payments/submit').type('form').send(paymentForm(overrides)).expect(302);
+      return Payment.findOne({ userId: user._id }).sort({ createdAt: -1 });
+    };
+
+    it('flags a reference number used by another account on both payments', async () => {
+      const first = await submit(await createUser(), { referenceNumber: 'EP777', senderNumber: '03001111111' });
+      const second = await submit(await createUser(), { referenceNumber: 'ep777', senderNumber: '03002222222' });
+
+      expect(second.riskLevel).toBe('high');
+      expect(second.riskFlags[0].type).toBe('duplicate-reference');
+      expect(second.riskFlags[0].relatedPayment.toString()).toBe(first._id.toString());
+      expect((await Payment.findById(first._id)).riskLevel).toBe('high');
+
+      const adminAgent = await login(app, await createAdmin());
+      const list = rendered(await adminAgent.get('/payments/admin?risk=high'));
+      expect(list.locals.payments).toHaveLength(2);
+      expect(list.locals.flaggedPending).toBe(2);
+
+      const detail = rendered(await adminAgent.get(`/payments/admin/${second._id}`));
+      expect(detail.locals.payment.riskFlags[0].relatedPayment.userId.email).toBeDefined();
+    });
+
+    it('requires the clerk to acknowledge high-risk flags before completing', async () => {
+      await submit(await createUser(), { referenceNumber: 'EP888', senderNumber: '03001111111' });
+      const flagged = await submit(await createUser(), { referenceNumber: 'EP888', senderNumber: '03002222222' });
+      const adminAgent = await login(app, await createAdmin());
+
+      let res = await adminAgent.post(`/payments/admin/verify/${flagged._id}`).send({ status: 'completed' });
+      expect(res.status).toBe(400);
+      expect(res.body.requiresAcknowledgement).toBe(true);
+      expect((await Payment.findById(flagged._id)).status).toBe('pending');
+
+      res = await adminAgent.post(`/payments/admin/verify/${flagged._id}`).send({ status: 'completed', acknowledgeRisk: true });
+      expect(res.status).toBe(200);
+    });
+
+    it('flags a sender number shared across accounts, however it is written', async () => {
+      await submit(await createUser(), { referenceNumber: 'EP1001', senderNumber: '03005555555' });
+      const second = await submit(await createUser(), { referenceNumber: 'EP1002', senderNumber: '+923005555555' });
+
+      expect(second.riskLevel).toBe('medium');
+      expect(second.riskFlags.map(flag => flag.type)).toEqual(['shared-sender']);
+    });
+
+    it('flags a receipt image already uploaded for another payment', async () => {
+      const upload = async (user, referenceNumber) => {
+        const agent = await login(app, user);
+        const form = paymentForm({ referenceNumber, senderNumber: `0300${referenceNumber.slice(-7)}` });
+        let req = agent.post('/payments/submit');
+        Object.entries(form).forEach(([field, value]) => {
+          req = req.field(field, value);
+        });
+        await req.attach('photo', PNG_BYTES, 'receipt.png').expect(302);
+        return Payment.findOne({ userId: user._id });
+      };
+
+      await upload(await createUser(), 'EP2000001');
+      const second = await upload(await createUser(), 'EP2000002');
+
+      expect(second.receiptImage.perceptualHash).toMatch(/^[0-9a-f]{16}$/);
+      expect(second.riskFlags.map(flag => flag.type)).toEqual(['duplicate-receipt']);
+    });
+
+    it('does not flag unrelated payments', async () => {
+      const payment = await submit(await createUser(), { referenceNumber: 'EP3001', senderNumber: '03006666666' });
+      await submit(await createUser(), { referenceNumber: 'EP3002', senderNumber: '03007777777' });
+
+      expect((await Payment.findById(payment._id)).riskLevel).toBe('none');
+    });
+  });
+
+  describe('payment reversals', () => {
+    let user;
+    let payment;
+    let adminAgent;
+
+    beforeEach(async () => {
+      user = await createUser();
+      payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      adminAgent = await login(app, await createAdmin());
+      await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'completed' }).expect(200);
+    });
+
+    it('starts a dated membership period from the verified payments', async () => {
+      const membership = await Membership.findOne({ userId: user._id });
+
+      expect(membership.plan).toBe('registration');
+      expect(membership.payments.map(id => id.toString())).toEqual([payment._id.toString()]);
+      expect(membership.expiresAt.getFullYear()).toBe(membership.startsAt.getFullYear() + 1);
+      expect((await User.findById(user._id)).membershipExpiresAt).toEqual(membership.expiresAt);
+      expect((await Payment.findById(payment._id)).membershipId.toString()).toBe(membership._id.toString());
+    });
+
+    it('adds a renewal after the current period', async () => {
+      const first = await Membership.findOne({ userId: user._id });
+      const renewal = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+
+      const res = await adminAgent.post(`/payments/admin/verify/${renewal._id}`).send({ status: 'completed' });
+
+      expect(res.body.membershipRenewed).toBe(true);
+      const second = await Membership.findOne({ userId: user._id, _id: { $ne: first._id } });
+      expect(second.startsAt).toEqual(first.expiresAt);
+      expect((await User.findById(user._id)).membershipExpiresAt).toEqual(second.expiresAt);
+    });
+
+    it('revokes membership when a completed payment is refunded', async () => {
+      expect((await User.findById(user._id)).isPaid).toBe(true);
+
+      const res = await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'refunded' });
+
+      expect(res.body.membershipRevoked).toBe(true);
+      expect((await Payment.findById(payment._id)).status).toBe('refunded');
+      expect((await User.findById(user._id)).isPaid).toBe(false);
+    });
+
+    it('keeps membership while other completed payments still cover the fee', async () => {
+      const second = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      await adminAgent.post(`/payments/admin/verify/${second._id}`).send({ status: 'completed' }).expect(200);
+
+      const res = await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'failed' });
+
+      expect(res.body.membershipRevoked).toBe(false);
+      expect((await User.findById(user._id)).isPaid).toBe(true);
+
+      // The renewal period moves up to cover the gap left by the reversed one
+      const remaining = await Membership.findOne({ userId: user._id, status: 'active' });
+      expect(remaining.startsAt.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('rejects transitions the state machine does not allow', async () => {
+      await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'refunded' }).expect(200);
+
+      const res = await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'completed' });
+
+      expect(res.status).toBe(400);
+      expect((await Payment.findById(payment._id)).status).toBe('refunded');
+      expect((await User.findById(user._id)).isPaid).toBe(false);
+    });
+
+    it('leaves membership unchanged when the transaction fails', async () => {
+      const spy = jest.spyOn(User, 'updateOne').mockRejectedValueOnce(new Error('write failed'));
+
+      const res = await adminAgent.post(`/payments/admin/verify/${payment._id}`).send({ status: 'refunded' });
+      spy.mockRestore();
+
+      expect(res.status).toBe(500);
+      expect((await Payment.findById(payment._id)).status).toBe('completed');
+      expect((await User.findById(user._id)).isPaid).toBe(true);
+    });
+  });
+
+  describe('POST /payments/cancel/:id', () => {
+    it('lets a user cancel their own pending payment', async () => {
+      const user = await createUser();
+      const payment = await Payment.create({
+        userId: user._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      const agent = await login(app, user);
+
+      const res = await agent.post(`/payments/cancel/${payment._id}`);
+
+      expect(res.body.success).toBe(true);
+      expect((await Payment.findById(payment._id)).status).toBe('cancelled');
+    });
+
+    it("does not cancel another user's payment", async () => {
+      const owner = await createUser();
+      const payment = await Payment.create({
+        userId: owner._id, amount: 10000, paymentMethod: 'easypaisa', paymentType: 'registration'
+      });
+      const agent = await login(app, await createUser());
+
+      const res = await agent.post(`/payments/cancel/${payment._id}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RishtaProfile = require('../models/RishtaProfile');
+const Interest = require('../models/Interest');
+const PhotoAccess = require('../models/PhotoAccess');
+const SavedSearch = require('../models/SavedSearch');
+const {
+  buildApp,
+  rendered,
+  createUser,
+  login,
+  createProfile,
+  profileForm,
+  storedFiles,
+  PNG_BYTES
+} = require('./helpers');
+
+describe('routes/profiles', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  describe('POST /profiles/create', () => {
+    it('requires a completed payment', async () => {
+      const agent = await login(app, await createUser());
+
+      const res = await agent.get('/profiles/create');
+
+      expect(res.headers.location).toBe('/payments');
+    });
+
+    it('creates a submitted profile with uploaded photos', async () => {
+      const user = await createUser({ isPaid: true });
+      const agent = await login(app, user);
+
+      const req = agent.post('/profiles/create');
+      Object.entries(profileForm()).forEach(([field, value]) => req.field(field, value));
+      const res = await req.attach('photos', PNG_BYTES, 'photo.png');
+
+      expect(res.headers.location).toBe('/profiles/dashboard');
+
+      const profile = await RishtaProfile.findOne({ userId: user._id });
+      expect(profile.status).toBe('submitted');
+      expect(profile.photos).toHaveLength(1);
+      expect(profile.photos[0].isPrimary).toBe(true);
+      expect(storedFiles.has(profile.photos[0].publicId)).toBe(true);
+      expect((await User.findById(user._id)).profileCompleted).toBe(true);
+    });
+
+    it('removes uploaded photos when validation fails', async () => {
+      const agent = await login(app, await createUser({ isPaid: true }));
+
+      const req = agent.post('/profiles/create');
+      Object.entries(profileForm({ 'personalInfo[age]': '12' })).forEach(([field, value]) => req.field(field, value));
+      const res = await req.attach('photos', PNG_BYTES, 'photo.png');
+
+      expect(rendered(res).view).toBe('profiles/create');
+      expect(storedFiles.size).toBe(0);
+    });
+
+    it('rejects an unknown photo visibility', async () => {
+      const user = await createUser({ isPaid: true });
+      const agent = await login(app, user);
+
+      const res = await agent.post('/profiles/create').type('form').send(profileForm({ photoVisibility: 'everyone' }));
+
+      expect(rendered(res).locals.errors.map(error => error.msg)).toContain('Please select a valid photo visibility');
+      expect(await RishtaProfile.countDocuments({ userId: user._id })).toBe(0);
+    });
+  });
+
+  describe('GET /profiles/suggestions', () => {
+    it('suggests opposite-gender profiles that fit both ways', async () => {
+      const user = await createUser({ isPaid: true });
+      await createProfile(user, { preferences: { ageRange: { min: 20, max: 30 } } });
+      const fit = await createProfile(await createUser({ isPaid: true, name: 'Good Fit' }), {
+        personalInfo: { gender: 'female', age: 25 },
+        preferences: { ageRange: { min: 25, max: 35 } }
+      });
+      await createProfile(await createUser({ isPaid: true }), {
+        personalInfo: { gender: 'female' },
+        preferences: { ageRange: { min: 40, max: 50 } }
+      });
+      const agent = await login(app, user);
+
+      const page = rendered(await agent.get('/profiles/suggestions'));
+
+      expect(page.locals.matches).toHaveLength(1);
+      expect(page.locals.matches[0].profile._id).toBe(fit._id.toString());
+      expect(page.locals.matches[0].forward.criteria.find(c => c.key === 'age').status).toBe('match');
+    });
+
+    it('still suggests profiles that miss one of two stated preferences', async () => {
+      const bornYearsAgo = years => new Date(Date.now() - (years + 0.5) * 365.25 * 24 * 60 * 60 * 1000);
+      const candidate = (age, city) => ({
+        personalInfo: { gender: 'female', age, dateOfBirth: bornYearsAgo(age), location: { city, country: 'Pakistan' } }
+      });
+      const user = await createUser({ isPaid: true });
+      await createProfile(user, { preferences: { ageRange: { min: 20, max: 30 }, location: ['karachi'] } });
+      const fit = await createProfile(await createUser({ isPaid: true }), candidate(25, 'Karachi'));
+      const tooOld = await createProfile(await createUser({ isPaid: true }), candidate(35, 'Karachi'));
+      const elsewhere = await createProfile(await createUser({ isPaid: true }), candidate(25, 'Lahore'));
+      await createProfile(await createUser({ isPaid: true }), candidate(35, 'Lahore'));
+      const agent = await login(app, user);
+
+      const page = rendered(await agent.get('/profiles/suggestions'));
+
+      const ids = page.locals.matches.map(match => match.profile._id);
+      expect(ids[0]).toBe(fit._id.toString());
+      expect(ids.slice(1).sort()).toEqual([tooOld._id.toString(), elsewhere._id.toString()].sort());
+      expect(page.locals.matches.map(match => match.score)).toEqual([100, 75, 75]);
+    });
+
+    it('judges age by date of birth rather than the stored age', async () => {
+      const user = await createUser({ isPaid: true });
+      await createProfile(user, { preferences: { ageRange: { min: 20, max: 30 } } });
+      // Born 27.5 years ago (the helper's default) despite the stale stored age
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female', age: 40 } });
+      const agent = await login(app, user);
+
+      const page = rendered(await agent.get('/profiles/suggestions'));
+
+      expect(page.locals.matches[0].forward.criteria.find(c => c.key === 'age').status).toBe('match');
+    });
+  });
+
+  describe('saved searches', () => {
+    const setupMember = async () => {
+      const user = await createUser({ isPaid: true });
+      await createProfile(user);
+      return { user, agent: await login(app, user) };
+    };
+
+    it('saves a browse search and counts profiles published since it was last opened', async () => {
+      const { agent } = await setupMember();
+
+      const res = await agent.post('/profiles/searches?gender=female&education=master&page=2').send({ name: 'Masters' });
+      expect(res.status).toBe(200);
+      const saved = await SavedSearch.findById(res.body.savedSearch._id);
+      expect(saved.criteria).toEqual({ gender: ['female'], education: ['master'] });
+
+      await SavedSearch.updateOne({ _id: saved._id }, { lastViewedAt: new Date(Date.now() - 60 * 1000) });
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female' }, education: { level: 'master' } });
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female' } });
+
+      let page = rendered(await agent.get('/profiles/dashboard'));
+      expect(page.locals.savedSearches).toHaveLength(1);
+      expect(page.locals.savedSearches[0].newCount).toBe(1);
+
+      const open = await agent.get(`/profiles/searches/${saved._id}`);
+      expect(open.headers.location).toBe('/browse?gender=female&education=master');
+
+      page = rendered(await agent.get('/profiles/dashboard'));
+      expect(page.locals.savedSearches[0].newCount).toBe(0);
+    });
+
+    it('rejects invalid filters and names already in use', async () => {
+      const { agent } = await setupMember();
+
+      let res = await agent.post('/profiles/searches?education=astronaut').send({ name: 'Bad' });
+      expect(res.status).toBe(400);
+
+      res = await agent.post('/profiles/searches?gender=female').send({ name: 'Daily' });
+      expect(res.status).toBe(200);
+      res = await agent.post('/profiles/searches?gender=male').send({ name: 'daily' });
+      expect(res.status).toBe(409);
+
+      expect(await SavedSearch.countDocuments()).toBe(1);
+    });
+
+    it('lets the owner turn off alerts and delete the search', async () => {
+      const { user, agent } = await setupMember();
+      const saved = await SavedSearch.create({ userId: user._id, name: 'Lahore', criteria: { city: 'Lahore' } });
+
+      let res = await agent.put(`/profiles/searches/${saved._id}`).send({ alertsEnabled: false });
+      expect(res.status).toBe(200);
+      expect((await SavedSearch.findById(saved._id)).alertsEnabled).toBe(false);
+
+      res = await agent.delete(`/profiles/searches/${saved._id}`);
+      expect(res.status).toBe(200);
+      expect(await SavedSearch.findById(saved._id)).toBeNull();
+    });
+
+    it('does not expose other members\' saved searches', async () => {
+      const { agent } = await setupMember();
+      const other = await SavedSearch.create({ userId: (await createUser())._id, name: 'Theirs' });
+
+      const res = await agent.delete(`/profiles/searches/${other._id}`);
+
+      expect(res.status).toBe(404);
+      expect(await SavedSearch.findById(other._id)).not.toBeNull();
+    });
+  });
+
+  describe('interests', () => {
+    let sender;
+    let recipient;
+    let recipientProfile;
+
+    beforeEach(async () => {
+      sender = await createUser({ isPaid: true });
+      await createProfile(sender);
+      recipient = await createUser({ isPaid: true });
+      recipientProfile = await createProfile(recipient, { personalInfo: { gender: 'female' } });
+    });
+
+    it('sends an interest and blocks duplicates', async () => {
+      const agent = await login(app, sender);
+
+      const first = await agent.post(`/profiles/interests/${recipientProfile._id}`);
+      const second = await agent.post(`/profiles/interests/${recipientProfile._id}`);
+
+      expect(first.body.success).toBe(true);
+      expect(second.status).toBe(409);
+      expect(await Interest.countDocuments()).toBe(1);
+    });
+
+    it('releases guardian contacts only after both sides accept', async () => {
+      const senderAgent = await login(app, sender);
+      const recipientAgent = await login(app, recipient);
+      const { body } = await senderAgent.post(`/profiles/interests/${recipientProfile._id}`);
+      const interestId = body.interest._id;
+
+      const noConsent = await recipientAgent.post(`/profiles/interests/${interestId}/accept`);
+      expect(noConsent.status).toBe(400);
+
+      await recipientAgent.post(`/profiles/interests/${interestId}/accept`).send({ guardianConsent: true });
+      let page = rendered(await senderAgent.get('/profiles/interests'));
+      expect(page.locals.guardianContacts).toEqual({});
+
+      await senderAgent.post(`/profiles/interests/${interestId}/accept`).send({ guardianConsent: true });
+      page = rendered(await senderAgent.get('/profiles/interests'));
+      expect(page.locals.guardianContacts[recipientProfile._id.toString()].guardianPhone).toBe('03009876543');
+    });
+
+    it('enforces the daily send limit', async () => {
+      await Interest.create([...Array(5)].map(() => ({
+        fromUser: sender._id,
+        toUser: recipient._id,
+        fromProfile: new RishtaProfile()._id,
+        toProfile: new RishtaProfile()._id
+      })));
+      const agent = await login(app, sender);
+
+      const res = await agent.post(`/profiles/interests/${recipientProfile._id}`);
+
+      expect(res.status).toBe(429);
+    });
+  });
+
+  describe('photo privacy', () => {
+    let owner;
+    let profile;
+    let photoUrl;
+
+    beforeEach(async () => {
+      owner = await createUser({ isPaid: true });
+      storedFiles.set('stub-photo', PNG_BYTES);
+      profile = await createProfile(owner, {
+        personalInfo: { gender: 'female' },
+        photoVisibility: 'on-request',
+        photos: [{ url: '/media/stub-photo', publicId: 'stub-photo', isPrimary: true }]
+      });
+      photoUrl = `/profiles/photos/${profile._id}/${profile.photos[0]._id}`;
+    });
+
+    it('serves a blurred photo to anonymous visitors', async () => {
+      const res = await request(app).get(photoUrl);
+      expect(res.headers['x-image-variant']).toBe('blurred');
+    });
+
+    it('grants and revokes access to the original', async () => {
+      const member = await createUser({ isPaid: true });
+      await createProfile(member);
+      const memberAgent = await login(app, member);
+      const ownerAgent = await login(app, owner);
+
+      await memberAgent.post(`/profiles/photo-access/${profile._id}`).expect(200);
+      const access = await PhotoAccess.findOne();
+
+      await ownerAgent.post(`/profiles/photo-access/${access._id}/grant`).expect(200);
+      let res = await memberAgent.get(photoUrl);
+      expect(res.headers['x-image-variant']).toBe('original');
+
+      await ownerAgent.post(`/profiles/photo-access/${access._id}/revoke`).expect(200);
+      res = await memberAgent.get(photoUrl);
+      expect(res.headers['x-image-variant']).toBe('blurred');
+    });
+  });
+
+  describe('DELETE /profiles/photo/:photoId', () => {
+    it('removes the photo from storage and the profile', async () => {
+      const user = await createUser({ isPaid: true });
+      storedFiles.set('stub-photo', PNG_BYTES);
+      const profile = await createProfile(user, {
+        photos: [{ url: '/media/stub-photo', publicId: 'stub-photo' }]
+      });
+      const agent = await login(app, user);
+
+      const res = await agent.delete(`/profiles/photo/${profile.photos[0]._id}`);
+
+      expect(res.body.success).toBe(true);
+      expect(storedFiles.has('stub-photo')).toBe(false);
+      expect((await RishtaProfile.findById(profile._id)).photos).toHaveLength(0);
+    });
+  });
+});
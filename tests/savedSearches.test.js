@@ -0,0 +1,43 @@
+const SavedSearch = require('../models/SavedSearch');
+const { sendSearchDigests } = require('../services/savedSearches');
+const { sentMail, createUser, createProfile } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('services/savedSearches', () => {
+  describe('sendSearchDigests', () => {
+    const saveSearch = (user, overrides = {}) => SavedSearch.create({
+      userId: user._id,
+      name: 'Women in Lahore',
+      criteria: { gender: ['female'], city: 'Lahore' },
+      lastDigestAt: new Date(Date.now() - DAY),
+      ...overrides
+    });
+
+    it('emails newly published matches once', async () => {
+      const member = await createUser({ isPaid: true });
+      await createProfile(member, { personalInfo: { gender: 'female', name: 'Own Profile' } });
+      await saveSearch(member);
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female', name: 'Sana Malik' } });
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'male', name: 'Bilal Ahmed' } });
+
+      expect(await sendSearchDigests()).toBe(1);
+      expect(await sendSearchDigests()).toBe(0);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(member.email);
+      expect(sentMail[0].text).toMatch(/Women in Lahore \(1 new\)/);
+      expect(sentMail[0].text).toMatch(/Sana Malik/);
+      expect(sentMail[0].text).not.toMatch(/Bilal Ahmed|Own Profile/);
+    });
+
+    it('skips searches with alerts off and members whose membership has lapsed', async () => {
+      await saveSearch(await createUser({ isPaid: true }), { alertsEnabled: false });
+      await saveSearch(await createUser());
+      await createProfile(await createUser({ isPaid: true }), { personalInfo: { gender: 'female' } });
+
+      expect(await sendSearchDigests()).toBe(0);
+      expect(sentMail).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { setDriver } = require('../services/storage');
+const { setTransport: setMailTransport } = require('../services/mailer');
+const { setTransport: setSmsTransport } = require('../services/sms');
+const { clearCache } = require('../services/settings');
+const { resetRateLimits } = require('../middleware/rateLimit');
+const { stubStorage, mailTransport, sentMail, smsTransport, sentSms, storedFiles } = require('./helpers');
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Payment updates use transactions, which need a replica set
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(mongoServer.getUri());
+
+  setDriver(stubStorage);
+  setMailTransport(mailTransport);
+  setSmsTransport(smsTransport);
+});
+
+afterEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+
+  sentMail.length = 0;
+  sentSms.length = 0;
+  storedFiles.clear();
+  clearCache();
+  await resetRateLimits();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const RishtaProfile = require('../models/RishtaProfile');
+const { setDriver } = require('../services/storage');
+const { buildApp, createUser, login, profileForm, stubStorage, PNG_BYTES } = require('./helpers');
+
+describe('services/storage/local', () => {
+  let app;
+  let uploadDir;
+
+  beforeAll(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    // Relative, as in config.env
+    process.env.UPLOAD_DIR = path.relative(process.cwd(), uploadDir);
+    setDriver('local');
+  });
+
+  afterAll(() => {
+    setDriver(stubStorage);
+    delete process.env.UPLOAD_DIR;
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  it('stores uploaded photos on disk and serves them through the photo route', async () => {
+    const user = await createUser({ isPaid: true });
+    const agent = await login(app, user);
+
+    const req = agent.post('/profiles/create');
+    Object.entries(profileForm()).forEach(([field, value]) => req.field(field, value));
+    const res = await req.attach('photos', PNG_BYTES, 'photo.png');
+    expect(res.headers.location).toBe('/profiles/dashboard');
+
+    const profile = await RishtaProfile.findOne({ userId: user._id });
+    const photo = profile.photos[0];
+    expect(fs.existsSync(path.join(uploadDir, 'original', photo.publicId))).toBe(true);
+
+    const own = await agent.get(photo.src);
+    expect(own.status).toBe(200);
+    expect(own.headers['content-type']).toMatch(/^image\//);
+    expect(own.body.length).toBeGreaterThan(0);
+
+    // Visitors of a published profile get the blurred derivative
+    await RishtaProfile.updateOne({ _id: profile._id }, { status: 'approved', published: true });
+    const visitor = await request(app).get(photo.src);
+    expect(visitor.status).toBe(200);
+  });
+});